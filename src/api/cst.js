@@ -0,0 +1,615 @@
+import { MaxiError, MaxiErrorCode } from '../core/errors.js';
+import { dumpValueToken } from './dump.js';
+
+/**
+ * @typedef {Object} MaxiCstSpan
+ * @property {number} start  offset of the first character in the parsed input
+ * @property {number} end    offset just past the last character
+ * @property {number} line   1-based line of `start`
+ * @property {number} column 1-based column of `start`
+ */
+
+/**
+ * @typedef {'whitespace' | 'newline' | 'comment' | 'directive' | 'separator' | 'text'} MaxiCstTokenKind
+ */
+
+/**
+ * @typedef {Object} MaxiCstItem
+ * @property {string} text  field definition or value, without surrounding whitespace
+ * @property {MaxiCstSpan | null} span  `null` once the item has been edited
+ */
+
+const SEPARATOR_RE = /^[ \t]*###[ \t]*(?:\r?\n|$)/m;
+const EXPLICIT_TYPE_RE = /^[ \t]*[A-Za-z_][A-Za-z0-9_-]*[ \t]*:/m;
+const INHERITANCE_TYPE_RE = /^[ \t]*[A-Za-z_][A-Za-z0-9_-]*[ \t]*<[^>]+>[ \t]*\(/m;
+
+/**
+ * Leaf node: whitespace, line break, comment, directive, `###` or text the
+ * parser would skip. `text` is the exact source slice.
+ */
+export class MaxiCstToken {
+  /**
+   * @param {MaxiCstTokenKind} kind
+   * @param {string} text
+   * @param {MaxiCstSpan | null} span
+   */
+  constructor(kind, text, span) {
+    /** @type {MaxiCstTokenKind} */
+    this.kind = kind;
+    this.text = text;
+    /** @type {MaxiCstSpan | null} */
+    this.span = span;
+  }
+
+  toString() {
+    return this.text;
+  }
+}
+
+/**
+ * Parenthesised node: a type definition (`kind: 'type'`, items are field
+ * definitions) or a record (`kind: 'record'`, items are values).
+ *
+ * The source text is kept as `open` (everything up to the first item,
+ * including `(` and any whitespace after it), the items, the `separators`
+ * between them (`|` with its surrounding whitespace) and `close` (whitespace
+ * after the last item plus `)`). New items reuse the last separator, so a
+ * one-per-line layout stays one-per-line.
+ */
+export class MaxiCstList {
+  /**
+   * @param {'type' | 'record'} kind
+   * @param {string} alias
+   * @param {string} open
+   * @param {MaxiCstItem[]} items
+   * @param {string[]} separators
+   * @param {string} close
+   * @param {MaxiCstSpan | null} span
+   */
+  constructor(kind, alias, open, items, separators, close, span) {
+    /** @type {'type' | 'record'} */
+    this.kind = kind;
+    this.alias = alias;
+    this.open = open;
+    /** @type {MaxiCstItem[]} */
+    this.items = items;
+    /** @type {string[]} */
+    this.separators = separators;
+    this.close = close;
+    /** @type {MaxiCstSpan | null} */
+    this.span = span;
+  }
+
+  /** Current source text of the node. */
+  get text() {
+    let out = this.open;
+    for (let i = 0; i < this.items.length; i++) {
+      if (i > 0) out += this.separators[i - 1];
+      out += this.items[i].text;
+    }
+    return out + this.close;
+  }
+
+  /** Number of fields or values; `U()` has none. */
+  get length() {
+    return this._isEmpty() ? 0 : this.items.length;
+  }
+
+  /**
+   * Raw text of a field or value.
+   * @param {number} index
+   * @returns {string | undefined}
+   */
+  getRaw(index) {
+    return index < this.length ? this.items[index].text : undefined;
+  }
+
+  /**
+   * Replace a field or value with raw MAXI text. Indexes past the end pad
+   * the list with empty values.
+   * @param {number} index
+   * @param {string} text
+   */
+  setRaw(index, text) {
+    if (!Number.isInteger(index) || index < 0) {
+      throw new RangeError(`MaxiCstList: invalid index ${index}`);
+    }
+    if (this._isEmpty()) this.items.length = 0;
+    while (this.items.length <= index) this.append('');
+    this.items[index] = { text, span: null };
+  }
+
+  /**
+   * Replace a value with a JS value, encoded the way `dumpMaxi` encodes an
+   * untyped field (`null` → `~`, booleans → `1`/`0`, strings quoted when needed).
+   * @param {number} index
+   * @param {unknown} value
+   */
+  setValue(index, value) {
+    this.setRaw(index, dumpValueToken(value));
+  }
+
+  /**
+   * Add a field definition or value at the end.
+   * @param {string} text raw MAXI text
+   */
+  append(text) {
+    if (this._isEmpty()) {
+      this.items[0] = { text, span: null };
+      return;
+    }
+    if (this.items.length === 0) {
+      this.items.push({ text, span: null });
+      return;
+    }
+    this.separators.push(this.separators.length ? this.separators[this.separators.length - 1] : '|');
+    this.items.push({ text, span: null });
+  }
+
+  /**
+   * Remove a field or value together with the separator before it
+   * (or after it, for the first item).
+   * @param {number} index
+   */
+  removeAt(index) {
+    if (!Number.isInteger(index) || index < 0 || index >= this.length) {
+      throw new RangeError(`MaxiCstList: invalid index ${index}`);
+    }
+    if (this.items.length === 1) {
+      this.items[0] = { text: '', span: null };
+      return;
+    }
+    this.items.splice(index, 1);
+    this.separators.splice(index > 0 ? index - 1 : 0, 1);
+  }
+
+  toString() {
+    return this.text;
+  }
+
+  /** @private */
+  _isEmpty() {
+    return this.items.length === 1 && this.items[0].text === '';
+  }
+}
+
+/**
+ * @typedef {MaxiCstToken | MaxiCstList} MaxiCstNode
+ */
+
+/**
+ * Lossless concrete syntax tree of a MAXI document.
+ *
+ * `nodes` covers the input without gaps, so `toString()` reproduces it byte
+ * for byte. Spans refer to the original input; nodes created or changed by
+ * an edit have `span: null`. Parse the printed text again to get fresh spans.
+ */
+export class MaxiCst {
+  /**
+   * @param {MaxiCstNode[]} nodes
+   * @param {string} newline line break used for inserted lines (`\n` or `\r\n`)
+   */
+  constructor(nodes, newline) {
+    /** @type {MaxiCstNode[]} */
+    this.nodes = nodes;
+    this.newline = newline;
+  }
+
+  /** @returns {MaxiCstList[]} */
+  get types() {
+    return /** @type {MaxiCstList[]} */ (this.nodes.filter(n => n.kind === 'type'));
+  }
+
+  /** @returns {MaxiCstList[]} */
+  get records() {
+    return /** @type {MaxiCstList[]} */ (this.nodes.filter(n => n.kind === 'record'));
+  }
+
+  /** @returns {MaxiCstToken[]} */
+  get directives() {
+    return /** @type {MaxiCstToken[]} */ (this.nodes.filter(n => n.kind === 'directive'));
+  }
+
+  /**
+   * @param {string} alias
+   * @returns {MaxiCstList | undefined}
+   */
+  getType(alias) {
+    return this.types.find(t => t.alias === alias);
+  }
+
+  /**
+   * Insert a record on its own line, indented like its neighbour.
+   * Without a position the record goes after the last record
+   * (or at the end of the document).
+   *
+   * @param {string} text a single record, e.g. `U(3|Ann)`
+   * @param {{before?: MaxiCstList, after?: MaxiCstList}} [position]
+   * @returns {MaxiCstList} the inserted node
+   */
+  insertRecord(text, position = {}) {
+    const record = parseRecordSnippet(text);
+
+    if (position.before) {
+      const lineStart = this._lineStart(this._indexOf(position.before));
+      const indent = this._indentAt(lineStart);
+      this.nodes.splice(lineStart, 0, ...withIndent(indent, [record, this._newlineToken()]));
+      return record;
+    }
+
+    const anchor = position.after ?? this.records.at(-1);
+    if (anchor) {
+      const lineStart = this._lineStart(this._indexOf(anchor));
+      let end = this._indexOf(anchor) + 1;
+      while (end < this.nodes.length && this.nodes[end].kind !== 'newline') end++;
+      const indent = this._indentAt(lineStart);
+      this.nodes.splice(end, 0, this._newlineToken(), ...withIndent(indent, [record]));
+      return record;
+    }
+
+    const last = this.nodes.at(-1);
+    if (!last) this.nodes.push(record);
+    else if (last.kind === 'newline') this.nodes.push(record, this._newlineToken());
+    else this.nodes.push(this._newlineToken(), record);
+    return record;
+  }
+
+  /**
+   * Remove a record. When it is alone on its line, the whole line goes.
+   * @param {MaxiCstList} record
+   */
+  removeRecord(record) {
+    const index = this._indexOf(record);
+    const lineStart = this._lineStart(index);
+    let end = index + 1;
+    if (this.nodes[end]?.kind === 'whitespace') end++;
+
+    const aloneOnLine = (lineStart === 0 || this.nodes[lineStart - 1].kind === 'newline') &&
+      (end === this.nodes.length || this.nodes[end].kind === 'newline');
+    if (!aloneOnLine) {
+      this.nodes.splice(index, end - index);
+      return;
+    }
+    if (end < this.nodes.length) {
+      this.nodes.splice(lineStart, end - lineStart + 1);
+    } else {
+      const from = lineStart > 0 ? lineStart - 1 : lineStart;
+      this.nodes.splice(from, end - from);
+    }
+  }
+
+  toString() {
+    return this.nodes.map(n => n.toString()).join('');
+  }
+
+  /** @private */
+  _indexOf(node) {
+    const index = this.nodes.indexOf(node);
+    if (index === -1) throw new RangeError('MaxiCst: node is not part of this document');
+    return index;
+  }
+
+  /**
+   * Index of the leading whitespace of the node's line, or of the node itself.
+   * @private
+   */
+  _lineStart(index) {
+    const prev = this.nodes[index - 1];
+    return prev?.kind === 'whitespace' ? index - 1 : index;
+  }
+
+  /** @private */
+  _indentAt(lineStart) {
+    const node = this.nodes[lineStart];
+    const atLineStart = lineStart === 0 || this.nodes[lineStart - 1].kind === 'newline';
+    return atLineStart && node.kind === 'whitespace' ? node.text : '';
+  }
+
+  /** @private */
+  _newlineToken() {
+    return new MaxiCstToken('newline', this.newline, null);
+  }
+}
+
+/**
+ * Parse MAXI text into a lossless concrete syntax tree.
+ *
+ * Unlike `parseMaxi`, this does not validate the schema or records; it only
+ * finds their boundaries. Type definitions before `###` and records after it
+ * become `MaxiCstList` nodes, everything else (comments, directives,
+ * whitespace) becomes a `MaxiCstToken`. Without `###`, the same
+ * schema/records detection as `parseMaxi` applies.
+ *
+ * @param {string} input
+ * @returns {MaxiCst}
+ * @throws {MaxiError} on unclosed parentheses
+ */
+export function parseMaxiCst(input) {
+  if (typeof input !== 'string') throw new TypeError('parseMaxiCst expects a string.');
+
+  const separator = SEPARATOR_RE.exec(input);
+  const separatorAt = separator ? separator.index + separator[0].indexOf('###') : -1;
+  const schemaFirst = separator !== null ||
+    EXPLICIT_TYPE_RE.test(input) || INHERITANCE_TYPE_RE.test(input);
+
+  const nodes = new CstBuilder(input, schemaFirst ? 'schema' : 'records', separatorAt).build();
+  return new MaxiCst(nodes, /\r\n/.test(input) ? '\r\n' : '\n');
+}
+
+/**
+ * Print a CST back to MAXI text. Same as `cst.toString()`.
+ * @param {MaxiCst} cst
+ * @returns {string}
+ */
+export function printMaxiCst(cst) {
+  return cst.toString();
+}
+
+/**
+ * @param {string} text
+ * @returns {MaxiCstList}
+ */
+function parseRecordSnippet(text) {
+  const nodes = new CstBuilder(String(text).trim(), 'records', -1).build();
+  if (nodes.length !== 1 || nodes[0].kind !== 'record') {
+    throw new MaxiError(`Expected a single record, got '${text}'`, MaxiErrorCode.InvalidSyntaxError);
+  }
+  const record = /** @type {MaxiCstList} */ (nodes[0]);
+  record.span = null;
+  for (const item of record.items) item.span = null;
+  return record;
+}
+
+/**
+ * @param {string} indent
+ * @param {MaxiCstNode[]} nodes
+ * @returns {MaxiCstNode[]}
+ */
+function withIndent(indent, nodes) {
+  return indent ? [new MaxiCstToken('whitespace', indent, null), ...nodes] : nodes;
+}
+
+class CstBuilder {
+  /**
+   * @param {string} src
+   * @param {'schema' | 'records'} mode
+   * @param {number} separatorAt offset of the `###` separator, or -1
+   */
+  constructor(src, mode, separatorAt) {
+    this.src = src;
+    this.mode = mode;
+    this.separatorAt = separatorAt;
+    this.pos = 0;
+    /** @type {MaxiCstNode[]} */
+    this.nodes = [];
+    /** @type {number[]} */
+    this.lineStarts = [0];
+    for (let i = 0; i < src.length; i++) {
+      if (src.charCodeAt(i) === 10) this.lineStarts.push(i + 1);
+    }
+  }
+
+  /** @returns {MaxiCstNode[]} */
+  build() {
+    const src = this.src;
+    const len = src.length;
+
+    while (this.pos < len) {
+      const start = this.pos;
+      const c = src[start];
+
+      if (c === '\n' || (c === '\r' && src[start + 1] === '\n')) {
+        this.pos += c === '\n' ? 1 : 2;
+        this.token('newline', start);
+        continue;
+      }
+      if (c === ' ' || c === '\t' || c === '\r') {
+        while (this.pos < len && isInlineSpace(src, this.pos)) this.pos++;
+        this.token('whitespace', start);
+        continue;
+      }
+      if (start === this.separatorAt) {
+        this.pos += 3;
+        this.token('separator', start);
+        this.mode = 'records';
+        continue;
+      }
+      if (c === '#') {
+        this.pos = this.lineEnd(start);
+        this.token('comment', start);
+        continue;
+      }
+
+      const atLineStart = this.atLineStart();
+      if (c === '@' && atLineStart) {
+        this.pos = this.lineEnd(start);
+        this.token('directive', start);
+        continue;
+      }
+
+      if (isIdentStart(src.charCodeAt(start))) {
+        const list = this.mode === 'schema' ? this.scanType(start) : this.scanRecord(start);
+        if (list) {
+          this.nodes.push(list);
+          continue;
+        }
+      }
+
+      // Anything else is kept verbatim: the rest of a schema line, or one
+      // whitespace-delimited run in the records section.
+      if (this.mode === 'schema') {
+        this.pos = this.lineEnd(start);
+      } else {
+        while (this.pos < len && !/[\s#]/.test(src[this.pos])) this.pos++;
+      }
+      this.token('text', start);
+    }
+
+    return this.nodes;
+  }
+
+  /**
+   * A type definition line, using the same detection as `SchemaParser`.
+   * @param {number} start
+   * @returns {MaxiCstList | null}
+   */
+  scanType(start) {
+    const line = this.src.slice(start, this.lineEnd(start));
+    const explicit = /^[A-Za-z_][A-Za-z0-9_-]*\s*:\s*[A-Za-z_][A-Za-z0-9_-]*\s*(<[^>]+>)?\s*\(/.test(line);
+    const inheritance = /^[A-Za-z_][A-Za-z0-9_-]*\s*<[^>]+>\s*\(/.test(line);
+    if (!explicit && !inheritance) {
+      if (!/^[A-Za-z_][A-Za-z0-9_-]*\s*\(/.test(line)) return null;
+      if (/^(\d|-\d|~)/.test(line.slice(line.indexOf('(') + 1).trimStart())) return null;
+    }
+
+    const openAt = start + line.indexOf('(');
+    const alias = /** @type {RegExpMatchArray} */ (line.match(/^[A-Za-z_][A-Za-z0-9_-]*/))[0];
+    return this.list('type', alias, start, openAt);
+  }
+
+  /**
+   * `alias(...)`, as recognised by `RecordScanner`.
+   * @param {number} start
+   * @returns {MaxiCstList | null}
+   */
+  scanRecord(start) {
+    const src = this.src;
+    let i = start;
+    while (i < src.length && isIdentChar(src.charCodeAt(i))) i++;
+    const alias = src.slice(start, i);
+    while (i < src.length && (src[i] === ' ' || src[i] === '\t' || src[i] === '\r')) i++;
+    if (src[i] !== '(') return null;
+    return this.list('record', alias, start, i);
+  }
+
+  /**
+   * @param {'type' | 'record'} kind
+   * @param {string} alias
+   * @param {number} start
+   * @param {number} openAt offset of `(`
+   * @returns {MaxiCstList}
+   */
+  list(kind, alias, start, openAt) {
+    const src = this.src;
+    /** @type {Array<[number, number]>} */
+    const segments = [];
+    let segStart = openAt + 1;
+    let paren = 1;
+    let nested = 0;
+    let inString = false;
+    let escapeNext = false;
+    let closeAt = -1;
+
+    for (let i = openAt + 1; i < src.length; i++) {
+      const ch = src[i];
+      if (escapeNext) { escapeNext = false; continue; }
+      if (inString) {
+        if (ch === '\\') escapeNext = true;
+        else if (ch === '"') inString = false;
+        continue;
+      }
+      if (ch === '"') inString = true;
+      else if (ch === '(') paren++;
+      else if (ch === ')') {
+        if (--paren === 0) { closeAt = i; break; }
+      } else if (ch === '[' || ch === '{') nested++;
+      else if (ch === ']' || ch === '}') nested = Math.max(0, nested - 1);
+      else if (ch === '|' && paren === 1 && nested === 0) {
+        segments.push([segStart, i]);
+        segStart = i + 1;
+      }
+    }
+
+    if (closeAt === -1) {
+      const { line, column } = this.span(start, start);
+      const what = kind === 'type' ? 'type definition' : 'record parentheses';
+      throw new MaxiError(
+        `Unclosed ${what} for '${alias}'`,
+        MaxiErrorCode.InvalidSyntaxError,
+        { line, column }
+      );
+    }
+    segments.push([segStart, closeAt]);
+
+    /** @type {MaxiCstItem[]} */
+    const items = [];
+    /** @type {Array<[number, number]>} */
+    const trimmed = segments.map(([a, b]) => {
+      let s = a;
+      let e = b;
+      while (s < e && /\s/.test(src[s])) s++;
+      while (e > s && /\s/.test(src[e - 1])) e--;
+      return [s, e];
+    });
+    for (const [s, e] of trimmed) items.push({ text: src.slice(s, e), span: this.span(s, e) });
+
+    const separators = [];
+    for (let i = 1; i < trimmed.length; i++) separators.push(src.slice(trimmed[i - 1][1], trimmed[i][0]));
+
+    this.pos = closeAt + 1;
+    return new MaxiCstList(
+      kind,
+      alias,
+      src.slice(start, trimmed[0][0]),
+      items,
+      separators,
+      src.slice(trimmed[trimmed.length - 1][1], closeAt + 1),
+      this.span(start, closeAt + 1)
+    );
+  }
+
+  /**
+   * @param {MaxiCstTokenKind} kind
+   * @param {number} start
+   */
+  token(kind, start) {
+    this.nodes.push(new MaxiCstToken(kind, this.src.slice(start, this.pos), this.span(start, this.pos)));
+  }
+
+  /** Whether only whitespace precedes the current position on its line. */
+  atLineStart() {
+    const prev = this.nodes[this.nodes.length - 1];
+    if (!prev || prev.kind === 'newline') return true;
+    const before = this.nodes[this.nodes.length - 2];
+    return prev.kind === 'whitespace' && (!before || before.kind === 'newline');
+  }
+
+  /**
+   * Offset of the line break ending the line that contains `pos`.
+   * @param {number} pos
+   */
+  lineEnd(pos) {
+    const nl = this.src.indexOf('\n', pos);
+    if (nl === -1) return this.src.length;
+    return nl > pos && this.src[nl - 1] === '\r' ? nl - 1 : nl;
+  }
+
+  /**
+   * @param {number} start
+   * @param {number} end
+   * @returns {MaxiCstSpan}
+   */
+  span(start, end) {
+    let lo = 0;
+    let hi = this.lineStarts.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (this.lineStarts[mid] <= start) lo = mid;
+      else hi = mid - 1;
+    }
+    return { start, end, line: lo + 1, column: start - this.lineStarts[lo] + 1 };
+  }
+}
+
+function isInlineSpace(src, i) {
+  const c = src[i];
+  return c === ' ' || c === '\t' || (c === '\r' && src[i + 1] !== '\n');
+}
+
+function isIdentStart(c) {
+  return (c >= 65 && c <= 90) || (c >= 97 && c <= 122) || c === 95;
+}
+
+function isIdentChar(c) {
+  return isIdentStart(c) || (c >= 48 && c <= 57) || c === 45;
+}
@@ -0,0 +1,82 @@
+import { lineIndexAt, lineStarts } from '../internal/source-position.js';
+
+/**
+ * @typedef {Object} MaxiDiagnosticFormatOptions
+ * @property {number} [maxWidth=120] longer source lines are cropped around the underlined text
+ * @property {string} [filename] shown when the diagnostic has none
+ */
+
+/**
+ * Render a parse error or warning as a code frame: a header with the code and
+ * message, the location, and the offending source line with the text the
+ * diagnostic is about underlined.
+ *
+ * ```text
+ * error[E402]: Type mismatch: field expects int, got 'x'
+ *   --> users.maxi:4:10
+ *   |
+ * 4 | U(2|Matt|x)
+ *   |          ^
+ * ```
+ *
+ * `source` must be the text that was parsed. The position comes from the
+ * diagnostic's `span` (offsets into `source`); without one, `line` and
+ * `column` are used as they are. Without any position only the header is
+ * returned.
+ *
+ * @param {import('../core/errors.js').MaxiError | import('../core/types.js').MaxiDiagnostic} diagnostic
+ * @param {string} source
+ * @param {MaxiDiagnosticFormatOptions} [options]
+ * @returns {string}
+ */
+export function formatMaxiDiagnostic(diagnostic, source, options = {}) {
+  const maxWidth = Math.max(options.maxWidth ?? 120, 10);
+  const severity = diagnostic instanceof Error ? 'error' : 'warning';
+  const header = `${severity}${diagnostic.code ? `[${diagnostic.code}]` : ''}: ${diagnostic.message}`;
+
+  const starts = lineStarts(source);
+  const span = diagnostic.span;
+  let index;
+  let column;
+  let width = 1;
+  if (span && span.start <= source.length) {
+    index = lineIndexAt(starts, span.start);
+    column = span.start - starts[index] + 1;
+    width = Math.max(1, span.end - span.start);
+  } else if (diagnostic.line && diagnostic.line <= starts.length) {
+    index = diagnostic.line - 1;
+    column = diagnostic.column ?? null;
+  } else {
+    return header;
+  }
+
+  const lineNumber = index + 1;
+  const lineEnd = index + 1 < starts.length ? starts[index + 1] - 1 : source.length;
+  const text = source.slice(starts[index], lineEnd).replace(/\r$/, '');
+  const filename = ('filename' in diagnostic && diagnostic.filename) || options.filename || '<input>';
+
+  // Crop long lines to a window that keeps the start of the underline in view.
+  let from = 0;
+  if (text.length > maxWidth && column !== null) {
+    from = Math.max(0, Math.min(column - 1 - Math.floor(maxWidth / 3), text.length - maxWidth));
+  }
+  const to = Math.min(text.length, from + maxWidth);
+  const prefix = from > 0 ? '…' : '';
+  const shown = prefix + text.slice(from, to) + (to < text.length ? '…' : '');
+
+  const gutter = ' '.repeat(String(lineNumber).length);
+  const lines = [
+    header,
+    `${gutter} --> ${filename}:${lineNumber}${column !== null ? `:${column}` : ''}`,
+    `${gutter} |`,
+    `${lineNumber} | ${shown}`,
+  ];
+  if (column !== null) {
+    const start = Math.min(column - 1, text.length);
+    // Keep tabs so the carets line up with the text above.
+    const pad = prefix.replace('…', ' ') + text.slice(from, start).replace(/[^\t]/g, ' ');
+    const carets = '^'.repeat(Math.max(1, Math.min(width, to - start)));
+    lines.push(`${gutter} | ${pad}${carets}`);
+  }
+  return lines.join('\n');
+}
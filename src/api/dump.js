@@ -1,3 +1,10 @@
+import { MaxiDecimal, findIdField } from '../core/types.js';
+import { MaxiError, MaxiErrorCode } from '../core/errors.js';
+import { checkAnnotation } from '../internal/constraint-validator.js';
+import { getMaxiType } from '../core/type-registry.js';
+import { checkAnnotationValue, getMaxiAnnotation } from '../core/annotation-registry.js';
+import { splitMapType } from '../internal/type-expr.js';
+
 /**
  * @typedef {Object} MaxiDumpOptions
  * @property {boolean} [multiline=false]
@@ -8,6 +15,7 @@
  * @property {Map<string, MaxiDumpTypeInput> | MaxiDumpTypeInput[]} [types]
  * @property {string} [defaultAlias]
  * @property {boolean} [collectReferences=true]
+ * @property {boolean} [validateAnnotations=false] throw E303 for values that fail their @email / @url / @uuid annotation or a registered annotation's `validate`
  */
 
 /**
@@ -91,6 +99,9 @@ function dumpMaxiFromParseResult(result, options) {
   for (const imp of result?.schema?.imports ?? []) {
     out.push(`@schema:${imp}`);
   }
+  for (const [name, value] of result?.schema?.directives ?? []) {
+    out.push(`@${name}:${value}`);
+  }
 
   if (includeTypes && (result?.schema?.types?.size ?? 0) > 0) {
     if (out.length > 0) out.push('');
@@ -103,8 +114,17 @@ function dumpMaxiFromParseResult(result, options) {
     out.push('###');
   }
 
+  // Type defs by alias and by long name. Inline objects have no identity in a
+  // parse result, so they are never turned into references here.
+  /** @type {Map<string, MaxiDumpTypeInput>} */
+  const allTypes = new Map(result?.schema?.types ?? []);
+  for (const td of result?.schema?.types?.values() ?? []) {
+    if (td.name && !allTypes.has(td.name)) allTypes.set(td.name, td);
+  }
+  const valueOptions = { ...options, collectReferences: false };
+
   for (const record of result?.records ?? []) {
-    out.push(dumpRecord(record, multiline));
+    out.push(dumpRecord(record, allTypes.get(record.alias), allTypes, multiline, valueOptions));
   }
 
   return out.join('\n');
@@ -125,16 +145,7 @@ function dumpMaxiFromObjects(input, options) {
 
   resolveInheritanceForDump(types);
 
-  if (schema.version && schema.version !== '1.0.0') out.push(`@maxi:${schema.version}`);
-  if (schema.userVersion) out.push(`@version:${schema.userVersion}`);
-  for (const imp of schema.imports ?? []) out.push(`@schema:${imp}`);
-
-  if (includeTypes && types.size > 0) {
-    if (out.length > 0) out.push('');
-    for (const t of types.values()) out.push(dumpTypeInfo(t, multiline));
-  }
-
-  if (out.length > 0) out.push('###');
+  out.push(...dumpSchemaHeader(schema, types, multiline, includeTypes));
 
   const recordsToDump = new Map();
   const seenObjects = new Set();
@@ -159,12 +170,37 @@ function dumpMaxiFromObjects(input, options) {
   return out.join('\n');
 }
 
+/**
+ * Emit directives, type definitions and the `###` separator.
+ * Returns no lines at all when there is nothing to put above the separator.
+ * @param {MaxiDumpSchemaInput} schema
+ * @param {Map<string, MaxiDumpTypeInput>} types inheritance already resolved
+ * @param {boolean} multiline
+ * @param {boolean} includeTypes
+ * @returns {string[]}
+ */
+export function dumpSchemaHeader(schema, types, multiline, includeTypes) {
+  const out = [];
+
+  if (schema.version && schema.version !== '1.0.0') out.push(`@maxi:${schema.version}`);
+  if (schema.userVersion) out.push(`@version:${schema.userVersion}`);
+  for (const imp of schema.imports ?? []) out.push(`@schema:${imp}`);
+
+  if (includeTypes && types.size > 0) {
+    if (out.length > 0) out.push('');
+    for (const t of types.values()) out.push(dumpTypeInfo(t, multiline));
+  }
+
+  if (out.length > 0) out.push('###');
+  return out;
+}
+
 /**
  * @param {Map<string, MaxiDumpTypeInput>} allTypes
  * @param {Map<string, Array<Record<string, any>>>} recordsToDump
- * @param {Set<any>} seenObjects
+ * @param {Set<any> | WeakSet<object>} seenObjects
  */
-function collectReferencedObjectsIterative(allTypes, recordsToDump, seenObjects) {
+export function collectReferencedObjectsIterative(allTypes, recordsToDump, seenObjects) {
   /** @type {Array<{alias:string,obj:Record<string,any>}>} */
   const work = [];
 
@@ -190,7 +226,7 @@ function collectReferencedObjectsIterative(allTypes, recordsToDump, seenObjects)
       const nestedType = baseType ? allTypes.get(baseType) : undefined;
       if (!nestedType) continue;
 
-      const idField = nestedType.fields?.find(f => f.name === 'id');
+      const idField = findIdField(nestedType.fields);
       if (!idField) continue;
 
       const items = Array.isArray(v) ? v : [v];
@@ -213,7 +249,7 @@ function collectReferencedObjectsIterative(allTypes, recordsToDump, seenObjects)
  * @param {Map<string, MaxiDumpTypeInput> | MaxiDumpTypeInput[] | undefined} types
  * @returns {Map<string, MaxiDumpTypeInput>}
  */
-function normalizeTypes(types) {
+export function normalizeTypes(types) {
   if (!types) return new Map();
   if (types instanceof Map) return types;
   const m = new Map();
@@ -224,7 +260,7 @@ function normalizeTypes(types) {
 /**
  * @param {Map<string, MaxiDumpTypeInput>} types
  */
-function resolveInheritanceForDump(types) {
+export function resolveInheritanceForDump(types) {
   const resolved = new Set();
 
   function resolve(alias) {
@@ -286,7 +322,7 @@ function dumpTypeInfo(t, multiline) {
  * @param {boolean} multiline
  * @returns {string}
  */
-function dumpObjectAsRecord(alias, obj, t, allTypes, multiline, options) {
+export function dumpObjectAsRecord(alias, obj, t, allTypes, multiline, options) {
   let vals = [];
   if (t) {
     const fields = t.fields ?? [];
@@ -372,9 +408,11 @@ function dumpField(field) {
   }
 
   if (field.defaultValue !== undefined) {
-    const defStr = typeof field.defaultValue === 'string' && needsQuoting(field.defaultValue)
-      ? `"${escapeString(field.defaultValue)}"`
-      : String(field.defaultValue);
+    // Decoded defaults of custom types and annotations keep their schema text.
+    const defaultValue = /** @type {any} */ (field)._defaultText ?? field.defaultValue;
+    const defStr = typeof defaultValue === 'string' && needsQuoting(defaultValue)
+      ? `"${escapeString(defaultValue)}"`
+      : String(defaultValue);
     result += `=${defStr}`;
   }
 
@@ -404,11 +442,15 @@ function dumpConstraint(c) {
 
 /**
  * @param {import('../core/types.js').MaxiRecord} record
+ * @param {MaxiDumpTypeInput | undefined} typeDef
+ * @param {Map<string, MaxiDumpTypeInput>} allTypes
  * @param {boolean} multiline
+ * @param {MaxiDumpOptions} options
  * @returns {string}
  */
-function dumpRecord(record, multiline) {
-  const values = record.values.map(v => dumpValue(v, undefined, new Map(), {}));
+function dumpRecord(record, typeDef, allTypes, multiline, options) {
+  const fields = typeDef?.fields ?? [];
+  const values = record.values.map((v, i) => dumpValue(v, fields[i], allTypes, options));
 
   if (!multiline) {
     return `${record.alias}(${values.join('|')})`;
@@ -418,6 +460,15 @@ function dumpRecord(record, multiline) {
   return `${record.alias}(\n${body}\n)`;
 }
 
+/**
+ * Encode a single value as a MAXI token, the way `dumpMaxi` writes an untyped field.
+ * @param {unknown} value
+ * @returns {string}
+ */
+export function dumpValueToken(value) {
+  return dumpValue(value, undefined, new Map(), {});
+}
+
 /**
  * @param {unknown} value
  * @param {any} fieldInfo
@@ -427,6 +478,33 @@ function dumpRecord(record, multiline) {
 function dumpValue(value, fieldInfo, allTypes, options) {
   if (value === null || value === undefined) return '~';
 
+  const codec = fieldInfo?.typeExpr && getMaxiType(fieldInfo.typeExpr);
+  if (codec?.dump) {
+    const s = codec.dump(value, fieldInfo);
+    return needsQuoting(s) ? `"${escapeString(s)}"` : s;
+  }
+
+  const plugin = getMaxiAnnotation(fieldInfo?.annotation);
+  if (plugin && !/\[\]\s*$/.test(fieldInfo.typeExpr ?? '')) {
+    if (options?.validateAnnotations) {
+      const problem = checkAnnotationValue(fieldInfo.annotation, value, fieldInfo);
+      if (problem !== null) {
+        throw new MaxiError(
+          `Field '${fieldInfo.name}': value '${value}' is not a valid ${fieldInfo.annotation}${problem ? `: ${problem}` : ''}`,
+          MaxiErrorCode.ConstraintViolationError
+        );
+      }
+    }
+    if (plugin.encode) return dumpValue(plugin.encode(value, fieldInfo), { ...fieldInfo, annotation: null }, allTypes, options);
+  }
+
+  if (value instanceof MaxiDecimal) return value.toString();
+
+  if (value instanceof Date) {
+    const s = formatDate(value, fieldInfo?.annotation);
+    return needsQuoting(s) ? `"${escapeString(s)}"` : s;
+  }
+
   if (value instanceof Uint8Array) {
     const annotation = fieldInfo?.annotation;
     if (annotation === 'hex') {
@@ -438,6 +516,10 @@ function dumpValue(value, fieldInfo, allTypes, options) {
   }
 
   if (typeof value === 'string') {
+    if (options?.validateAnnotations && fieldInfo?.annotation) {
+      const violation = checkAnnotation(fieldInfo, value);
+      if (violation) throw new MaxiError(violation, MaxiErrorCode.ConstraintViolationError);
+    }
     if (fieldInfo?.typeExpr?.startsWith('enum')) {
       return getEnumWireToken(fieldInfo.typeExpr, value);
     }
@@ -448,7 +530,7 @@ function dumpValue(value, fieldInfo, allTypes, options) {
     return value ? '1' : '0';
   }
 
-  if (typeof value === 'number') {
+  if (typeof value === 'number' || typeof value === 'bigint') {
     if (fieldInfo?.typeExpr?.startsWith('enum')) {
       return getEnumWireToken(fieldInfo.typeExpr, String(value));
     }
@@ -469,11 +551,18 @@ function dumpValue(value, fieldInfo, allTypes, options) {
   }
 
   if (typeof value === 'object') {
+    // Arbitrary-precision decimal objects (decimalMode factory, Big.js, decimal.js, ...)
+    // serialize through their own toString(), never through a float.
+    if (/^decimal(\(|\[|$)/.test(fieldInfo?.typeExpr ?? '') && typeof value.toString === 'function' &&
+        value.toString !== Object.prototype.toString) {
+      return value.toString();
+    }
+
     const fieldTypeRef = fieldInfo?.typeExpr?.replace(/\[\]$/, '');
     const nestedType = fieldTypeRef ? allTypes.get(fieldTypeRef) : undefined;
 
     if (nestedType) {
-      const idField = nestedType.fields.find(f => f.name === 'id');
+      const idField = findIdField(nestedType.fields);
       if (idField && value[idField.name] !== undefined) {
         if (options?.collectReferences === false) {
           return dumpInlineObject(value, nestedType, allTypes, options);
@@ -483,12 +572,31 @@ function dumpValue(value, fieldInfo, allTypes, options) {
       return dumpInlineObject(value, nestedType, allTypes, options);
     }
 
-    return `{${Object.entries(value).map(([k, v]) => `${dumpMapKey(k)}:${dumpValue(v, undefined, allTypes, options)}`).join(',')}}`;
+    const mapTypes = splitMapType(fieldInfo?.typeExpr);
+    const keyInfo = mapTypes ? { typeExpr: mapTypes.keyType } : undefined;
+    const valueInfo = mapTypes ? { typeExpr: mapTypes.valueType, annotation: fieldInfo.annotation } : undefined;
+    return `{${Object.entries(value).map(([k, v]) => `${dumpMapKey(k, keyInfo)}:${dumpValue(v, valueInfo, allTypes, options)}`).join(',')}}`;
   }
 
   return String(value);
 }
 
+/**
+ * Format a Date for a `@date`, `@time`, `@timestamp` (Unix seconds) or
+ * `@datetime` field; anything else gets the full ISO-8601 datetime.
+ * @param {Date} date
+ * @param {string | undefined} annotation
+ * @returns {string}
+ */
+function formatDate(date, annotation) {
+  if (Number.isNaN(date.getTime())) throw new RangeError('dumpMaxi: cannot serialize an invalid Date');
+  if (annotation === 'timestamp') return String(Math.floor(date.getTime() / 1000));
+  const iso = date.toISOString();
+  if (annotation === 'date') return iso.slice(0, 10);
+  if (annotation === 'time') return iso.slice(11);
+  return iso;
+}
+
 /**
  * @param {Record<string, any>} obj
  * @param {MaxiDumpTypeInput} typeDef
@@ -513,9 +621,11 @@ function dumpInlineObject(obj, typeDef, allTypes, options) {
 
 /**
  * @param {string} k
+ * @param {{typeExpr: string}} [keyInfo]
  * @returns {string}
  */
-function dumpMapKey(k) {
+function dumpMapKey(k, keyInfo) {
+  if (keyInfo?.typeExpr.startsWith('enum')) return getEnumWireToken(keyInfo.typeExpr, k);
   return needsQuoting(k) ? `"${escapeString(k)}"` : k;
 }
 
@@ -550,7 +660,7 @@ function getEnumWireToken(typeExpr, fullValueStr) {
  * @param {string} str
  * @returns {boolean}
  */
-function needsQuoting(str) {
+export function needsQuoting(str) {
   if (str === '' || str === '~') return true;
   return _NEEDS_QUOTING_RE.test(str) || _LEAD_TRAIL_SPACE_RE.test(str);
 }
@@ -559,7 +669,7 @@ function needsQuoting(str) {
  * @param {string} str
  * @returns {string}
  */
-function escapeString(str) {
+export function escapeString(str) {
   return str
     .replace(/\\/g, '\\\\')
     .replace(/"/g, '\\"')
@@ -0,0 +1,153 @@
+import { parseMaxi } from './parse.js';
+import { parseMaxiCst } from './cst.js';
+import { escapeString, needsQuoting } from './dump.js';
+
+/**
+ * @typedef {Object} MaxiFormatOptions
+ * @property {number} [maxWidth=80] type definitions longer than this are written one field per line
+ * @property {boolean} [alignRecords=false] pad record values so the `|` columns line up per alias
+ */
+
+/**
+ * Rewrite MAXI text in canonical layout.
+ *
+ * The input is parsed with `parseMaxi` first (so invalid input throws, and
+ * `@schema` imports are resolved through `options.loadSchema`), then laid out
+ * from its concrete syntax tree:
+ *
+ * - directives, type definitions and records one per line, unindented;
+ * - a type definition stays on one line if it fits in `maxWidth`, otherwise
+ *   it gets one field per line;
+ * - record values of `str` fields are quoted exactly when `dumpMaxi` would quote them;
+ * - trailing empty record values are dropped;
+ * - comments are kept, trailing comments stay on their line;
+ * - runs of blank lines collapse to one, and the output ends with a line break.
+ *
+ * Formatting is idempotent: `formatMaxi(await formatMaxi(x))` returns its input unchanged.
+ *
+ * @param {string} input
+ * @param {MaxiFormatOptions & import('./parse.js').MaxiParseOptions} [options]
+ * @returns {Promise<string>}
+ */
+export async function formatMaxi(input, options = {}) {
+  const maxWidth = options.maxWidth ?? 80;
+  const { schema } = await parseMaxi(input, options);
+  const cst = parseMaxiCst(input);
+  const nl = cst.newline;
+
+  /** @type {Map<import('./cst.js').MaxiCstList, string[]>} */
+  const recordValues = new Map();
+  for (const record of cst.records) {
+    const fields = schema.getType(record.alias)?.fields ?? [];
+    const values = record.items.map((item, i) => normalizeValue(item.text, fields[i]));
+    while (values.length > 0 && values[values.length - 1] === '') values.pop();
+    recordValues.set(record, values);
+  }
+  const widths = options.alignRecords ? columnWidths(recordValues) : null;
+
+  /** @type {string[]} */
+  const lines = [];
+  /** @type {string | null} */
+  let current = null;
+
+  for (const node of cst.nodes) {
+    switch (node.kind) {
+      case 'whitespace':
+        break;
+      case 'newline':
+        lines.push(current ?? '');
+        current = null;
+        break;
+      case 'comment':
+        current = current === null ? node.text.trimEnd() : `${current} ${node.text.trimEnd()}`;
+        break;
+      default: {
+        let text;
+        if (node.kind === 'type') text = formatTypeDef(/** @type {any} */ (node), maxWidth, nl);
+        else if (node.kind === 'record') text = formatRecord(/** @type {any} */ (node), recordValues, widths);
+        else text = node.text.trimEnd();
+        if (current !== null) lines.push(current);
+        current = text;
+      }
+    }
+  }
+  if (current !== null) lines.push(current);
+
+  const out = [];
+  for (const line of lines) {
+    if (line === '' && (out.length === 0 || out[out.length - 1] === '')) continue;
+    out.push(line);
+  }
+  while (out.length > 0 && out[out.length - 1] === '') out.pop();
+  return out.length ? out.join(nl) + nl : '';
+}
+
+/**
+ * @param {import('./cst.js').MaxiCstList} node
+ * @param {number} maxWidth
+ * @param {string} nl
+ * @returns {string}
+ */
+function formatTypeDef(node, maxWidth, nl) {
+  const header = node.open.replace(/\s+/g, '');
+  const fields = node.items.map(item => item.text).filter(Boolean);
+  const single = `${header}${fields.join('|')})`;
+  if (single.length <= maxWidth || fields.length < 2) return single;
+  return `${header}${nl}${fields.map(f => `  ${f}`).join(`|${nl}`)}${nl})`;
+}
+
+/**
+ * @param {import('./cst.js').MaxiCstList} node
+ * @param {Map<import('./cst.js').MaxiCstList, string[]>} recordValues
+ * @param {Map<string, number[]> | null} widths
+ * @returns {string}
+ */
+function formatRecord(node, recordValues, widths) {
+  const values = /** @type {string[]} */ (recordValues.get(node));
+  const columns = widths?.get(node.alias);
+  const padded = columns
+    ? values.map((v, i) => (i < values.length - 1 ? v.padEnd(columns[i]) : v))
+    : values;
+  return `${node.alias}(${padded.join('|')})`;
+}
+
+/**
+ * Widest value per alias and column, ignoring each record's last value
+ * (it is never padded).
+ * @param {Map<import('./cst.js').MaxiCstList, string[]>} recordValues
+ * @returns {Map<string, number[]>}
+ */
+function columnWidths(recordValues) {
+  /** @type {Map<string, number[]>} */
+  const widths = new Map();
+  for (const [record, values] of recordValues) {
+    let cols = widths.get(record.alias);
+    if (!cols) widths.set(record.alias, (cols = []));
+    for (let i = 0; i < values.length - 1; i++) {
+      cols[i] = Math.max(cols[i] ?? 0, values[i].length);
+    }
+  }
+  return widths;
+}
+
+/**
+ * Canonical quoting for values of fields typed `str`; everything else is kept
+ * as written. Untyped fields infer their type from the text (`"123"` is a
+ * string, `123` a number), so their quotes matter. Values containing a
+ * backslash are left alone, since bare and quoted text treat it differently.
+ * @param {string} raw trimmed value text
+ * @param {import('../core/types.js').MaxiFieldDef | undefined} field
+ * @returns {string}
+ */
+function normalizeValue(raw, field) {
+  if (field?.typeExpr !== 'str') return raw;
+  if (raw === '' || raw === '~' || raw.includes('\\')) return raw;
+
+  const quoted = raw.length >= 2 && raw[0] === '"' && raw[raw.length - 1] === '"';
+  if (quoted) {
+    const inner = raw.slice(1, -1);
+    return inner.includes('"') || needsQuoting(inner) ? raw : inner;
+  }
+  if (/^[[{("]/.test(raw)) return raw;
+  return needsQuoting(raw) ? `"${escapeString(raw)}"` : raw;
+}
@@ -1,5 +1,7 @@
 import { parseMaxi } from './parse.js';
 import { getMaxiSchema } from '../core/schema-registry.js';
+import { findIdField } from '../core/types.js';
+import { getReferenceShape, mapLeaves } from '../internal/reference-resolver.js';
 
 /**
  * @typedef {import('./parse.js').MaxiParseOptions} MaxiParseOptions
@@ -13,8 +15,6 @@ import { getMaxiSchema } from '../core/schema-registry.js';
  * @property {Array<{message:string,code?:string,line?:number}>} warnings
  */
 
-const NON_REF_TYPES = new Set(['str', 'int', 'decimal', 'float', 'bool', 'bytes']);
-
 /**
  * Parse MAXI text and hydrate records into class instances.
  *
@@ -83,13 +83,25 @@ function _hydrateResult(result, classMap) {
   const objects = {};
   /** @type {Map<string, Map<string, any>>} */
   const instanceRegistry = new Map();
+  const ctx = {
+    classMap,
+    schemaByAlias,
+    instanceRegistry,
+    parsedSchema: result.schema,
+    inline: new Map(),
+    /** @type {Map<string, Function | null>} */
+    classCache: new Map(),
+    /** @type {Map<string, string[]>} */
+    subtypeCache: new Map(),
+  };
 
   for (const record of result.records) {
-    const Cls = classMap[record.alias];
+    const Cls = _mappedClassFor(record.alias, ctx);
     if (!Cls) continue;
 
-    const schema = schemaByAlias.get(record.alias);
+    const schema = _schemaFor(record.alias, ctx);
     const fieldMap = _recordToFieldMap(record, schema);
+    _hydrateInlineFields(fieldMap, schema, ctx);
     const instance = _construct(Cls, fieldMap);
 
     if (!objects[record.alias]) objects[record.alias] = [];
@@ -105,11 +117,54 @@ function _hydrateResult(result, classMap) {
     }
   }
 
-  _resolveReferences(objects, schemaByAlias, instanceRegistry, result.schema);
+  _resolveReferences([...Object.entries(objects), ...ctx.inline], ctx);
 
   return { objects, schema: result.schema, warnings: result.warnings };
 }
 
+/**
+ * Replace inline objects (also inside arrays and map values) of fields typed
+ * with a mapped alias by instances of that class, innermost first. Inline
+ * objects with an id are registered unless a record with that id exists.
+ */
+function _hydrateInlineFields(fieldMap, schema, ctx) {
+  if (!schema?.fields) return;
+  for (const field of schema.fields) {
+    const value = fieldMap[field.name];
+    if (value == null || typeof value !== 'object') continue;
+    const shape = getReferenceShape(field.typeExpr, ctx.parsedSchema);
+    const Cls = shape && _mappedClassFor(shape.alias, ctx);
+    if (!Cls) continue;
+    fieldMap[field.name] = mapLeaves(value, shape.levels, field.name, leaf =>
+      (_isPlainObject(leaf) ? _constructInline(shape.alias, Cls, leaf, ctx) : leaf));
+  }
+}
+
+function _constructInline(alias, Cls, plain, ctx) {
+  const schema = _schemaFor(alias, ctx);
+  const fieldMap = { ...plain };
+  _hydrateInlineFields(fieldMap, schema, ctx);
+  const instance = _construct(Cls, fieldMap);
+
+  if (!ctx.inline.has(alias)) ctx.inline.set(alias, []);
+  ctx.inline.get(alias).push(instance);
+
+  const idField = _findIdField(schema);
+  const idVal = idField ? fieldMap[idField] : null;
+  if (idVal != null) {
+    if (!ctx.instanceRegistry.has(alias)) ctx.instanceRegistry.set(alias, new Map());
+    const registry = ctx.instanceRegistry.get(alias);
+    if (!registry.has(String(idVal))) registry.set(String(idVal), instance);
+  }
+  return instance;
+}
+
+function _isPlainObject(value) {
+  if (value === null || typeof value !== 'object') return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
 function _recordToFieldMap(record, schema) {
   const fields = schema?.fields ?? [];
   const map = {};
@@ -139,41 +194,66 @@ function _construct(Cls, fieldMap) {
 }
 
 function _findIdField(schema) {
-  if (!schema?.fields) return null;
-  for (const f of schema.fields) {
-    if (f.constraints?.some(c => c.type === 'id')) return f.name;
-  }
-  for (const f of schema.fields) {
-    if (f.name === 'id') return f.name;
+  return findIdField(schema?.fields)?.name ?? null;
+}
+
+/**
+ * Class for a record alias: its own mapping, else the nearest mapped ancestor
+ * (breadth-first over `parents`), else null.
+ */
+function _mappedClassFor(alias, ctx) {
+  if (ctx.classCache.has(alias)) return ctx.classCache.get(alias);
+  let Cls = null;
+  const seen = new Set();
+  let level = [alias];
+  while (!Cls && level.length > 0) {
+    const next = [];
+    for (const a of level) {
+      if (seen.has(a)) continue;
+      seen.add(a);
+      if (ctx.classMap[a]) { Cls = ctx.classMap[a]; break; }
+      next.push(...(ctx.parsedSchema.getType(a)?.parents ?? []));
+    }
+    level = next;
   }
-  return null;
+  ctx.classCache.set(alias, Cls);
+  return Cls;
+}
+
+function _schemaFor(alias, ctx) {
+  return ctx.parsedSchema.getType(alias) ?? ctx.schemaByAlias.get(alias);
 }
 
-function _resolveReferences(objects, schemaByAlias, instanceRegistry, parsedSchema) {
-  for (const [alias, instances] of Object.entries(objects)) {
-    const schema = schemaByAlias.get(alias);
+function _resolveReferences(groups, ctx) {
+  for (const [alias, instances] of groups) {
+    const schema = _schemaFor(alias, ctx);
     if (!schema?.fields) continue;
     for (const instance of instances) {
       for (const field of schema.fields) {
-        const refAlias = _getRefAlias(field.typeExpr, parsedSchema);
-        if (!refAlias) continue;
-        const refRegistry = instanceRegistry.get(refAlias);
-        if (!refRegistry) continue;
+        const shape = getReferenceShape(field.typeExpr, ctx.parsedSchema);
+        if (!shape) continue;
         const currentVal = instance[field.name];
-        if (currentVal == null || typeof currentVal === 'object') continue;
-        const resolved = refRegistry.get(String(currentVal));
-        if (resolved !== undefined) instance[field.name] = resolved;
+        if (currentVal == null) continue;
+        if (!ctx.subtypeCache.has(shape.alias)) {
+          ctx.subtypeCache.set(shape.alias, ctx.parsedSchema.getSubtypeAliases(shape.alias));
+        }
+        const registries = ctx.subtypeCache.get(shape.alias)
+          .map(a => ctx.instanceRegistry.get(a))
+          .filter(Boolean);
+        if (registries.length === 0) continue;
+        // Arrays, nested arrays and map values are resolved element-wise; unresolved ids stay scalar
+        // (the parser already warned about them with their path).
+        const resolved = mapLeaves(currentVal, shape.levels, field.name, ref => {
+          if (typeof ref === 'object') return ref;
+          const key = String(ref);
+          for (const registry of registries) {
+            const hit = registry.get(key);
+            if (hit !== undefined) return hit;
+          }
+          return ref;
+        });
+        if (resolved !== currentVal) instance[field.name] = resolved;
       }
     }
   }
 }
-
-function _getRefAlias(typeExpr, parsedSchema) {
-  if (!typeExpr) return null;
-  let t = typeExpr.trim().replace(/(\[\])+$/, '');
-  if (NON_REF_TYPES.has(t)) return null;
-  if (t === 'map' || t.startsWith('map<')) return null;
-  if (t.startsWith('enum')) return null;
-  if (parsedSchema.hasType(t)) return t;
-  return null;
-}
@@ -0,0 +1,197 @@
+import { MaxiDecimal, MaxiParseResult, MaxiRecord } from '../core/types.js';
+import { MaxiError } from '../core/errors.js';
+import { getMaxiType } from '../core/type-registry.js';
+import { getMaxiAnnotation } from '../core/annotation-registry.js';
+import { SchemaParser } from '../internal/schema-parser.js';
+import { RecordParser } from '../internal/record-parser.js';
+import { splitRecordsText } from '../internal/record-scanner.js';
+import { resolveRecordReferences, setSourcePosition, splitSections } from './parse.js';
+
+/**
+ * @typedef {Object} MaxiParallelOptions
+ * @property {number} [workers] worker threads to use (default: `os.availableParallelism()`)
+ */
+
+/**
+ * Parse MAXI input with the records section decoded on worker threads
+ * (Node.js only).
+ *
+ * The schema is parsed once on the calling thread (`@schema` imports are
+ * loaded there and their text is handed to the workers). The records section
+ * is split at line breaks between records into one chunk per worker; chunks
+ * are decoded in parallel and merged in input order. Duplicate-id detection
+ * and reference validation then run over the whole dataset, so the result,
+ * warnings and errors match `parseMaxi`. If several chunks fail, the error
+ * that comes first in the input is thrown.
+ *
+ * Options are copied to the workers, so function-valued `decimalMode` and
+ * `temporalMode` are not supported, and neither are schemas using types
+ * registered with `registerMaxiType` or annotations registered with
+ * `registerMaxiAnnotation`.
+ *
+ * @param {string} input
+ * @param {MaxiParallelOptions & import('./parse.js').MaxiParseOptions} [options]
+ * @returns {Promise<MaxiParseResult>}
+ */
+export async function parseMaxiParallel(input, options = {}) {
+  const { workers: workerCount, ...parseOptions } = options;
+  for (const name of /** @type {const} */ (['decimalMode', 'temporalMode'])) {
+    if (typeof parseOptions[name] === 'function') {
+      throw new TypeError(`parseMaxiParallel does not support a function ${name}: options are copied to worker threads.`);
+    }
+  }
+  const workers = workerCount ?? (await import('node:os')).availableParallelism();
+  if (!Number.isInteger(workers) || workers < 1) {
+    throw new TypeError(`Invalid workers '${workers}'. Expected a positive integer.`);
+  }
+
+  const result = new MaxiParseResult();
+  const { schemaSection, recordsSection, schemaOffset, recordsOffset } = splitSections(input);
+
+  /** @type {Record<string, string>} */
+  const imports = {};
+  const loadSchema = parseOptions.loadSchema;
+  const schemaParser = new SchemaParser(schemaSection, result, {
+    ...parseOptions,
+    loadSchema: loadSchema && (async path => (imports[path] = await loadSchema(path))),
+  });
+  setSourcePosition(schemaParser, input, schemaOffset);
+  await schemaParser.parse();
+
+  // Validates the options before any worker starts; later checks ids across chunks.
+  const idChecker = new RecordParser(recordsSection ?? '', result, parseOptions);
+  setSourcePosition(idChecker, input, recordsOffset);
+
+  const chunks = recordsSection ? splitRecordsText(recordsSection, workers) : [];
+  if (chunks.length <= 1) {
+    await idChecker.parse();
+    resolveRecordReferences(result, parseOptions, input);
+    return result;
+  }
+  for (const typeDef of result.schema.types.values()) {
+    const field = typeDef.fields.find(f => f.typeExpr?.split(/\W+/).some(getMaxiType) || getMaxiAnnotation(f.annotation));
+    if (field) {
+      throw new TypeError(`parseMaxiParallel does not support custom type or annotation fields ('${typeDef.alias}.${field.name}'): registered types and annotations are not available on worker threads.`);
+    }
+  }
+
+  // Warnings are handed to `onWarning` and counted here, as chunks are merged;
+  // directive handlers ran with the schema above.
+  const { loadSchema: _loadSchema, onWarning: _onWarning, maxWarnings: _maxWarnings, directives: _directives, ...workerOptions } = parseOptions;
+  const outcomes = await Promise.all(chunks.map(chunk => runWorker({
+    schemaSection,
+    imports,
+    options: workerOptions,
+    text: chunk.text,
+    firstLine: idChecker.firstLine + chunk.lineOffset,
+    sourceOffset: recordsOffset === null ? null : recordsOffset + chunk.offset,
+    firstColumn: chunk.offset === 0 ? idChecker.firstColumn : 1,
+  })));
+
+  const restore = parseOptions.decimalMode === 'bigint-scaled' || parseOptions.bytesMode === 'buffer'
+    ? (/** @type {unknown} */ v) => restoreValue(v, parseOptions)
+    : null;
+
+  for (const { records, locations, warnings, errors, error } of outcomes) {
+    const warningStart = result.warnings.length;
+    const errorStart = result.errors.length;
+    result.warnings.push(...warnings);
+    for (const e of errors) result.errors.push(/** @type {MaxiError} */ (toError(e)));
+    const checkedWarnings = result.warnings.length;
+    const checkedErrors = result.errors.length;
+
+    for (let r = 0; r < records.length; r++) {
+      const { alias, values, lineNumber } = records[r];
+      const { column, span } = locations[r];
+      if (restore) for (let i = 0; i < values.length; i++) values[i] = restore(values[i]);
+      const typeDef = result.schema.getType(alias);
+      if (typeDef) {
+        typeDef._ensureCache();
+        const warningCount = result.warnings.length;
+        try {
+          idChecker.checkDuplicateId(alias, typeDef, values, lineNumber);
+        } catch (e) {
+          idChecker.collectError(e, { alias, column, span });
+          continue;
+        }
+        idChecker.locateWarnings(warningCount, { column, span });
+      }
+      result.records.push(new MaxiRecord({ alias, values, lineNumber, column, span }));
+    }
+
+    // Put duplicate-id findings next to the others for their record.
+    if (result.warnings.length > checkedWarnings) sortByLine(result.warnings, warningStart);
+    if (result.errors.length > checkedErrors) sortByLine(result.errors, errorStart);
+    result.reportWarnings(parseOptions);
+    if (error) throw toError(error);
+  }
+
+  resolveRecordReferences(result, parseOptions, input);
+  return result;
+}
+
+/**
+ * @param {object} workerData
+ * @returns {Promise<{records: MaxiRecord[], locations: Array<{column: number, span: import('../core/types.js').MaxiSpan | null}>, warnings: MaxiParseResult['warnings'], errors: any[], error: any}>}
+ */
+async function runWorker(workerData) {
+  const { Worker } = await import('node:worker_threads');
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('../internal/parallel-worker.js', import.meta.url), { workerData });
+    worker.once('message', resolve);
+    worker.once('error', reject);
+    worker.once('exit', code => {
+      if (code !== 0) reject(new Error(`MAXI parse worker stopped with exit code ${code}`));
+    });
+  });
+}
+
+/**
+ * Stable sort of `list` from `start` on by line.
+ * @param {Array<{line?: number | null}>} list
+ * @param {number} start
+ */
+function sortByLine(list, start) {
+  const sorted = list.slice(start).sort((a, b) => (a.line ?? 0) - (b.line ?? 0));
+  list.splice(start, sorted.length, ...sorted);
+}
+
+/**
+ * Rebuild an error posted by a worker.
+ * @param {{name: string, message: string, code?: string, line?: number, column?: number, span?: import('../core/types.js').MaxiSpan, filename?: string, alias?: string}} error
+ * @returns {Error}
+ */
+function toError(error) {
+  if (error.name === 'MaxiError') {
+    const { line, column, span, filename, alias } = error;
+    return new MaxiError(error.message, error.code, { line, column, span, filename, alias });
+  }
+  const ErrorClass = error.name === 'TypeError' ? TypeError : error.name === 'RangeError' ? RangeError : Error;
+  return new ErrorClass(error.message);
+}
+
+/**
+ * Undo what structured cloning does to decoded values: `MaxiDecimal`
+ * instances arrive as plain objects and `Buffer`s as `Uint8Array`s.
+ * @param {unknown} value
+ * @param {import('./parse.js').MaxiParseOptions} options
+ * @returns {unknown}
+ */
+function restoreValue(value, options) {
+  if (value === null || typeof value !== 'object' || value instanceof Date) return value;
+  if (value instanceof Uint8Array) {
+    return options.bytesMode === 'buffer' ? Buffer.from(value.buffer, value.byteOffset, value.byteLength) : value;
+  }
+  if (Array.isArray(value)) {
+    for (let i = 0; i < value.length; i++) value[i] = restoreValue(value[i], options);
+    return value;
+  }
+  const obj = /** @type {Record<string, unknown>} */ (value);
+  const keys = Object.keys(obj);
+  if (options.decimalMode === 'bigint-scaled' && keys.length === 3 &&
+      typeof obj.unscaled === 'bigint' && typeof obj.scale === 'number' && typeof obj.negative === 'boolean') {
+    return Object.setPrototypeOf(obj, MaxiDecimal.prototype);
+  }
+  for (const key of keys) obj[key] = restoreValue(obj[key], options);
+  return obj;
+}
@@ -1,9 +1,14 @@
-import { MaxiParseResult } from '../core/types.js';
+import { MaxiParseResult, MaxiSchema } from '../core/types.js';
+import { MaxiError, MaxiErrorCode } from '../core/errors.js';
 import { SchemaParser } from '../internal/schema-parser.js';
 import { RecordParser } from '../internal/record-parser.js';
-import { buildObjectRegistry, validateReferences } from '../internal/reference-resolver.js';
+import { buildObjectRegistry, getReferenceShape, validateReferences } from '../internal/reference-resolver.js';
+import { lineStarts } from '../internal/source-position.js';
 
-const NON_REF_TYPES = new Set(['str', 'int', 'decimal', 'float', 'bool', 'bytes']);
+const SEPARATOR_RE = /^[ \t]*###[ \t]*(?:\r?\n|$)/m;
+
+/** Reference-field flag of each compiled (frozen) schema. */
+const compiledReferences = new WeakMap();
 
 /**
  * @typedef {Object} MaxiParseOptions
@@ -13,8 +18,17 @@ const NON_REF_TYPES = new Set(['str', 'int', 'decimal', 'float', 'bool', 'bytes'
  * @property {'warning'|'error'} [allowConstraintViolations='warning']
  * @property {boolean} [allowForwardReferences=true]
  * @property {'ignore'|'warning'|'error'} [allowUnknownTypes='warning']
+ * @property {boolean} [compileDecoders=false] decode records with per-type generated functions (see docs/parser.md)
+ * @property {boolean} [recover=false] collect errors in `result.errors` and keep parsing instead of throwing the first
+ * @property {(warning: import('../core/types.js').MaxiDiagnostic) => void} [onWarning] called with each warning once it is complete
+ * @property {number} [maxWarnings] abort with E603 when there are more warnings than this
+ * @property {'number'|'bigint'|'auto'} [intMode='number']
+ * @property {'string'|'uint8array'|'buffer'} [bytesMode='string']
+ * @property {'string'|'date'|((value: string|number, annotation: 'date'|'datetime'|'time'|'timestamp', field: import('../core/types.js').MaxiFieldDef) => any)} [temporalMode='string']
+ * @property {'number'|'string'|'bigint-scaled'|((literal: string, field: import('../core/types.js').MaxiFieldDef | null) => any)} [decimalMode='number']
  * @property {string} [filename]
  * @property {(pathOrUrl: string) => Promise<string>|string} [loadSchema]
+ * @property {Record<string, (value: string, line: number, schema: import('../core/types.js').MaxiSchema) => void | Promise<void>>} [directives] handlers for directives other than `@maxi`, `@version` and `@schema`, by name
  */
 
 /**
@@ -26,53 +40,200 @@ const NON_REF_TYPES = new Set(['str', 'int', 'decimal', 'float', 'bool', 'bytes'
 export async function parseMaxi(input, options = {}) {
   const result = new MaxiParseResult();
 
-  const { schemaSection, recordsSection } = splitSections(input);
+  const { schemaSection, recordsSection, schemaOffset, recordsOffset } = splitSections(input);
 
   const schemaParser = new SchemaParser(schemaSection, result, options);
+  setSourcePosition(schemaParser, input, schemaOffset);
   await schemaParser.parse();
 
   if (recordsSection) {
     const recordParser = new RecordParser(recordsSection, result, options);
+    setSourcePosition(recordParser, input, recordsOffset);
     await recordParser.parse?.();
   }
 
-  if (result.records.length > 0 && result.schema.types.size > 0) {
-    // Only build registry if any field references another type
-    let hasRefs = false;
-    for (const [, typeDef] of result.schema.types) {
-      for (const field of typeDef.fields) {
-        if (field.typeExpr && !NON_REF_TYPES.has(field.typeExpr) &&
-            !field.typeExpr.startsWith('enum') && field.typeExpr !== 'map' &&
-            !field.typeExpr.startsWith('map<')) {
-          hasRefs = true;
-          break;
-        }
-      }
-      if (hasRefs) break;
-    }
+  resolveRecordReferences(result, options, input);
 
-    if (hasRefs) {
-      const registry = buildObjectRegistry(result);
-      Object.defineProperty(result, '_objectRegistry', {
-        value: registry,
-        enumerable: false,
-        configurable: true,
-        writable: true,
-      });
-      validateReferences(result, registry, options.filename, options);
-    }
+  return result;
+}
+
+/**
+ * Parse a schema once for reuse across many `parseMaxiRecords` calls.
+ *
+ * `text` is a schema section (directives and type definitions, optionally
+ * followed by a bare `###`). `@schema` imports are loaded, inheritance is
+ * resolved and per-type caches are built here, once. The returned schema is
+ * frozen: its types, fields and type map reject changes, so it can be shared
+ * between concurrent parses. Schema warnings are kept on `schema.warnings`.
+ * The `recover` option does not apply here: an invalid schema always throws.
+ *
+ * @param {string} text
+ * @param {MaxiParseOptions} [options]
+ * @returns {Promise<MaxiSchema>}
+ */
+export async function compileMaxiSchema(text, options = {}) {
+  const match = SEPARATOR_RE.exec(text);
+  if (match && text.slice(match.index + match[0].length).trim()) {
+    throw new MaxiError(
+      'compileMaxiSchema expects schema text only; parse records with parseMaxiRecords',
+      MaxiErrorCode.InvalidSyntaxError,
+      { filename: options.filename }
+    );
+  }
+
+  const result = new MaxiParseResult();
+  await new SchemaParser(match ? text.slice(0, match.index) : text, result, { ...options, recover: false }).parse();
+
+  const schema = result.schema;
+  for (const typeDef of schema.types.values()) {
+    typeDef._ensureCache();
+    for (const field of typeDef.fields) Object.freeze(field);
+    Object.freeze(typeDef.fields);
+    Object.freeze(typeDef.parents);
+    Object.freeze(typeDef);
+  }
+  compiledReferences.set(schema, hasReferenceFields(schema));
+  Object.defineProperty(schema, 'warnings', { value: Object.freeze(result.warnings), enumerable: false });
+  freezeMap(schema.types);
+  if (schema._nameToAlias) freezeMap(schema._nameToAlias);
+  Object.freeze(schema.imports);
+  for (const directive of schema.directives) Object.freeze(directive);
+  Object.freeze(schema.directives);
+  return Object.freeze(schema);
+}
+
+/**
+ * Parse a records-only payload against a schema from `compileMaxiSchema`
+ * (or any other `MaxiSchema`). Nothing schema-related is re-parsed; the
+ * result's `schema` is `compiledSchema` itself.
+ *
+ * @param {string} recordsText records, optionally preceded by `###`
+ * @param {MaxiSchema} compiledSchema
+ * @param {MaxiParseOptions} [options]
+ * @returns {Promise<MaxiParseResult>}
+ */
+export async function parseMaxiRecords(recordsText, compiledSchema, options = {}) {
+  if (!(compiledSchema instanceof MaxiSchema)) {
+    throw new TypeError('parseMaxiRecords expects a MaxiSchema (see compileMaxiSchema).');
   }
 
+  const result = new MaxiParseResult();
+  result.schema = compiledSchema;
+
+  const match = SEPARATOR_RE.exec(recordsText);
+  const offset = match && !recordsText.slice(0, match.index).trim() ? match.index + match[0].length : 0;
+  const text = recordsText.slice(offset);
+
+  if (text.trim()) {
+    const recordParser = new RecordParser(text, result, options);
+    setSourcePosition(recordParser, recordsText, offset);
+    await recordParser.parse?.();
+  }
+
+  resolveRecordReferences(result, options, recordsText);
   return result;
 }
 
 /**
+ * Build the object registry and validate references, if any field can hold one.
+ * @param {MaxiParseResult} result
+ * @param {MaxiParseOptions} options
+ * @param {string | null} [input] text the records' spans are offsets into, to locate bad references
+ */
+export function resolveRecordReferences(result, options, input = null) {
+  if (result.records.length === 0 || result.schema.types.size === 0) return;
+
+  // Only build registry if any field references another type
+  const hasRefs = compiledReferences.get(result.schema) ?? hasReferenceFields(result.schema);
+  if (!hasRefs) return;
+
+  const registry = buildObjectRegistry(result);
+  Object.defineProperty(result, '_objectRegistry', {
+    value: registry,
+    enumerable: false,
+    configurable: true,
+    writable: true,
+  });
+  validateReferences(result, registry, options.filename, options, input);
+  result.reportWarnings(options);
+}
+
+/**
+ * @param {MaxiSchema} schema
+ * @returns {boolean}
+ */
+function hasReferenceFields(schema) {
+  for (const [, typeDef] of schema.types) {
+    for (const field of typeDef.fields) {
+      if (getReferenceShape(field.typeExpr, schema)) return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Make a Map read-only in place: mutators throw, lookups keep working.
+ * @param {Map<any, any>} map
+ */
+function freezeMap(map) {
+  const readOnly = () => {
+    throw new TypeError('Cannot modify a compiled MAXI schema');
+  };
+  for (const method of ['set', 'delete', 'clear']) {
+    Object.defineProperty(map, method, { value: readOnly });
+  }
+  Object.freeze(map);
+}
+
+/**
+ * Tell `parser` where its text starts in `input`, so diagnostics carry
+ * source spans and lines of `input`; `offset` is null when the text is not a
+ * slice of `input`.
+ * @param {{sourceOffset: number | null, firstLine: number, firstColumn: number}} parser
+ * @param {string} input
+ * @param {number | null} offset
+ */
+export function setSourcePosition(parser, input, offset) {
+  parser.sourceOffset = offset;
+  if (!offset) return;
+  parser.firstLine = lineStarts(input.slice(0, offset)).length;
+  parser.firstColumn = offset - input.lastIndexOf('\n', offset - 1);
+}
+
+/**
+ * Whether `line` can only be in the schema section: a directive, or a type
+ * definition with a name (`U:User(`) or parents (`U<P>(`).
+ * @param {string} line
+ * @returns {boolean}
+ */
+export function isSchemaLine(line) {
+  return /^[ \t]*(@|[A-Za-z_][A-Za-z0-9_-]*[ \t]*(:|<[^>]+>[ \t]*\())/.test(line);
+}
+
+/**
+ * Whether `line` can only be a record: it opens with `Alias(` and one of its
+ * values cannot start a field definition (a number, quoted string, list, `~`,
+ * …), so it is not a short-form type definition such as `U(id:int|name)`.
+ * @param {string} line
+ * @returns {boolean}
+ */
+export function isRecordLine(line) {
+  const open = /^[ \t]*[A-Za-z_][A-Za-z0-9_-]*[ \t]*\(/.exec(line);
+  if (!open) return false;
+  return line.slice(open[0].length).split('|').some(part => {
+    const value = part.trim();
+    return value !== '' && !/^[A-Za-z_]/.test(value);
+  });
+}
+
+/**
+ * Split input at the `###` line. The offsets say where each section starts
+ * in `input`, or are null when the section is not a slice of it.
  * @param {string} input
- * @returns {{schemaSection: string, recordsSection: string | null}}
+ * @returns {{schemaSection: string, recordsSection: string | null, schemaOffset: number | null, recordsOffset: number | null}}
  */
-function splitSections(input) {
-  const separatorRegex = /^[ \t]*###[ \t]*(?:\r?\n|$)/m;
-  const match = separatorRegex.exec(input);
+export function splitSections(input) {
+  const match = SEPARATOR_RE.exec(input);
 
   if (!match) {
     const hasDirective = /^[ \t]*@/m.test(input);
@@ -94,19 +255,24 @@ function splitSections(input) {
         const recordsText = recordLines.join('\n').trim();
         return {
           schemaSection: schemaLines.join('\n').trim(),
-          recordsSection: recordsText || null
+          recordsSection: recordsText || null,
+          schemaOffset: null,
+          recordsOffset: null
         };
       }
-      return { schemaSection: input, recordsSection: null };
+      return { schemaSection: input, recordsSection: null, schemaOffset: 0, recordsOffset: null };
     }
-    return { schemaSection: '', recordsSection: input };
+    return { schemaSection: '', recordsSection: input, schemaOffset: null, recordsOffset: 0 };
   }
 
+  const recordsStart = match.index + match[0].length;
   const schemaSection = input.slice(0, match.index).trim();
-  const recordsSection = input.slice(match.index + match[0].length).trim();
+  const recordsSection = input.slice(recordsStart).trim();
 
   return {
     schemaSection,
-    recordsSection: recordsSection || null
+    recordsSection: recordsSection || null,
+    schemaOffset: schemaSection ? input.indexOf(schemaSection) : 0,
+    recordsOffset: recordsSection ? input.indexOf(recordsSection, recordsStart) : null
   };
 }
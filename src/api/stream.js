@@ -2,6 +2,8 @@ import { MaxiParseResult } from '../core/types.js';
 import { MaxiError, MaxiErrorCode } from '../core/errors.js';
 import { SchemaParser } from '../internal/schema-parser.js';
 import { RecordParser } from '../internal/record-parser.js';
+import { RecordScanner } from '../internal/record-scanner.js';
+import { isRecordLine, isSchemaLine, setSourcePosition } from './parse.js';
 
 /**
  * @typedef {import('./parse.js').MaxiParseOptions} MaxiParseOptions
@@ -20,7 +22,7 @@ export class MaxiStreamResult {
   constructor(schema, recordIterator, result) {
     /** @type {import('../core/types.js').MaxiSchema} */
     this.schema = schema;
-    /** @type {Array<{message: string, code?: string, line?: number}>} */
+    /** @type {import('../core/types.js').MaxiDiagnostic[]} */
     this.warnings = result.warnings;
     /** @private */
     this._iterator = recordIterator;
@@ -39,101 +41,211 @@ export class MaxiStreamResult {
   }
 }
 
+/**
+ * @typedef {string | AsyncIterable<string|Uint8Array> | ReadableStream<string|Uint8Array>} MaxiStreamInput
+ */
+
 /**
  * Parse MAXI input in streaming mode.
  * Phase 1 (schema) completes before returning; phase 2 yields records lazily.
- * @param {string} input
+ *
+ * `input` may be a complete string, a Node `Readable`, a WHATWG
+ * `ReadableStream`, or any `AsyncIterable` of string / `Uint8Array` chunks
+ * (bytes are decoded as UTF-8). Chunked input is consumed incrementally:
+ * only the schema section and the record currently being scanned are held
+ * in memory.
+ *
+ * @param {MaxiStreamInput} input
  * @param {MaxiParseOptions} [options]
  * @returns {Promise<MaxiStreamResult>}
  */
 export async function streamMaxi(input, options = {}) {
   const result = new MaxiParseResult();
 
-  const { schemaSection, recordsSection } = splitSections(input);
+  if (typeof input === 'string') {
+    const { schemaSection, recordsSection, schemaOffset, recordsOffset } = splitSections(input);
+
+    const schemaParser = new SchemaParser(schemaSection, result, options);
+    setSourcePosition(schemaParser, input, schemaOffset);
+    await schemaParser.parse();
+
+    const scanner = new RecordScanner(options);
+    setSourcePosition(scanner, input, recordsOffset);
+    if (recordsSection) scanner.push(recordsSection);
+    scanner.end();
+
+    const recordIterator = generateRecords(scanner, null, result, options);
+    return new MaxiStreamResult(result.schema, recordIterator, result);
+  }
+
+  const source = toChunkIterator(input);
+  let head;
+  try {
+    head = await readSchemaSection(source);
+  } catch (err) {
+    await source.return?.();
+    throw err;
+  }
+
+  try {
+    const schemaParser = new SchemaParser(head.schemaSection, result, options);
+    setSourcePosition(schemaParser, head.input, head.schemaOffset);
+    await schemaParser.parse();
+  } catch (err) {
+    await source.return?.();
+    throw err;
+  }
 
-  const schemaParser = new SchemaParser(schemaSection, result, options);
-  await schemaParser.parse();
+  const scanner = new RecordScanner(options);
+  setSourcePosition(scanner, head.input, head.recordsOffset);
+  if (head.recordsText) scanner.push(head.recordsText);
+  if (head.done) scanner.end();
 
-  const recordIterator = generateRecords(recordsSection, result, options);
+  const recordIterator = generateRecords(scanner, head.done ? null : source, result, options);
   return new MaxiStreamResult(result.schema, recordIterator, result);
 }
 
-async function* generateRecords(recordsText, result, options) {
-  if (!recordsText || !recordsText.trim()) return;
-
-  const parser = new RecordParser(recordsText, result, options);
-  const text = recordsText;
-  const len = text.length;
-  let i = 0;
-  let lineNumber = 1;
-
-  const isIdentStart = (c) => (c >= 'A' && c <= 'Z') || (c >= 'a' && c <= 'z') || c === '_';
-  const isIdentChar = (c) =>
-    isIdentStart(c) || (c >= '0' && c <= '9') || c === '-' || c === '_';
-
-  while (i < len) {
-    const ch = text[i];
-    if (ch === '\n') { lineNumber++; i++; continue; }
-    if (ch === ' ' || ch === '\t' || ch === '\r') { i++; continue; }
-    if (!isIdentStart(ch)) { i++; continue; }
-
-    const aliasStart = i;
-    i++;
-    while (i < len && isIdentChar(text[i])) i++;
-    const alias = text.slice(aliasStart, i);
-
-    while (i < len && (text[i] === ' ' || text[i] === '\t' || text[i] === '\r')) i++;
-    if (i >= len || text[i] !== '(') continue;
-
-    const recordLine = lineNumber;
-    i++;
-    const valuesStart = i;
-
-    let parenDepth = 1;
-    let bracketDepth = 0;
-    let braceDepth = 0;
-    let inString = false;
-    let escapeNext = false;
-
-    while (i < len) {
-      const c = text[i];
-      if (c === '\n') lineNumber++;
-      if (escapeNext) { escapeNext = false; i++; continue; }
-      if (inString) {
-        if (c === '\\') escapeNext = true;
-        else if (c === '"') inString = false;
-        i++; continue;
+/**
+ * @param {RecordScanner} scanner
+ * @param {AsyncIterator<string> | null} source remaining chunks, or null if the scanner already holds all input
+ * @param {MaxiParseResult} result
+ * @param {MaxiParseOptions} options
+ */
+async function* generateRecords(scanner, source, result, options) {
+  const parser = new RecordParser('', result, options);
+  let exhausted = source === null;
+
+  try {
+    while (true) {
+      const rec = scanner.next();
+      if (rec) {
+        const record = parser.parseSingleRecord(rec.alias, rec.valuesStr, rec.lineNumber, rec);
+        result.reportWarnings(options);
+        yield record;
+        continue;
       }
-      if (c === '"') { inString = true; i++; continue; }
-      if (c === '(') parenDepth++;
-      else if (c === ')') { parenDepth--; if (parenDepth === 0) break; }
-      else if (c === '[') bracketDepth++;
-      else if (c === ']') bracketDepth = Math.max(0, bracketDepth - 1);
-      else if (c === '{') braceDepth++;
-      else if (c === '}') braceDepth = Math.max(0, braceDepth - 1);
-      i++;
+      if (exhausted) return;
+
+      const { value, done } = await source.next();
+      if (done) {
+        exhausted = true;
+        scanner.end();
+      } else {
+        scanner.push(value);
+      }
+    }
+  } finally {
+    if (!exhausted) await source.return?.();
+  }
+}
+
+const SEPARATOR_LINE_RE = /^[ \t]*###[ \t]*\r?$/;
+
+/**
+ * Pull chunks until the `###` separator line has been seen (or the input ends).
+ * A line that can only be a record, before any directive or named type
+ * definition, means the input has no schema, so records start streaming right
+ * away instead of after all input. Short-form type definitions (`U(id|name)`)
+ * look like records, so they keep the schema buffering until `###`.
+ * `input` is the text read so far, which the offsets point into.
+ * @param {AsyncIterator<string>} source
+ * @returns {Promise<{input: string, schemaSection: string, recordsText: string | null, schemaOffset: number | null, recordsOffset: number | null, done: boolean}>}
+ */
+async function readSchemaSection(source) {
+  let buf = '';
+  let scanFrom = 0;
+  let sawSchemaLine = false;
+
+  while (true) {
+    const { value, done } = await source.next();
+    if (done) {
+      const { schemaSection, recordsSection, schemaOffset, recordsOffset } = splitSections(buf);
+      return { input: buf, schemaSection, recordsText: recordsSection, schemaOffset, recordsOffset, done: true };
     }
+    buf += value;
 
-    if (i >= len || text[i] !== ')' || parenDepth !== 0 || bracketDepth !== 0 || braceDepth !== 0) {
-      if (bracketDepth !== 0) {
-        throw new MaxiError(
-          `Malformed array: unmatched bracket in record '${alias}'`,
-          MaxiErrorCode.ArraySyntaxError,
-          { line: recordLine, filename: options.filename }
-        );
+    // Only complete lines are inspected, so a separator split across chunks
+    // (e.g. `##` + `#\n`) is still recognised once its line is complete.
+    let nl;
+    while ((nl = buf.indexOf('\n', scanFrom)) !== -1) {
+      const line = buf.slice(scanFrom, nl);
+      if (isSchemaLine(line)) {
+        sawSchemaLine = true;
+      } else if (!sawSchemaLine && isRecordLine(line)) {
+        return { input: buf, schemaSection: '', recordsText: buf, schemaOffset: null, recordsOffset: 0, done: false };
       }
-      throw new MaxiError(
-        `Unclosed record parentheses for '${alias}'`,
-        MaxiErrorCode.InvalidSyntaxError,
-        { line: recordLine, filename: options.filename }
-      );
+      if (SEPARATOR_LINE_RE.test(line)) {
+        const schemaSection = buf.slice(0, scanFrom).trim();
+        return {
+          input: buf,
+          schemaSection,
+          recordsText: buf.slice(nl + 1),
+          schemaOffset: schemaSection ? buf.indexOf(schemaSection) : 0,
+          recordsOffset: nl + 1,
+          done: false,
+        };
+      }
+      scanFrom = nl + 1;
     }
+  }
+}
+
+/**
+ * Normalize supported stream inputs into an async iterator of decoded strings.
+ * @param {AsyncIterable<string|Uint8Array> | ReadableStream<string|Uint8Array>} input
+ * @returns {AsyncIterator<string>}
+ */
+function toChunkIterator(input) {
+  /** @type {AsyncIterable<string|Uint8Array>} */
+  let iterable;
+  if (input && typeof input[Symbol.asyncIterator] === 'function') {
+    iterable = /** @type {AsyncIterable<string|Uint8Array>} */ (input);
+  } else if (input && typeof (/** @type {any} */ (input)).getReader === 'function') {
+    iterable = readableStreamChunks(/** @type {ReadableStream<string|Uint8Array>} */ (input));
+  } else {
+    throw new TypeError('streamMaxi: input must be a string, ReadableStream, or AsyncIterable of string/Uint8Array chunks.');
+  }
+  return decodeChunks(iterable)[Symbol.asyncIterator]();
+}
 
-    const valuesStr = text.slice(valuesStart, i);
-    i++;
+/**
+ * @param {ReadableStream<string|Uint8Array>} stream
+ * @returns {AsyncGenerator<string|Uint8Array>}
+ */
+async function* readableStreamChunks(stream) {
+  const reader = stream.getReader();
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) return;
+      yield value;
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
 
-    yield parser.parseSingleRecord(alias, valuesStr, recordLine);
+/**
+ * @param {AsyncIterable<string|Uint8Array>} iterable
+ * @returns {AsyncGenerator<string>}
+ */
+async function* decodeChunks(iterable) {
+  const decoder = new TextDecoder('utf-8');
+  for await (const chunk of iterable) {
+    if (typeof chunk === 'string') {
+      yield chunk;
+    } else if (chunk instanceof Uint8Array) {
+      const s = decoder.decode(chunk, { stream: true });
+      if (s) yield s;
+    } else {
+      throw new MaxiError(
+        `Unsupported stream chunk type: ${chunk === null ? 'null' : typeof chunk}`,
+        MaxiErrorCode.StreamError
+      );
+    }
   }
+  const tail = decoder.decode();
+  if (tail) yield tail;
 }
 
 function splitSections(input) {
@@ -146,12 +258,18 @@ function splitSections(input) {
     const hasInheritanceTypeDef = /^[ \t]*[A-Za-z_][A-Za-z0-9_-]*[ \t]*<[^>]+>[ \t]*\(/m.test(input);
 
     if (hasDirective || hasExplicitTypeDef || hasInheritanceTypeDef) {
-      return { schemaSection: input, recordsSection: null };
+      return { schemaSection: input, recordsSection: null, schemaOffset: 0, recordsOffset: null };
     }
-    return { schemaSection: '', recordsSection: input };
+    return { schemaSection: '', recordsSection: input, schemaOffset: null, recordsOffset: 0 };
   }
 
+  const recordsStart = match.index + match[0].length;
   const schemaSection = input.slice(0, match.index).trim();
-  const recordsSection = input.slice(match.index + match[0].length).trim();
-  return { schemaSection, recordsSection: recordsSection || null };
+  const recordsSection = input.slice(recordsStart).trim();
+  return {
+    schemaSection,
+    recordsSection: recordsSection || null,
+    schemaOffset: schemaSection ? input.indexOf(schemaSection) : 0,
+    recordsOffset: recordsSection ? input.indexOf(recordsSection, recordsStart) : null,
+  };
 }
@@ -0,0 +1,222 @@
+import { MaxiError, MaxiErrorCode } from '../core/errors.js';
+import {
+  collectReferencedObjectsIterative,
+  dumpObjectAsRecord,
+  dumpSchemaHeader,
+  normalizeTypes,
+  resolveInheritanceForDump,
+} from './dump.js';
+
+/**
+ * @typedef {import('./dump.js').MaxiDumpOptions} MaxiDumpOptions
+ * @typedef {import('./dump.js').MaxiDumpTypeInput} MaxiDumpTypeInput
+ */
+
+/**
+ * @typedef {import('node:stream').Writable | WritableStream<string>} MaxiWriterDestination
+ */
+
+/**
+ * Incremental MAXI serializer.
+ *
+ * Writes the schema header and `###` once, then one record per `write()` call,
+ * honouring the destination's backpressure. Records are encoded exactly like
+ * `dumpMaxi` does (same `dumpObjectAsRecord` rules), but nothing is buffered
+ * beyond the current record, so output size is not limited by memory.
+ *
+ * With `collectReferences` (default `true`), nested typed objects that carry an
+ * id are emitted as their own records right after the first record that
+ * references them. Each object instance is emitted at most once; seen objects
+ * are tracked in a `WeakSet`.
+ *
+ * @example
+ * const writer = new MaxiWriter(fs.createWriteStream('users.maxi'), {
+ *   defaultAlias: 'U',
+ *   types: [{ alias: 'U', fields: [{ name: 'id', typeExpr: 'int' }, { name: 'name' }] }],
+ * });
+ * for await (const row of cursor) await writer.write(row);
+ * await writer.end();
+ */
+export class MaxiWriter {
+  /**
+   * @param {MaxiWriterDestination} destination Node `Writable` or WHATWG `WritableStream` accepting strings
+   * @param {MaxiDumpOptions} [options]
+   */
+  constructor(destination, options = {}) {
+    this.options = options;
+    this._sink = createSink(destination);
+    this._multiline = options.multiline ?? false;
+    this._includeTypes = options.includeTypes ?? true;
+    this._collectRefs = options.collectReferences ?? true;
+
+    this._types = normalizeTypes(options.types);
+    resolveInheritanceForDump(this._types);
+
+    /** @type {WeakSet<object>} */
+    this._seen = new WeakSet();
+    this._headerWritten = false;
+    this._ended = false;
+    /** @type {Promise<void>} */
+    this._queue = Promise.resolve();
+  }
+
+  /**
+   * Serialize one object as a record. Resolves once the destination is ready
+   * to accept more data; await it to get backpressure.
+   * @param {Record<string, any>} obj
+   * @param {string} [alias] defaults to `options.defaultAlias`
+   * @returns {Promise<void>}
+   */
+  write(obj, alias = this.options.defaultAlias) {
+    if (this._ended) {
+      return Promise.reject(new MaxiError('MaxiWriter: write() after end()', MaxiErrorCode.StreamError));
+    }
+    if (!alias) {
+      return Promise.reject(new Error('MaxiWriter.write requires an alias or `options.defaultAlias`.'));
+    }
+    if (!obj || typeof obj !== 'object') {
+      return Promise.reject(new TypeError('MaxiWriter.write expects an object.'));
+    }
+    return this._enqueue(async () => {
+      await this._writeHeader();
+      if (this._seen.has(obj)) return;
+
+      const batch = new Map([[alias, [obj]]]);
+      if (this._collectRefs) {
+        collectReferencedObjectsIterative(this._types, batch, this._seen);
+      } else {
+        this._seen.add(obj);
+      }
+
+      for (const [a, rows] of batch) {
+        const t = this._types.get(a);
+        for (const row of rows) {
+          await this._sink.write(
+            dumpObjectAsRecord(a, row, t, this._types, this._multiline, this.options) + '\n'
+          );
+        }
+      }
+    });
+  }
+
+  /**
+   * Write the header if nothing has been written yet, flush, and close the destination.
+   * @returns {Promise<void>}
+   */
+  end() {
+    if (this._ended) return this._queue;
+    this._ended = true;
+    return this._enqueue(async () => {
+      await this._writeHeader();
+      await this._sink.close();
+    });
+  }
+
+  /** @private */
+  _enqueue(task) {
+    const run = this._queue.then(task);
+    // Keep the chain alive after a failure; the caller still sees the rejection.
+    this._queue = run.catch(() => {});
+    return run;
+  }
+
+  /** @private */
+  async _writeHeader() {
+    if (this._headerWritten) return;
+    this._headerWritten = true;
+    const schema = {
+      version: this.options.version,
+      userVersion: this.options.userVersion,
+      imports: this.options.schemaFile ? [this.options.schemaFile] : [],
+    };
+    const lines = dumpSchemaHeader(schema, this._types, this._multiline, this._includeTypes);
+    if (lines.length > 0) await this._sink.write(lines.join('\n') + '\n');
+  }
+}
+
+/**
+ * Convenience factory for `new MaxiWriter(destination, options)`.
+ * @param {MaxiWriterDestination} destination
+ * @param {MaxiDumpOptions} [options]
+ * @returns {MaxiWriter}
+ */
+export function createMaxiDumpStream(destination, options = {}) {
+  return new MaxiWriter(destination, options);
+}
+
+/**
+ * Adapt a Node `Writable` or WHATWG `WritableStream` to a promise-based sink.
+ * An error of the destination at any time is kept and rejects the next
+ * `write()` or `close()`, or the one waiting for it.
+ * @param {any} destination
+ * @returns {{write(chunk: string): Promise<void>, close(): Promise<void>}}
+ */
+function createSink(destination) {
+  /** @type {unknown} */
+  let failure = null;
+
+  if (destination && typeof destination.getWriter === 'function') {
+    const writer = destination.getWriter();
+    return {
+      async write(chunk) {
+        if (failure) throw failure;
+        await writer.ready;
+        writer.write(chunk).catch((err) => { failure ??= err; });
+      },
+      async close() {
+        if (failure) throw failure;
+        await writer.close();
+      },
+    };
+  }
+
+  if (destination && typeof destination.write === 'function' && typeof destination.once === 'function') {
+    /** @type {((err: unknown) => void) | null} the reject of the `write()` or `close()` in progress */
+    let rejectPending = null;
+    const fail = (err) => {
+      failure ??= err;
+      rejectPending?.(err);
+    };
+    destination.on('error', fail);
+    return {
+      write(chunk) {
+        return new Promise((resolve, reject) => {
+          if (failure) {
+            reject(failure);
+            return;
+          }
+          if (destination.destroyed || destination.writableEnded) {
+            reject(new MaxiError('MaxiWriter: destination is closed', MaxiErrorCode.StreamError));
+            return;
+          }
+          if (destination.write(chunk)) {
+            resolve();
+            return;
+          }
+          const onDrain = () => { rejectPending = null; resolve(); };
+          rejectPending = (err) => { destination.off('drain', onDrain); rejectPending = null; reject(err); };
+          destination.once('drain', onDrain);
+        });
+      },
+      close() {
+        return new Promise((resolve, reject) => {
+          if (failure) {
+            reject(failure);
+            return;
+          }
+          rejectPending = (err) => { rejectPending = null; reject(err); };
+          destination.end((err) => {
+            if (err) {
+              fail(err);
+              return;
+            }
+            rejectPending = null;
+            resolve();
+          });
+        });
+      },
+    };
+  }
+
+  throw new TypeError('MaxiWriter: destination must be a Node Writable or a WHATWG WritableStream.');
+}
@@ -0,0 +1,124 @@
+/**
+ * Global registry of custom field annotations. A registered name can be used
+ * like a built-in one (`ip:str@ipv4`, `versions:str[]@semver`): the schema
+ * checks the field's type against `appliesTo`, record values (and array
+ * elements) are checked with `validate` and converted with `decode`, and
+ * `dumpMaxi` writes them back with `encode`.
+ */
+
+/** Annotations built into MAXI; their names cannot be registered. */
+const BUILTIN_ANNOTATIONS = new Set(['base64', 'hex', 'timestamp', 'date', 'datetime', 'time', 'email', 'url', 'uuid']);
+
+const ANNOTATION_NAME_RE = /^[A-Za-z_][A-Za-z0-9_-]*$/;
+
+/**
+ * @typedef {Object} MaxiAnnotationPlugin
+ * @property {string[]} [appliesTo]
+ *   Field types the annotation may be used on (`['str']`); other types are a schema error. Any type if omitted.
+ * @property {(value: unknown, field: import('./types.js').MaxiFieldDef) => boolean | string | void} [validate]
+ *   Check a value after `decode`: return `false` or a message to report a constraint violation.
+ * @property {(value: unknown, field: import('./types.js').MaxiFieldDef) => unknown} [decode]
+ *   Convert a value already converted for the field's type. Throw to reject it.
+ * @property {(value: unknown, field: import('./types.js').MaxiFieldDef) => unknown} [encode]
+ *   Reverse of `decode` for `dumpMaxi`: return a value of the field's type.
+ */
+
+/** @type {Map<string, MaxiAnnotationPlugin>} */
+const customAnnotations = new Map();
+
+/** Bumped whenever an annotation is registered or removed. */
+let version = 0;
+
+/**
+ * Register a custom annotation, or replace one registered before. Register
+ * annotations before parsing schemas that use them: `appliesTo` is checked and
+ * defaults are decoded when the schema is parsed.
+ *
+ * @param {string} name annotation name without the `@`
+ * @param {MaxiAnnotationPlugin} plugin
+ *
+ * @example
+ * registerMaxiAnnotation('ipv4', {
+ *   appliesTo: ['str'],
+ *   validate: ip => /^(\d{1,3})(\.\d{1,3}){3}$/.test(ip),
+ * });
+ */
+export function registerMaxiAnnotation(name, plugin) {
+  if (typeof name !== 'string' || !ANNOTATION_NAME_RE.test(name)) {
+    throw new TypeError(`registerMaxiAnnotation: invalid annotation name '${name}'.`);
+  }
+  if (BUILTIN_ANNOTATIONS.has(name)) {
+    throw new TypeError(`registerMaxiAnnotation: '@${name}' is a built-in annotation.`);
+  }
+  if (!plugin || typeof plugin !== 'object') {
+    throw new TypeError('registerMaxiAnnotation: second argument must be a plugin object.');
+  }
+  if (plugin.appliesTo != null && !(Array.isArray(plugin.appliesTo) && plugin.appliesTo.every(t => typeof t === 'string'))) {
+    throw new TypeError('registerMaxiAnnotation: plugin.appliesTo must be an array of type names.');
+  }
+  for (const key of /** @type {const} */ (['validate', 'decode', 'encode'])) {
+    if (plugin[key] != null && typeof plugin[key] !== 'function') {
+      throw new TypeError(`registerMaxiAnnotation: plugin.${key} must be a function.`);
+    }
+  }
+  customAnnotations.set(name, plugin);
+  version++;
+}
+
+/**
+ * Plugin of a custom annotation registered under `name`, or null.
+ * @param {string | null | undefined} name
+ * @returns {MaxiAnnotationPlugin | null}
+ */
+export function getMaxiAnnotation(name) {
+  return (name && customAnnotations.get(name)) || null;
+}
+
+/**
+ * Remove a custom annotation registered with `registerMaxiAnnotation`.
+ * @param {string} name
+ */
+export function unregisterMaxiAnnotation(name) {
+  if (customAnnotations.delete(name)) version++;
+}
+
+/**
+ * Whether `name` is an annotation built into MAXI.
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isBuiltinAnnotation(name) {
+  return BUILTIN_ANNOTATIONS.has(name);
+}
+
+/**
+ * Number of changes to the registry so far, for caches built from it.
+ * @returns {number}
+ */
+export function annotationRegistryVersion() {
+  return version;
+}
+
+/**
+ * Null if the `validate` of custom annotation `name` accepts `value`, else the
+ * reason it gave (empty if it returned `false`).
+ * @param {string} name
+ * @param {unknown} value
+ * @param {import('./types.js').MaxiFieldDef} field
+ * @returns {string | null}
+ */
+export function checkAnnotationValue(name, value, field) {
+  const validate = customAnnotations.get(name)?.validate;
+  if (!validate) return null;
+  const verdict = validate(value, field);
+  if (typeof verdict === 'string') return verdict;
+  return verdict === false ? '' : null;
+}
+
+/**
+ * Whether any custom annotation is registered.
+ * @returns {boolean}
+ */
+export function hasCustomAnnotations() {
+  return customAnnotations.size > 0;
+}
@@ -33,7 +33,7 @@ export class MaxiError extends Error {
   /**
    * @param {string} message
    * @param {keyof typeof MaxiErrorCode | string} code
-   * @param {{line?: number, column?: number, filename?: string, cause?: unknown}} [meta]
+   * @param {{line?: number, column?: number, span?: import('./types.js').MaxiSpan, filename?: string, alias?: string, cause?: unknown}} [meta]
    */
   constructor(message, code, meta = {}) {
     super(message);
@@ -42,9 +42,26 @@ export class MaxiError extends Error {
     this.line = meta.line ?? null;
     this.column = meta.column ?? null;
     this.filename = meta.filename ?? null;
+    /** Source offsets of the text the error is about, if known. */
+    this.span = meta.span ?? null;
+    /** Type alias of the definition or record the error is about, if known. */
+    this.alias = meta.alias ?? null;
     if (meta.cause !== undefined) this.cause = meta.cause;
   }
 
+  /**
+   * Fill in the location details this error does not carry yet.
+   * @param {{line?: number, column?: number, span?: import('./types.js').MaxiSpan, alias?: string | null}} meta
+   * @returns {this}
+   */
+  locate(meta) {
+    this.line ??= meta.line ?? null;
+    this.column ??= meta.column ?? null;
+    this.span ??= meta.span ?? null;
+    this.alias ??= meta.alias ?? null;
+    return this;
+  }
+
   toString() {
     const loc = this.line ? ` at line ${this.line}${this.column ? `, column ${this.column}` : ''}` : '';
     const file = this.filename ? ` in ${this.filename}` : '';
@@ -0,0 +1,122 @@
+/**
+ * Global registry of custom scalar types. A registered name can be used as a
+ * field type (`amount:money`, `stops:geopoint[]`): values are decoded with the
+ * type's `parse`, checked with its `validate` and written with its `dump`, and
+ * the name is never taken for a reference to another type.
+ */
+
+/** Types built into MAXI; their names cannot be registered. */
+const BUILTIN_TYPES = new Set(['str', 'int', 'decimal', 'float', 'bool', 'bytes', 'map', 'enum']);
+
+const TYPE_NAME_RE = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * @typedef {Object} MaxiTypeCodec
+ * @property {(text: string, field: import('./types.js').MaxiFieldDef) => unknown} [parse]
+ *   Decode a value's text (a quoted value is unquoted first). Throw to reject it. Without `parse` the text is kept.
+ * @property {(value: unknown, field: import('./types.js').MaxiFieldDef) => string} [dump]
+ *   Encode a value for `dumpMaxi`; the text is quoted when needed. Without `dump` values are written as usual.
+ * @property {(value: unknown, field: import('./types.js').MaxiFieldDef) => boolean | string | void} [validate]
+ *   Check a decoded value: return `false` or a message to report a constraint violation.
+ */
+
+/** @type {Map<string, MaxiTypeCodec>} */
+const customTypes = new Map();
+
+/** Bumped whenever a type is registered or removed. */
+let version = 0;
+
+/**
+ * Register a custom scalar type, or replace the codec of one registered before.
+ * Register types before parsing schemas that use them: without it the name is
+ * taken for a reference, and defaults are decoded when the schema is parsed.
+ *
+ * `field` is the definition of the field the value is in; for array elements
+ * and map values it carries the element's type.
+ *
+ * @param {string} name
+ * @param {MaxiTypeCodec} codec
+ *
+ * @example
+ * registerMaxiType('money', {
+ *   parse: text => Money.parse(text),
+ *   dump: value => value.toString(),
+ *   validate: value => value.currency.length === 3 || 'unknown currency',
+ * });
+ */
+export function registerMaxiType(name, codec) {
+  if (typeof name !== 'string' || !TYPE_NAME_RE.test(name)) {
+    throw new TypeError(`registerMaxiType: invalid type name '${name}'.`);
+  }
+  if (BUILTIN_TYPES.has(name)) {
+    throw new TypeError(`registerMaxiType: '${name}' is a built-in type.`);
+  }
+  if (!codec || typeof codec !== 'object') {
+    throw new TypeError('registerMaxiType: second argument must be a codec object.');
+  }
+  for (const key of /** @type {const} */ (['parse', 'dump', 'validate'])) {
+    if (codec[key] != null && typeof codec[key] !== 'function') {
+      throw new TypeError(`registerMaxiType: codec.${key} must be a function.`);
+    }
+  }
+  customTypes.set(name, codec);
+  version++;
+}
+
+/**
+ * Codec of a custom type registered under `name`, or null.
+ * @param {string} name
+ * @returns {MaxiTypeCodec | null}
+ */
+export function getMaxiType(name) {
+  return customTypes.get(name) ?? null;
+}
+
+/**
+ * Remove a custom type registered with `registerMaxiType`.
+ * @param {string} name
+ */
+export function unregisterMaxiType(name) {
+  if (customTypes.delete(name)) version++;
+}
+
+/**
+ * Null if the `validate` of custom type `name` accepts `value`, else the
+ * reason it gave (empty if it returned `false`).
+ * @param {string} name
+ * @param {unknown} value
+ * @param {import('./types.js').MaxiFieldDef} field
+ * @returns {string | null}
+ */
+export function checkCustomValue(name, value, field) {
+  const validate = customTypes.get(name)?.validate;
+  if (!validate) return null;
+  const verdict = validate(value, field);
+  if (typeof verdict === 'string') return verdict;
+  return verdict === false ? '' : null;
+}
+
+/**
+ * Whether any custom type is registered.
+ * @returns {boolean}
+ */
+export function hasCustomTypes() {
+  return customTypes.size > 0;
+}
+
+/**
+ * Number of changes to the registry so far, for caches built from it.
+ * @returns {number}
+ */
+export function typeRegistryVersion() {
+  return version;
+}
+
+/**
+ * Whether `name` is a built-in or registered scalar type (never a type reference).
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isScalarType(name) {
+  return BUILTIN_TYPES.has(name) || customTypes.has(name);
+}
@@ -2,6 +2,9 @@
  * Core MAXI type definitions (IR - Intermediate Representation).
  */
 
+import { MaxiError, MaxiErrorCode } from './errors.js';
+import { isBuiltinAnnotation } from './annotation-registry.js';
+
 export class MaxiSchema {
   constructor() {
     /** @type {string} */
@@ -10,6 +13,8 @@ export class MaxiSchema {
     this.userVersion = null;
     /** @type {string[]} */
     this.imports = [];
+    /** @type {Array<[string, string]>} name and value of each directive other than `@maxi`, `@version` and `@schema`, in order */
+    this.directives = [];
     /** @type {Map<string, MaxiTypeDef>} */
     this.types = new Map();
     /** @type {Map<string, string> | undefined} */
@@ -26,6 +31,58 @@ export class MaxiSchema {
 
   /** @param {string} alias @returns {boolean} */
   hasType(alias) { return this.types.has(alias); }
+
+  /**
+   * Whether `alias` is `ancestor` or inherits from it, directly or transitively.
+   * @param {string} alias
+   * @param {string} ancestor
+   * @returns {boolean}
+   */
+  isSubtypeOf(alias, ancestor) {
+    const seen = new Set();
+    const stack = [alias];
+    while (stack.length > 0) {
+      const a = stack.pop();
+      if (a === ancestor) return true;
+      if (seen.has(a)) continue;
+      seen.add(a);
+      const typeDef = this.types.get(a);
+      if (typeDef) stack.push(...typeDef.parents);
+    }
+    return false;
+  }
+
+  /**
+   * `alias` followed by every type inheriting from it, in schema order.
+   * @param {string} alias
+   * @returns {string[]}
+   */
+  getSubtypeAliases(alias) {
+    const out = [alias];
+    for (const a of this.types.keys()) {
+      if (a !== alias && this.isSubtypeOf(a, alias)) out.push(a);
+    }
+    return out;
+  }
+}
+
+/**
+ * The identifier field of a (inheritance-resolved) field list: the first field
+ * with an `(id)` constraint, otherwise a field named `id`. Parser, dumper and
+ * hydrator all use this rule.
+ * @template {{name: string, constraints?: Array<{type: string}> | null}} F
+ * @param {F[] | null | undefined} fields
+ * @returns {F | null}
+ */
+export function findIdField(fields) {
+  if (!fields) return null;
+  for (const f of fields) {
+    if (f.constraints?.some(c => c.type === 'id')) return f;
+  }
+  for (const f of fields) {
+    if (f.name === 'id') return f;
+  }
+  return null;
 }
 
 export class MaxiTypeDef {
@@ -48,6 +105,8 @@ export class MaxiTypeDef {
     this._enumAliasMap = null;
     /** @type {boolean} Whether any field has constraints needing runtime validation */
     this._hasRuntimeConstraints = false;
+    /** @type {boolean} Whether any field carries an @annotation */
+    this._hasAnnotations = false;
   }
 
   /** @param {MaxiFieldDef} field */
@@ -67,16 +126,8 @@ export class MaxiTypeDef {
     const len = this.fields.length;
 
     // id field index
-    this._idFieldIndex = -1;
-    for (let i = 0; i < len; i++) {
-      const f = this.fields[i];
-      if (f.constraints?.some(c => c.type === 'id')) { this._idFieldIndex = i; break; }
-    }
-    if (this._idFieldIndex === -1) {
-      for (let i = 0; i < len; i++) {
-        if (this.fields[i].name === 'id') { this._idFieldIndex = i; break; }
-      }
-    }
+    const idField = findIdField(this.fields);
+    this._idFieldIndex = idField ? this.fields.indexOf(idField) : -1;
 
     // required flags
     this._requiredFlags = new Array(len);
@@ -87,8 +138,15 @@ export class MaxiTypeDef {
     this._enumValues = new Array(len);
     this._enumAliasMap = new Array(len);
     this._hasRuntimeConstraints = false;
+    this._hasAnnotations = false;
     for (let i = 0; i < len; i++) {
       const f = this.fields[i];
+      if (f.annotation) {
+        this._hasAnnotations = true;
+        if (f.annotation === 'email' || f.annotation === 'url' || f.annotation === 'uuid') {
+          this._hasRuntimeConstraints = true;
+        }
+      }
       const te = f.typeExpr;
       if (te && te.startsWith('enum')) {
         const m = te.match(/^enum(?:<(\w+)>)?\[([^\]]*)\]$/);
@@ -120,9 +178,11 @@ export class MaxiTypeDef {
         this._enumValues[i] = null;
         this._enumAliasMap[i] = null;
       }
+      if (f._elementChecks) this._hasRuntimeConstraints = true;
       if (f.constraints) {
         for (const c of f.constraints) {
-          if (c.type === 'comparison' || c.type === 'pattern' || c.type === 'exact-length') {
+          if (c.type === 'comparison' || c.type === 'pattern' || c.type === 'exact-length' ||
+              c.type === 'mime' || c.type === 'decimal-precision') {
             this._hasRuntimeConstraints = true;
           }
         }
@@ -132,7 +192,10 @@ export class MaxiTypeDef {
     let allSimple = true;
     for (let i = 0; i < len; i++) {
       const te = this.fields[i].typeExpr;
-      if (te === 'int') this._fieldKinds[i] = 1;
+      const annotation = this.fields[i].annotation;
+      // Custom annotations may be registered after this cache is built.
+      if (annotation && !isBuiltinAnnotation(annotation)) { this._fieldKinds[i] = 0; allSimple = false; }
+      else if (te === 'int') this._fieldKinds[i] = 1;
       else if (te === 'bool') this._fieldKinds[i] = 2;
       else if (te === 'str') this._fieldKinds[i] = 3;
       else if (te && te.startsWith('enum') && !te.includes('<int>')) this._fieldKinds[i] = 4;
@@ -165,6 +228,16 @@ export class MaxiTypeDef {
  * @property {number|null} [fracMax]
  */
 
+/**
+ * Constraints applied to each element of an array (`kind: 'array'`) or each
+ * value of a map (`kind: 'map'`), possibly nested.
+ * @typedef {Object} ElementCheck
+ * @property {'array'|'map'} kind
+ * @property {string} typeExpr element / value type without its constraints
+ * @property {ParsedConstraint[]} constraints
+ * @property {ElementCheck | null} next checks one level deeper
+ */
+
 export class MaxiFieldDef {
   /**
    * @param {{name: string, typeExpr?: string|null, annotation?: string|null, constraints?: ParsedConstraint[]|null, elementConstraints?: ParsedConstraint[]|null, defaultValue?: unknown}} args
@@ -176,6 +249,8 @@ export class MaxiFieldDef {
     this.constraints = constraints;
     this.elementConstraints = elementConstraints;
     this.defaultValue = defaultValue;
+    /** @type {ElementCheck | null} Set by the schema parser; covers constraints embedded in the type expression too */
+    this._elementChecks = null;
   }
 
   /** @returns {boolean} */
@@ -199,14 +274,102 @@ export class MaxiFieldDef {
   }
 }
 
+/**
+ * Exact fixed-point decimal: `unscaled / 10^scale`.
+ * Produced for `decimal` fields when parsing with `decimalMode: 'bigint-scaled'`.
+ */
+export class MaxiDecimal {
+  /**
+   * @param {bigint} unscaled
+   * @param {number} scale number of fraction digits
+   * @param {boolean} [negative] whether the literal has a minus sign; only differs from `unscaled < 0n` for `-0`
+   */
+  constructor(unscaled, scale, negative = unscaled < 0n) {
+    this.unscaled = unscaled;
+    this.scale = scale;
+    this.negative = negative;
+  }
+
+  /**
+   * Parse a plain decimal literal (`-12.345`, `7`, `0.1`) without going through a float.
+   * @param {string} str
+   * @param {number} [minScale=0] pad the fraction to at least this many digits
+   * @returns {MaxiDecimal}
+   */
+  static parse(str, minScale = 0) {
+    const m = /^(-?)(\d+)(?:\.(\d*))?$/.exec(str);
+    if (!m) throw new RangeError(`Invalid decimal literal: '${str}'`);
+    const frac = m[3] ?? '';
+    const scale = Math.max(frac.length, minScale);
+    return new MaxiDecimal(BigInt(m[1] + m[2] + frac.padEnd(scale, '0')), scale, m[1] === '-');
+  }
+
+  /** @returns {string} */
+  toString() {
+    const digits = (this.unscaled < 0n ? -this.unscaled : this.unscaled).toString().padStart(this.scale + 1, '0');
+    const cut = digits.length - this.scale;
+    const body = this.scale > 0 ? `${digits.slice(0, cut)}.${digits.slice(cut)}` : digits;
+    return this.negative ? `-${body}` : body;
+  }
+
+  /** @returns {string} */
+  toJSON() {
+    return this.toString();
+  }
+}
+
+/**
+ * Position of a piece of text in the parsed input.
+ * @typedef {Object} MaxiSpan
+ * @property {number} start offset of the first character
+ * @property {number} end   offset just past the last character
+ */
+
+/**
+ * A parse warning. Which of the optional properties are set depends on what
+ * the warning is about: record diagnostics carry the record's `alias` and id,
+ * value diagnostics also the field and the offending `value`, constraint
+ * violations the `constraint`.
+ * @typedef {Object} MaxiDiagnostic
+ * @property {string} message
+ * @property {'warning'} [severity]
+ * @property {string} [code]
+ * @property {number} [line]
+ * @property {number} [column]
+ * @property {MaxiSpan} [span]
+ * @property {string} [alias] type alias of the record
+ * @property {unknown} [recordId] value of the record's id field
+ * @property {string | null} [fieldName]
+ * @property {number} [fieldIndex]
+ * @property {Array<string|number>} [path] from the field's value to the nested value: array indexes, map keys and inline-object field positions
+ * @property {unknown} [value] the offending value: its text when it could not be converted, else the converted value
+ * @property {object} [constraint] the violated constraint, e.g. `{type: 'comparison', operator: '>=', value: 0}`
+ */
+
 export class MaxiRecord {
+  // Kept out of the own properties, so records from different sources still compare equal.
+  #column;
+  #span;
+
   /**
-   * @param {{alias: string, values?: unknown[], lineNumber?: number}} args
+   * @param {{alias: string, values?: unknown[], lineNumber?: number, column?: number, span?: MaxiSpan}} args
    */
-  constructor({ alias, values = [], lineNumber = null }) {
+  constructor({ alias, values = [], lineNumber = null, column = null, span = null }) {
     this.alias = alias;
     this.values = values;
     this.lineNumber = lineNumber;
+    this.#column = column;
+    this.#span = span;
+  }
+
+  /** 1-based column of the record's alias, if known. @returns {number | null} */
+  get column() {
+    return this.#column;
+  }
+
+  /** Where the record (alias to closing parenthesis) is in the input, if known. @returns {MaxiSpan | null} */
+  get span() {
+    return this.#span;
   }
 }
 
@@ -216,15 +379,57 @@ export class MaxiParseResult {
     this.schema = new MaxiSchema();
     /** @type {MaxiRecord[]} */
     this.records = [];
-    /** @type {Array<{message: string, code?: string, line?: number, column?: number}>} */
+    /** @type {MaxiDiagnostic[]} */
     this.warnings = [];
+    /**
+     * Errors collected with the `recover` parse option, in input order.
+     * @type {import('./errors.js').MaxiError[]}
+     */
+    this.errors = [];
+    /** @type {number} Number of warnings handed to `onWarning` so far */
+    this._reported = 0;
   }
 
   /**
    * @param {string} message
-   * @param {{code?: string, line?: number, column?: number}} [meta]
+   * @param {Omit<MaxiDiagnostic, 'message' | 'severity'>} [meta]
    */
   addWarning(message, meta = {}) {
-    this.warnings.push({ message, ...meta });
+    this.warnings.push({ message, severity: 'warning', ...meta });
+  }
+
+  /**
+   * Pass the warnings added since the last call to `options.onWarning`, and
+   * abort with E603 once there are more than `options.maxWarnings`. Parsers
+   * call this whenever the warnings so far are complete: after the schema,
+   * after each record and after reference validation.
+   * @param {{onWarning?: (warning: MaxiDiagnostic) => void, maxWarnings?: number, filename?: string}} options
+   */
+  reportWarnings(options) {
+    const warnings = this.warnings;
+    if (this._reported === warnings.length) return;
+    const { onWarning, maxWarnings = Infinity } = options;
+    while (this._reported < warnings.length) {
+      const warning = warnings[this._reported];
+      if (this._reported >= maxWarnings) {
+        throw new MaxiError(
+          `Too many warnings: more than ${maxWarnings}`,
+          MaxiErrorCode.StreamError,
+          { line: warning.line, column: warning.column, span: warning.span, filename: options.filename, alias: warning.alias }
+        );
+      }
+      this._reported++;
+      onWarning?.(warning);
+    }
+  }
+
+  /**
+   * Keep an error found in `recover` mode. `meta` fills in the location and
+   * alias where the error does not carry them.
+   * @param {import('./errors.js').MaxiError} error
+   * @param {{line?: number, column?: number, span?: MaxiSpan, alias?: string | null}} [meta]
+   */
+  addError(error, meta = {}) {
+    this.errors.push(error.locate(meta));
   }
 }
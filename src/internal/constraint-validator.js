@@ -1,4 +1,6 @@
 import { MaxiError, MaxiErrorCode } from '../core/errors.js';
+import { isScalarType } from '../core/type-registry.js';
+import { getMaxiAnnotation } from '../core/annotation-registry.js';
 
 const ANNOTATION_TYPE_MAP = {
   base64: ['bytes'],
@@ -12,19 +14,87 @@ const ANNOTATION_TYPE_MAP = {
   uuid: ['str'],
 };
 
-const PRIMITIVES = new Set(['int', 'decimal', 'float', 'str', 'bool', 'bytes']);
+// WHATWG "valid e-mail address"
+const EMAIL_RE = /^[A-Za-z0-9.!#$%&'*+/=?^_`{|}~-]+@[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?(?:\.[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?)*$/;
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isValidEmail(value) {
+  return typeof value === 'string' && EMAIL_RE.test(value);
+}
+
+/**
+ * Absolute URL with a scheme, as accepted by the WHATWG `URL` parser.
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isValidUrl(value) {
+  if (typeof value !== 'string') return false;
+  try {
+    new URL(value);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * RFC 9562 textual UUID (any version, case-insensitive).
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isValidUuid(value) {
+  return typeof value === 'string' && UUID_RE.test(value);
+}
+
+/**
+ * Magic-byte signatures for `mime:` constraints. Each entry is a list of
+ * alternatives; an alternative is a list of `[offset, bytes]` parts.
+ * @type {Record<string, Array<Array<[number, number[]]>>>}
+ */
+const MIME_SIGNATURES = {
+  'image/png': [[[0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]]]],
+  'image/jpeg': [[[0, [0xff, 0xd8, 0xff]]]],
+  'image/gif': [[[0, [0x47, 0x49, 0x46, 0x38, 0x37, 0x61]]], [[0, [0x47, 0x49, 0x46, 0x38, 0x39, 0x61]]]],
+  'image/webp': [[[0, [0x52, 0x49, 0x46, 0x46]], [8, [0x57, 0x45, 0x42, 0x50]]]],
+  'application/pdf': [[[0, [0x25, 0x50, 0x44, 0x46, 0x2d]]]],
+  'application/zip': [[[0, [0x50, 0x4b, 0x03, 0x04]]], [[0, [0x50, 0x4b, 0x05, 0x06]]], [[0, [0x50, 0x4b, 0x07, 0x08]]]],
+  'application/gzip': [[[0, [0x1f, 0x8b]]]],
+};
+MIME_SIGNATURES['image/jpg'] = MIME_SIGNATURES['image/jpeg'];
+MIME_SIGNATURES['application/x-gzip'] = MIME_SIGNATURES['application/gzip'];
+MIME_SIGNATURES['application/x-zip-compressed'] = MIME_SIGNATURES['application/zip'];
+
+/** Longest prefix any signature needs. */
+const MIME_SNIFF_BYTES = 12;
+
+/** @type {Readonly<Record<string, (value: string) => boolean>>} */
+export const ANNOTATION_VALIDATORS = Object.freeze({
+  email: isValidEmail,
+  url: isValidUrl,
+  uuid: isValidUuid,
+});
 
 /**
  * Validate schema-level constraints: annotation compatibility and constraint conflicts.
  * @param {import('../core/types.js').MaxiSchema} schema
  * @param {string} [filename]
+ * @param {(error: MaxiError, alias: string, field: string) => void} [onError] called for each invalid field instead of throwing
  */
-export function validateSchemaConstraints(schema, filename) {
+export function validateSchemaConstraints(schema, filename, onError) {
   for (const [, typeDef] of schema.types) {
     for (const field of typeDef.fields) {
-      validateAnnotationTypeCompat(field, typeDef.alias, filename);
-      validateConstraintConflicts(field, typeDef.alias, filename);
-      validateEnumAliases(field, typeDef.alias, filename);
+      try {
+        validateAnnotationTypeCompat(field, typeDef.alias, filename);
+        validateConstraintConflicts(field, typeDef.alias, filename);
+        validateEnumAliases(field, typeDef.alias, filename);
+      } catch (error) {
+        if (!onError || !(error instanceof MaxiError)) throw error;
+        onError(error, typeDef.alias, field.name);
+      }
     }
   }
 }
@@ -81,8 +151,19 @@ function validateEnumAliases(field, typeAlias, filename) {
 function validateAnnotationTypeCompat(field, typeAlias, filename) {
   if (!field.annotation) return;
 
-  const allowedTypes = ANNOTATION_TYPE_MAP[field.annotation];
+  // `str@date[]` would leave the elements unchecked; the array goes on the type.
+  const stem = field.annotation.endsWith('[]') ? field.annotation.slice(0, -2).trim() : null;
+  if (stem && (ANNOTATION_TYPE_MAP[stem] || getMaxiAnnotation(stem))) {
+    throw new MaxiError(
+      `Type annotation '@${field.annotation}' on field '${field.name}' in type '${typeAlias}' is not supported; annotate the elements as '${field.typeExpr ?? 'str'}[]@${stem}'`,
+      MaxiErrorCode.InvalidConstraintValueError,
+      { filename }
+    );
+  }
+
+  const allowedTypes = ANNOTATION_TYPE_MAP[field.annotation] ?? getMaxiAnnotation(field.annotation)?.appliesTo;
   if (!allowedTypes) {
+    if (getMaxiAnnotation(field.annotation)) return;
     const baseType = getBaseTypeName(field.typeExpr);
     if (baseType === 'bytes') {
       throw new MaxiError(
@@ -160,41 +241,123 @@ function validateConstraintConflicts(field, typeAlias, filename) {
  * @param {import('../core/types.js').MaxiParseResult} result
  * @param {number} lineNumber
  * @param {string} [filename]
+ * @param {(field: import('../core/types.js').MaxiFieldDef, path: Array<string|number>) => object} [locate] position and field details of a (nested) field value
  */
-export function validateRecordConstraints(values, typeDef, isStrict, result, lineNumber, filename) {
-  for (let i = 0; i < typeDef.fields.length; i++) {
-    const field = typeDef.fields[i];
-    const value = i < values.length ? values[i] : null;
+export function validateRecordConstraints(values, typeDef, isStrict, result, lineNumber, filename, locate) {
+  let field;
+  let fieldIndex;
+  /** @type {ViolationReporter} */
+  const report = (violation, value, constraint, path = []) => {
+    const where = locate ? locate(field, path) : { fieldName: field.name, fieldIndex, path };
+    if (isStrict) {
+      throw new MaxiError(
+        violation,
+        MaxiErrorCode.ConstraintViolationError,
+        { line: lineNumber, filename, ...where }
+      );
+    }
+    result.addWarning(violation, {
+      code: MaxiErrorCode.ConstraintViolationError,
+      line: lineNumber,
+      ...where,
+      value,
+      constraint,
+    });
+  };
+
+  for (fieldIndex = 0; fieldIndex < typeDef.fields.length; fieldIndex++) {
+    field = typeDef.fields[fieldIndex];
+    const value = fieldIndex < values.length ? values[fieldIndex] : null;
+    if (value === null || value === undefined) continue;
+
+    if (field.annotation) {
+      const violation = checkAnnotation(field, value);
+      if (violation) report(violation, value, { type: 'annotation', value: field.annotation });
+    }
+
+    if (field._elementChecks) checkElements(field._elementChecks, value, field.name, [], field.annotation, report);
+
     const constraints = field.constraints;
     if (!constraints || constraints.length === 0) continue;
-    if (value === null || value === undefined) continue;
 
     for (const c of constraints) {
       const violation = checkConstraint(c, value, field);
-      if (violation) {
-        if (isStrict) {
-          throw new MaxiError(
-            violation,
-            MaxiErrorCode.ConstraintViolationError,
-            { line: lineNumber, filename }
-          );
-        }
-        result.addWarning(violation, {
-          code: MaxiErrorCode.ConstraintViolationError,
-          line: lineNumber,
-        });
-      }
+      if (violation) report(violation, value, c);
+    }
+  }
+}
+
+/**
+ * @callback ViolationReporter
+ * @param {string} violation message
+ * @param {unknown} value the offending value
+ * @param {object} constraint
+ * @param {Array<string|number>} [path] array indexes and map keys below the field
+ */
+
+/**
+ * Apply element constraints to every array element / map value, recursing into
+ * nested levels. Violations name the element as `field[i]` or `field.key`.
+ * @param {import('../core/types.js').ElementCheck} check
+ * @param {unknown} value
+ * @param {string} name
+ * @param {Array<string|number>} path
+ * @param {string | null} annotation
+ * @param {ViolationReporter} report
+ */
+function checkElements(check, value, name, path, annotation, report) {
+  /** @type {Array<[string|number, unknown]>} */
+  let entries;
+  if (check.kind === 'array') {
+    if (!Array.isArray(value)) return;
+    entries = value.map((v, i) => [i, v]);
+  } else {
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) return;
+    entries = Object.entries(value);
+  }
+
+  const elemField = { name: '', typeExpr: check.typeExpr, annotation };
+  for (const [key, elem] of entries) {
+    if (elem === null || elem === undefined) continue;
+    const elemName = typeof key === 'number' ? `${name}[${key}]` : `${name}.${key}`;
+    const elemPath = [...path, key];
+    elemField.name = elemName;
+    for (const c of check.constraints) {
+      const violation = checkConstraint(c, elem, elemField);
+      if (violation) report(violation, elem, c, elemPath);
+    }
+    if (check.next) checkElements(check.next, elem, elemName, elemPath, annotation, report);
+  }
+}
+
+/**
+ * Check a value (or each string element of an array value) against the field's
+ * `@email` / `@url` / `@uuid` annotation.
+ * @param {{name: string, annotation?: string | null}} field
+ * @param {unknown} value
+ * @returns {string | null} violation message
+ */
+export function checkAnnotation(field, value) {
+  const isValid = ANNOTATION_VALIDATORS[field.annotation];
+  if (!isValid) return null;
+  const items = Array.isArray(value) ? value : [value];
+  for (const item of items) {
+    if (typeof item === 'string' && !isValid(item)) {
+      return `Field '${field.name}': value '${item}' is not a valid ${field.annotation}`;
     }
   }
+  return null;
 }
 
 function checkConstraint(constraint, value, field) {
   switch (constraint.type) {
     case 'required':
     case 'id':
+      return null;
     case 'mime':
+      return checkMime(constraint, value, field);
     case 'decimal-precision':
-      return null;
+      return checkDecimalPrecision(constraint, value, field);
     case 'comparison':
       return checkComparison(constraint, value, field);
     case 'pattern':
@@ -212,24 +375,66 @@ function checkComparison(constraint, value, field) {
 
   const baseType = getBaseTypeName(field.typeExpr);
 
+  /** @type {number | bigint} */
   let actual;
-  if (baseType === 'str' || baseType === 'bytes' || (!baseType && typeof value === 'string')) {
+  let order;
+  if (value instanceof Uint8Array) {
+    actual = value.length;
+  } else if (baseType === 'str' || baseType === 'bytes' || (!baseType && typeof value === 'string')) {
     if (typeof value !== 'string') return null;
     actual = value.length;
-  } else if (typeof value === 'number') {
+  } else if (typeof value === 'number' || typeof value === 'bigint') {
     actual = value;
+  } else if (baseType === 'decimal' && (typeof value === 'string' || typeof value === 'object')) {
+    // decimalMode 'string' / 'bigint-scaled' / factory: compare exactly when the value reads as a decimal
+    const exact = exactDecimal(String(value));
+    if (exact) {
+      order = compareDecimals(exact, exactDecimal(String(limit)));
+    } else {
+      actual = Number(String(value));
+      if (Number.isNaN(actual)) return null;
+    }
   } else {
     return null;
   }
+  order ??= actual < limit ? -1 : actual > limit ? 1 : 0;
 
+  let violated = false;
   switch (operator) {
-    case '>=': if (actual < limit) return `Field '${field.name}': value ${actual} violates constraint >=${limit}`; break;
-    case '>':  if (actual <= limit) return `Field '${field.name}': value ${actual} violates constraint >${limit}`; break;
-    case '<=': if (actual > limit) return `Field '${field.name}': value ${actual} violates constraint <=${limit}`; break;
-    case '<':  if (actual < limit) return null; if (actual >= limit) return `Field '${field.name}': value ${actual} violates constraint <${limit}`; break;
+    case '>=': violated = order < 0; break;
+    case '>':  violated = order <= 0; break;
+    case '<=': violated = order > 0; break;
+    case '<':  violated = order >= 0; break;
   }
+  return violated ? `Field '${field.name}': value ${actual ?? value} violates constraint ${operator}${limit}` : null;
+}
 
-  return null;
+/**
+ * `text` as an exact decimal, or null if it is not a decimal number.
+ * An exponent is accepted, as `String()` of a number can have one.
+ * @param {string} text
+ * @returns {{unscaled: bigint, scale: number} | null}
+ */
+function exactDecimal(text) {
+  const m = /^([-+]?)(\d+)(?:\.(\d*))?(?:e([-+]?\d+))?$/i.exec(text);
+  if (!m) return null;
+  const frac = m[3] ?? '';
+  const unscaled = BigInt(m[1] + m[2] + frac);
+  const scale = frac.length - Number(m[4] ?? 0);
+  return scale >= 0 ? { unscaled, scale } : { unscaled: unscaled * 10n ** BigInt(-scale), scale: 0 };
+}
+
+/**
+ * -1, 0 or 1 as `a` is less than, equal to or greater than `b`.
+ * @param {{unscaled: bigint, scale: number}} a
+ * @param {{unscaled: bigint, scale: number}} b
+ * @returns {number}
+ */
+function compareDecimals(a, b) {
+  const scale = Math.max(a.scale, b.scale);
+  const x = a.unscaled * 10n ** BigInt(scale - a.scale);
+  const y = b.unscaled * 10n ** BigInt(scale - b.scale);
+  return x < y ? -1 : x > y ? 1 : 0;
 }
 
 function checkPattern(constraint, value, field) {
@@ -241,6 +446,112 @@ function checkPattern(constraint, value, field) {
   return null;
 }
 
+/**
+ * Match the payload's leading bytes against the declared MIME types. Passes when
+ * any declared type matches or has no known signature (e.g. `text/plain`, `image/*`).
+ * Undecoded (`bytesMode: 'string'`) payloads are sniffed by decoding their head.
+ */
+function checkMime(constraint, value, field) {
+  const types = Array.isArray(constraint.value) ? constraint.value : [constraint.value];
+  if (types.length === 0) return null;
+
+  const head = value instanceof Uint8Array ? value : decodeHead(value, field.annotation);
+  if (!head) return null;
+
+  for (const type of types) {
+    const signatures = MIME_SIGNATURES[String(type).toLowerCase()];
+    if (!signatures) return null;
+    if (signatures.some(parts => parts.every(([offset, bytes]) => bytes.every((b, k) => head[offset + k] === b)))) {
+      return null;
+    }
+  }
+  return `Field '${field.name}': content does not match mime type ${types.join(', ')}`;
+}
+
+/**
+ * Decode the first bytes of a still-encoded `bytes` value.
+ * @param {unknown} value
+ * @param {string | null | undefined} annotation
+ * @returns {Uint8Array | null}
+ */
+function decodeHead(value, annotation) {
+  if (typeof value !== 'string') return null;
+  if (annotation === 'hex') {
+    const hex = value.slice(0, MIME_SNIFF_BYTES * 2);
+    if (!/^(?:[0-9a-fA-F]{2})*$/.test(hex)) return null;
+    const out = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < out.length; i++) out[i] = parseInt(hex.substr(i * 2, 2), 16);
+    return out;
+  }
+  try {
+    const bin = atob(value.slice(0, Math.ceil(MIME_SNIFF_BYTES / 3) * 4));
+    return Uint8Array.from(bin, ch => ch.charCodeAt(0));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check integer and fraction digit counts against a `decimal(I.F)` precision.
+ * JS numbers drop trailing zeros, so the minimum fraction digits is only
+ * checked for exact representations (`decimalMode` other than `'number'`).
+ */
+function checkDecimalPrecision(constraint, value, field) {
+  let text;
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) return null;
+    text = String(value);
+  } else if (typeof value === 'bigint' || typeof value === 'string') {
+    text = String(value);
+  } else if (typeof value === 'object' && value !== null && value.toString !== Object.prototype.toString) {
+    text = String(value);
+  } else {
+    return null;
+  }
+
+  const digits = countDecimalDigits(text);
+  if (!digits) return null;
+
+  const { intMin, intMax, fracMin, fracMax } = constraint;
+  const { intDigits, fracDigits } = digits;
+  const fail = (what) => `Field '${field.name}': value ${text} violates precision ${constraint.value} (${what})`;
+
+  if (intMax !== null && intMax !== undefined && intDigits > intMax) return fail(`${intDigits} integer digits, max ${intMax}`);
+  if (intMin !== null && intMin !== undefined && intDigits < intMin) return fail(`${intDigits} integer digits, min ${intMin}`);
+  if (fracMax !== null && fracMax !== undefined && fracDigits > fracMax) return fail(`${fracDigits} fraction digits, max ${fracMax}`);
+  if (fracMin !== null && fracMin !== undefined && typeof value !== 'number' && fracDigits < fracMin) {
+    return fail(`${fracDigits} fraction digits, min ${fracMin}`);
+  }
+  return null;
+}
+
+/**
+ * Count integer digits (without leading zeros, at least 1) and fraction digits
+ * of a plain or exponent-notation decimal literal.
+ * @param {string} text
+ * @returns {{intDigits: number, fracDigits: number} | null}
+ */
+function countDecimalDigits(text) {
+  const m = /^[+-]?(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/.exec(text.trim());
+  if (!m || (!m[1] && !m[2])) return null;
+
+  const all = m[1] + (m[2] ?? '');
+  const point = m[1].length + (m[3] ? parseInt(m[3], 10) : 0);
+
+  let intPart, fracPart;
+  if (point <= 0) {
+    intPart = '';
+    fracPart = '0'.repeat(-point) + all;
+  } else if (point >= all.length) {
+    intPart = all.padEnd(point, '0');
+    fracPart = '';
+  } else {
+    intPart = all.slice(0, point);
+    fracPart = all.slice(point);
+  }
+  return { intDigits: intPart.replace(/^0+/, '').length || 1, fracDigits: fracPart.length };
+}
+
 function checkExactLength(constraint, value, field) {
   let len = null;
   if (Array.isArray(value)) {
@@ -318,8 +629,8 @@ function getBaseTypeName(typeExpr) {
   const t = typeExpr.trim();
   const noArr = t.replace(/(\[\])+$/, '');
 
-  if (PRIMITIVES.has(noArr)) return noArr;
-  if (noArr === 'map' || noArr.startsWith('map<')) return 'map';
+  if (noArr.startsWith('map<')) return 'map';
+  if (isScalarType(noArr)) return noArr;
   if (noArr.startsWith('enum')) return 'enum';
 
   return null;
@@ -0,0 +1,46 @@
+/**
+ * Worker thread entry for `parseMaxiParallel`: parses one chunk of a records
+ * section against the schema text sent by the main thread and posts the
+ * records and warnings back. Duplicate ids and references span chunks, so
+ * the main thread checks those after merging.
+ */
+import { parentPort, workerData } from 'node:worker_threads';
+import { MaxiParseResult } from '../core/types.js';
+import { SchemaParser } from './schema-parser.js';
+import { RecordParser } from './record-parser.js';
+
+class ChunkRecordParser extends RecordParser {
+  checkDuplicateId() {}
+}
+
+const { schemaSection, imports, options, text, firstLine, sourceOffset, firstColumn } = workerData;
+const result = new MaxiParseResult();
+let error = null;
+
+try {
+  // Imports were loaded on the main thread; replay their text.
+  await new SchemaParser(schemaSection, result, { ...options, loadSchema: path => imports[path] }).parse();
+  result.warnings = [];
+  result.errors = [];
+
+  const parser = new ChunkRecordParser(text, result, options);
+  parser.firstLine = firstLine;
+  parser.sourceOffset = sourceOffset;
+  parser.firstColumn = firstColumn;
+  await parser.parse();
+} catch (e) {
+  error = toPlainError(e);
+}
+
+// Record positions are accessors, which structured cloning leaves out.
+parentPort.postMessage({
+  records: result.records,
+  locations: result.records.map(r => ({ column: r.column, span: r.span })),
+  warnings: result.warnings,
+  errors: result.errors.map(toPlainError),
+  error,
+});
+
+function toPlainError(e) {
+  return { name: e.name, message: e.message, code: e.code, line: e.line, column: e.column, span: e.span, filename: e.filename, alias: e.alias };
+}
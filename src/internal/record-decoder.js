@@ -0,0 +1,274 @@
+/**
+ * Per-type record decoders generated with `new Function` (parse option
+ * `compileDecoders`).
+ *
+ * A decoder does what `RecordParser.decodeRecordValues` does for one type —
+ * split, convert, apply defaults, check required fields, map enum tokens —
+ * with each field's conversion picked once from its type expression instead
+ * of on every value, in one pass over the record text. Values with a common
+ * shape (plain numbers, bools, strings) are converted inline; anything else
+ * (quoted strings, arrays, maps, inline objects, coercions, bytes, temporal
+ * fields, custom types and annotations) goes through `parseFieldValue`, so
+ * results and diagnostics are the same as without the option.
+ *
+ * Decoders are cached per type definition and per the parser options and
+ * type and annotation registries they were specialised for, in a `WeakMap` so
+ * compiled (frozen) schemas work too.
+ */
+
+import { getMaxiType, typeRegistryVersion } from '../core/type-registry.js';
+import { annotationRegistryVersion, getMaxiAnnotation } from '../core/annotation-registry.js';
+
+/**
+ * @typedef {(parser: import('./record-parser.js').RecordParser, valuesStr: string, lineNumber: number) => unknown[]} RecordDecoder
+ */
+
+/** Value text that needs the nesting-aware splitter. */
+const NESTED_RE = /["()[\]{}]/;
+
+/** @type {WeakMap<import('../core/types.js').MaxiTypeDef, {fields: unknown[], count: number, byOptions: Map<string, RecordDecoder>}>} */
+const cache = new WeakMap();
+
+/**
+ * Decoder for `typeDef` under `parser`'s options, or `null` for types the
+ * generic path must handle (a `type` field, whose value may be inferred).
+ * @param {import('../core/types.js').MaxiTypeDef} typeDef
+ * @param {import('./record-parser.js').RecordParser} parser
+ * @returns {RecordDecoder | null}
+ */
+export function getRecordDecoder(typeDef, parser) {
+  const fields = typeDef.fields;
+  let entry = cache.get(typeDef);
+  if (!entry || entry.fields !== fields || entry.count !== fields.length) {
+    entry = { fields, count: fields.length, byOptions: new Map() };
+    cache.set(typeDef, entry);
+  }
+
+  const key = [
+    parser._intMode,
+    parser._decimalMode === 'number',
+    parser._temporalMode !== 'string',
+    parser._allowTypeCoercion === 'error',
+    typeRegistryVersion(),
+    annotationRegistryVersion(),
+  ].join('|');
+
+  let decoder = entry.byOptions.get(key);
+  if (decoder === undefined) {
+    decoder = fields.some(f => f.name === 'type') ? null : compileDecoder(typeDef, parser);
+    entry.byOptions.set(key, decoder);
+  }
+  return decoder;
+}
+
+/**
+ * @param {import('../core/types.js').MaxiTypeDef} typeDef
+ * @param {import('./record-parser.js').RecordParser} parser
+ * @returns {RecordDecoder}
+ */
+function compileDecoder(typeDef, parser) {
+  typeDef._ensureCache();
+  const fields = typeDef.fields;
+  const n = fields.length;
+  /** @type {Array<object>} */
+  const elementDefs = [];
+  // Values are read in place: `at` is where the current one starts, `end` the `|` after it.
+  const code = [
+    'const len = s.length;',
+    'let at = 0;',
+    'let end = 0;',
+    'let count = 0;',
+  ];
+
+  for (let i = 0; i < n; i++) {
+    const general = `const r = p.fastTrim(s.slice(at, end)); ` +
+      `if (r === '') v${i} = F[${i}].defaultValue ?? null; ` +
+      `else if (r === '~') x${i} = true; ` +
+      `else { ${convert(fields[i], i, `F[${i}]`, `v${i}`, 'r', parser, elementDefs)} }`;
+    code.push(
+      `let v${i};`,
+      `let x${i} = false;`,
+      'if (at <= len) {',
+      '  end = valueEnd(s, at);',
+      '  count++;',
+      `  ${inPlace(fields[i], parser, `v${i}`, general)}`,
+      '  at = end + 1;',
+      '}'
+    );
+  }
+  code.push('for (; at <= len; at = end + 1) { end = valueEnd(s, at); p._fieldIndex = count++; p.parseFieldValue(p.fastTrim(s.slice(at, end)), null, line); }');
+  code.push('p.checkFieldCount(T, count, line);');
+
+  for (let i = 0; i < n; i++) {
+    const f = fields[i];
+    const required = typeDef._requiredFlags[i];
+    code.push(
+      `if (x${i}) {`,
+      required && f.defaultValue !== undefined ? `  p.reportExplicitNull(F[${i}], line);` : '',
+      `  v${i} = null;`,
+      `} else if (v${i} === undefined || v${i} === '') v${i} = ${f.defaultValue !== undefined ? `F[${i}].defaultValue` : 'null'};`,
+      required ? `if (v${i} === null) p.reportRequiredNull(T, F[${i}], line);` : ''
+    );
+  }
+  for (let i = 0; i < n; i++) {
+    if (typeDef._enumAliasMap[i]) {
+      code.push(`if (v${i} !== null && v${i} !== undefined) v${i} = p.mapEnumValue(T, ${i}, v${i}, line);`);
+    }
+  }
+  code.push(`return [${Array.from({ length: n }, (_, i) => `v${i}`).join(', ')}];`);
+
+  const factory = new Function('T', 'F', 'A', 'NESTED_RE', 'valueEnd', `return function decode(p, s, line) {\n${code.filter(Boolean).join('\n')}\n};`);
+  return factory(typeDef, fields, elementDefs, NESTED_RE, valueEnd);
+}
+
+/**
+ * Statement reading the value between `at` and `end` without slicing it out
+ * when it is a plain integer (up to 15 digits, so always a safe one) or a
+ * `0`/`1` bool and the field converts those the way `convert` would;
+ * `general` handles every other value.
+ * @param {{typeExpr?: string | null, annotation?: string | null}} field
+ * @param {import('./record-parser.js').RecordParser} parser
+ * @param {string} out variable receiving the value
+ * @param {string} general statement for values the in-place read does not cover
+ * @returns {string}
+ */
+function inPlace(field, parser, out, general) {
+  if (parser.isTemporalField(/** @type {any} */ (field)) || getMaxiType(field.typeExpr) || getMaxiAnnotation(field.annotation)) {
+    return general;
+  }
+  const typeExpr = field.typeExpr ?? 'str';
+  const parenIdx = typeExpr.indexOf('(');
+  const baseType = parenIdx === -1 ? typeExpr : typeExpr.slice(0, parenIdx);
+
+  if (baseType === 'bool') {
+    return `if (end === at + 1 && (s.charCodeAt(at) === 48 || s.charCodeAt(at) === 49)) ${out} = s.charCodeAt(at) === 49; else { ${general} }`;
+  }
+  const numeric = baseType === 'int' || baseType === 'float' ||
+    (baseType === 'decimal' && parser._decimalMode === 'number') ||
+    // Untyped and reference values, which `convert` turns into numbers unless coercion is an error.
+    (!(field.typeExpr != null && baseType === 'str') && !typeExpr.startsWith('enum') && baseType !== 'bytes' &&
+      baseType !== 'decimal' && parser._allowTypeCoercion !== 'error');
+  if (!numeric || parser._intMode === 'bigint') return general;
+  return `{ let j = at; const neg = s.charCodeAt(j) === 45; if (neg) j++; const d = j; let n = 0; ` +
+    `for (; j < end; j++) { const c = s.charCodeAt(j); if (c < 48 || c > 57) break; n = n * 10 + c - 48; } ` +
+    `if (j === end && j > d && j - d < 16) ${out} = neg ? -n : n; else { ${general} } }`;
+}
+
+/**
+ * Statement converting the trimmed, non-empty, non-null value in variable
+ * `raw` into `out`, mirroring `RecordParser.parseFieldValue` for the field `ref` names.
+ * Flat arrays of simple elements are split inline; nested ones use `parseArray`.
+ * @param {{typeExpr?: string | null, annotation?: string | null, elementConstraints?: unknown}} field
+ * @param {number} index of the record field the value is in, for locating diagnostics
+ * @param {string} ref expression for the field definition in generated code
+ * @param {string} out variable receiving the value
+ * @param {string} raw variable holding the value text
+ * @param {import('./record-parser.js').RecordParser} parser
+ * @param {Array<object>} elementDefs element definitions passed to the decoder as `A`
+ * @returns {string}
+ */
+function convert(field, index, ref, out, raw, parser, elementDefs) {
+  const generic = `{ p._fieldIndex = ${index}; ${out} = p.parseFieldValue(${raw}, ${ref}, line); }`;
+  if (parser.isTemporalField(/** @type {any} */ (field)) || getMaxiType(field.typeExpr) || getMaxiAnnotation(field.annotation)) {
+    return generic;
+  }
+
+  const typeExpr = field.typeExpr ?? 'str';
+  const parenIdx = typeExpr.indexOf('(');
+  const baseType = parenIdx === -1 ? typeExpr : typeExpr.slice(0, parenIdx);
+
+  let fast;
+  if (baseType === 'int') {
+    const make = parser._intMode === 'number' ? `parseInt(${raw}, 10)` : `p.makeInt(${raw})`;
+    fast = `if (p.detectNumberKind(${raw}) === 1) ${out} = ${make}; else ${generic}`;
+  } else if (baseType === 'bool') {
+    fast = `if (${raw} === '1' || ${raw} === 'true') ${out} = true; else if (${raw} === '0' || ${raw} === 'false') ${out} = false; else ${generic}`;
+  } else if (field.typeExpr != null && baseType === 'str') {
+    fast = `${out} = ${raw};`;
+  } else if (typeExpr.startsWith('enum')) {
+    const m = typeExpr.match(/^enum<(\w+)>/);
+    fast = m && m[1] === 'int'
+      ? `{ const n = parseInt(${raw}, 10); ${out} = isNaN(n) ? ${raw} : n; }`
+      : `${out} = ${raw};`;
+  } else if (baseType === 'bytes') {
+    return generic;
+  } else if (baseType === 'float') {
+    fast = `if (p.detectFloatKind(${raw}) || p.detectNumberKind(${raw}) !== 0) ${out} = parseFloat(${raw}); else ${generic}`;
+  } else if (baseType === 'decimal') {
+    const make = parser._decimalMode === 'number'
+      ? `k === 3 ? parseInt(${raw}.slice(0, -1), 10) : parseFloat(${raw})`
+      : `p.makeDecimal(${raw}, k, ${ref})`;
+    fast = `{ const k = p.detectNumberKind(${raw}); if (k !== 0) ${out} = ${make}; else ${generic} }`;
+  } else if (parser._allowTypeCoercion === 'error') {
+    fast = `${out} = ${raw};`;
+  } else {
+    fast = `if (p.detectFloatKind(${raw})) ${out} = parseFloat(${raw}); else { const k = p.detectNumberKind(${raw}); ` +
+      `${out} = k === 1 ? p.makeInt(${raw}) : k === 2 ? parseFloat(${raw}) : k === 3 ? parseInt(${raw}.slice(0, -1), 10) : ${raw}; }`;
+  }
+
+  // Quoted strings, maps, inline objects and nested arrays keep their generic handling.
+  let code = `const c = ${raw}.charCodeAt(0); if (c === 34 || c === 40 || c === 91 || c === 123) ${generic} else ${fast}`;
+
+  const elemType = /^(.+)\[\]\s*$/.exec(typeExpr.trim())?.[1].trim();
+  if (field.typeExpr != null && elemType && !elemType.endsWith(']') && !elemType.startsWith('map')) {
+    // Same element definition `parseArray` builds.
+    const elemDef = { typeExpr: elemType, annotation: field.annotation ?? null, constraints: field.elementConstraints ?? null };
+    const a = `A[${elementDefs.push(elemDef) - 1}]`;
+    const elemCode = convert(elemDef, index, a, 'ev', 'e', parser, elementDefs);
+    code = `if (${raw}.charCodeAt(0) === 91 && ${raw}.charCodeAt(${raw}.length - 1) === 93 && !NESTED_RE.test(${raw}.slice(1, -1))) {
+  const body = ${raw}.slice(1, -1).trim();
+  const list = [];
+  if (body !== '') {
+    const items = body.split(',');
+    const last = items.length - 1;
+    for (let j = 0; j <= last; j++) {
+      const e = items[j].trim();
+      if (j === last && e === '') break;
+      let ev;
+      if (e === '' || e === '~') ev = p.parseFieldValue(e, ${a}, line);
+      else { ${elemCode} }
+      list.push(ev);
+    }
+  }
+  ${out} = list;
+} else { ${code} }`;
+  }
+  return code;
+}
+
+/**
+ * Index of the top-level `|` ending the value that starts at `i` in `s`, or
+ * `s.length`: `RecordParser.splitTopLevel(s, '|')` one value at a time.
+ * @param {string} s
+ * @param {number} i
+ * @returns {number}
+ */
+function valueEnd(s, i) {
+  const len = s.length;
+  for (; i < len; i++) {
+    const c = s.charCodeAt(i);
+    if (c === 124) return i;
+    if (c === 34 || c === 40 || c === 41 || c === 91 || c === 93 || c === 123 || c === 125) break;
+  }
+  let paren = 0;
+  let bracket = 0;
+  let brace = 0;
+  let inString = false;
+  for (; i < len; i++) {
+    const c = s.charCodeAt(i);
+    if (inString) {
+      if (c === 92) i++;
+      else if (c === 34) inString = false;
+      continue;
+    }
+    if (c === 34) inString = true;
+    else if (c === 40) paren++;
+    else if (c === 41) paren--;
+    else if (c === 91) bracket++;
+    else if (c === 93) bracket--;
+    else if (c === 123) brace++;
+    else if (c === 125) brace--;
+    else if (c === 124 && paren === 0 && bracket === 0 && brace === 0) return i;
+  }
+  return len;
+}
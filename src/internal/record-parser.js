@@ -1,10 +1,43 @@
 import { MaxiError, MaxiErrorCode } from '../core/errors.js';
-import { MaxiRecord } from '../core/types.js';
+import { MaxiRecord, MaxiDecimal } from '../core/types.js';
+import { checkCustomValue, getMaxiType, hasCustomTypes, isScalarType } from '../core/type-registry.js';
+import { checkAnnotationValue, getMaxiAnnotation, hasCustomAnnotations } from '../core/annotation-registry.js';
 import { validateRecordConstraints } from './constraint-validator.js';
+import { splitMapType } from './type-expr.js';
+import { getRecordDecoder } from './record-decoder.js';
+import { findToken } from './source-position.js';
 
 /** Sentinel for explicit null (~) to distinguish from missing/empty values. */
 const EXPLICIT_NULL = Object.freeze({});
 
+const INT_MODES = new Set(['number', 'bigint', 'auto']);
+const DECIMAL_MODES = new Set(['number', 'string', 'bigint-scaled']);
+const BYTES_MODES = new Set(['string', 'uint8array', 'buffer']);
+
+const TEMPORAL_MODES = new Set(['string', 'date']);
+const TEMPORAL_ANNOTATIONS = new Set(['date', 'datetime', 'time', 'timestamp']);
+
+/**
+ * Copies of fields with a custom annotation, without it, for converting their
+ * values before the annotation's `decode`.
+ * @type {WeakMap<object, object>}
+ */
+const plainFields = new WeakMap();
+
+const ISO_DATE_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const ISO_TIME_RE = /^(\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,9}))?)?(Z|[+-]\d{2}:\d{2})?$/;
+
+const BASE64_RE = /^[A-Za-z0-9+/]*={0,2}$/;
+const HEX_RE = /^[0-9a-fA-F]*$/;
+
+/**
+ * Where a record is in `recordsText` (or, for streamed records, in the input).
+ * @typedef {Object} RecordLocation
+ * @property {number} start       offset of the record's alias
+ * @property {number} valuesStart offset just past its opening parenthesis
+ * @property {number} column      1-based column of the alias
+ */
+
 export class RecordParser {
   /**
    * @param {string} recordsText
@@ -17,6 +50,12 @@ export class RecordParser {
     this.options = options;
     /** @type {Map<string, Set<unknown>>} */
     this.seenIds = new Map();
+    /** Line number of the first line of `recordsText`. */
+    this.firstLine = 1;
+    /** Offset of `recordsText` in the parsed input, or null if it is not a slice of it (no spans are reported then). */
+    this.sourceOffset = 0;
+    /** Column of the first character of `recordsText`. */
+    this.firstColumn = 1;
     this._filename = options.filename;
 
     this._allowAdditionalFields = options.allowAdditionalFields ?? 'ignore';
@@ -25,6 +64,54 @@ export class RecordParser {
     this._allowConstraintViolations = options.allowConstraintViolations ?? 'warning';
     this._allowForwardReferences = options.allowForwardReferences ?? true;
     this._allowUnknownTypes = options.allowUnknownTypes ?? 'warning';
+    this._compileDecoders = options.compileDecoders ?? false;
+    this._recover = options.recover ?? false;
+    /** @type {Map<import('../core/types.js').MaxiTypeDef, import('./record-decoder.js').RecordDecoder | null>} */
+    this._decoders = new Map();
+
+    // The record being decoded, for locating diagnostics.
+    /** @type {import('../core/types.js').MaxiTypeDef | null} */
+    this._typeDef = null;
+    /** @type {string | null} */
+    this._valuesStr = null;
+    this._valuesStart = 0;
+    this._valuesColumn = 1;
+    this._recordLine = 0;
+    /** Index of the top-level value being decoded, where nested values are looked for. */
+    this._fieldIndex = -1;
+    /** Depth of inline objects being decoded. */
+    this._nested = 0;
+
+    this._intMode = options.intMode ?? 'number';
+    if (!INT_MODES.has(this._intMode)) {
+      throw new TypeError(`Invalid intMode '${this._intMode}'. Expected 'number', 'bigint' or 'auto'.`);
+    }
+
+    this._bytesMode = options.bytesMode ?? 'string';
+    if (!BYTES_MODES.has(this._bytesMode)) {
+      throw new TypeError(`Invalid bytesMode '${this._bytesMode}'. Expected 'string', 'uint8array' or 'buffer'.`);
+    }
+    if (this._bytesMode === 'buffer' && typeof globalThis.Buffer !== 'function') {
+      throw new TypeError(`bytesMode 'buffer' requires a global Buffer (Node.js)`);
+    }
+
+    this._temporalMode = options.temporalMode ?? 'string';
+    if (typeof this._temporalMode !== 'function' && !TEMPORAL_MODES.has(this._temporalMode)) {
+      throw new TypeError(`Invalid temporalMode '${this._temporalMode}'. Expected 'string', 'date' or a factory function.`);
+    }
+
+    this._decimalMode = options.decimalMode ?? 'number';
+    if (typeof this._decimalMode !== 'function' && !DECIMAL_MODES.has(this._decimalMode)) {
+      throw new TypeError(`Invalid decimalMode '${this._decimalMode}'. Expected 'number', 'string', 'bigint-scaled' or a factory function.`);
+    }
+
+    if (options.onWarning != null && typeof options.onWarning !== 'function') {
+      throw new TypeError('Invalid onWarning. Expected a function.');
+    }
+    const maxWarnings = options.maxWarnings;
+    if (maxWarnings != null && !(Number.isInteger(maxWarnings) && maxWarnings >= 0)) {
+      throw new TypeError(`Invalid maxWarnings '${maxWarnings}'. Expected a non-negative integer.`);
+    }
   }
 
   /**
@@ -36,8 +123,10 @@ export class RecordParser {
 
     const len = text.length;
     let i = 0;
-    let lineNumber = 1;
+    let lineNumber = this.firstLine;
+    let lineStart = 0;
     let atLineStart = true;
+    const columnAt = (/** @type {number} */ pos) => pos - lineStart + (lineStart === 0 ? this.firstColumn : 1);
 
     while (i < len) {
       const ch = text.charCodeAt(i);
@@ -45,6 +134,7 @@ export class RecordParser {
       if (ch === 10) {
         lineNumber++;
         i++;
+        lineStart = i;
         atLineStart = true;
         continue;
       }
@@ -62,11 +152,13 @@ export class RecordParser {
 
       if (!((ch >= 65 && ch <= 90) || (ch >= 97 && ch <= 122) || ch === 95)) {
         if (atLineStart) {
-          throw new MaxiError(
+          this.collectError(new MaxiError(
             `Invalid syntax in data section: unexpected character at line ${lineNumber}`,
             MaxiErrorCode.InvalidSyntaxError,
             { line: lineNumber, filename: this._filename }
-          );
+          ), { column: columnAt(i), span: this.spanOf(i, i + 1) });
+          i = skipLine(text, i);
+          continue;
         }
         i++;
         continue;
@@ -91,11 +183,13 @@ export class RecordParser {
       }
 
       if (i < len && text.charCodeAt(i) === 58) {
-        throw new MaxiError(
+        this.collectError(new MaxiError(
           `Type definition '${text.slice(aliasStart, i)}:...' found in data section (after ###). Type definitions must appear before ###.`,
           MaxiErrorCode.StreamError,
           { line: lineNumber, filename: this._filename }
-        );
+        ), { alias, column: columnAt(aliasStart), span: this.spanOf(aliasStart, i + 1) });
+        i = skipLine(text, i);
+        continue;
       }
 
       if (i >= len || text.charCodeAt(i) !== 40) {
@@ -103,6 +197,8 @@ export class RecordParser {
       }
 
       const recordLine = lineNumber;
+      const recordLineStart = lineStart;
+      const recordColumn = columnAt(aliasStart);
       i++;
       const valuesStart = i;
 
@@ -115,7 +211,10 @@ export class RecordParser {
       while (i < len) {
         const c = text.charCodeAt(i);
 
-        if (c === 10) lineNumber++;
+        if (c === 10) {
+          lineNumber++;
+          lineStart = i + 1;
+        }
 
         if (escapeNext) {
           escapeNext = false;
@@ -152,37 +251,122 @@ export class RecordParser {
       }
 
       if (i >= len || text.charCodeAt(i) !== 41 || parenDepth !== 0 || bracketDepth !== 0 || braceDepth !== 0) {
-        if (bracketDepth !== 0) {
-          throw new MaxiError(
+        const error = bracketDepth !== 0
+          ? new MaxiError(
             `Malformed array: unmatched bracket in record '${alias}'`,
             MaxiErrorCode.ArraySyntaxError,
             { line: recordLine, filename: this._filename }
+          )
+          : new MaxiError(
+            `Unclosed record parentheses for '${alias}'`,
+            MaxiErrorCode.InvalidSyntaxError,
+            { line: recordLine, filename: this._filename }
           );
+        this.collectError(error, { alias, column: recordColumn, span: this.spanOf(aliasStart, valuesStart) });
+        if (i < len) {
+          i++;
+        } else {
+          // The scan ran to the end of the text: resume at the line after the record's start.
+          i = skipLine(text, valuesStart);
+          lineNumber = recordLine;
+          lineStart = recordLineStart;
         }
-        throw new MaxiError(
-          `Unclosed record parentheses for '${alias}'`,
-          MaxiErrorCode.InvalidSyntaxError,
-          { line: recordLine, filename: this._filename }
-        );
+        continue;
       }
 
       const valuesStr = text.slice(valuesStart, i);
       i++;
 
-      const record = this.parseSingleRecord(alias, valuesStr, recordLine);
-      this.result.records.push(record);
+      let record;
+      try {
+        record = this.parseSingleRecord(alias, valuesStr, recordLine, { start: aliasStart, valuesStart, column: recordColumn });
+      } catch (error) {
+        this.collectError(error, { alias });
+      }
+      if (record) this.result.records.push(record);
+      this.result.reportWarnings(this.options);
     }
   }
 
   /**
-   * Parse a single record and return a MaxiRecord.
+   * Throw `error`, or in `recover` mode keep it in `result.errors` and go on.
+   * @param {unknown} error
+   * @param {{alias?: string | null, line?: number, column?: number, span?: import('../core/types.js').MaxiSpan}} meta
+   */
+  collectError(error, meta) {
+    if (!this._recover || !(error instanceof MaxiError)) throw error;
+    this.result.addError(error, meta);
+  }
+
+  /**
+   * Parse a single record and return a MaxiRecord. With `location`,
+   * diagnostics get the column and span of the value (or record) they are about,
+   * and warnings the field and the record's alias and id.
    * @param {string} alias
    * @param {string} valuesStr
    * @param {number} lineNumber
+   * @param {RecordLocation} [location]
    * @returns {MaxiRecord}
    */
-  parseSingleRecord(alias, valuesStr, lineNumber) {
+  parseSingleRecord(alias, valuesStr, lineNumber, location = null) {
     const typeDef = this.result.schema.getType(alias);
+    if (location === null) return this.decodeRecord(alias, typeDef, valuesStr, lineNumber, null, null);
+
+    this._typeDef = typeDef;
+    this._valuesStr = valuesStr;
+    this._valuesStart = location.valuesStart;
+    this._valuesColumn = location.column + (location.valuesStart - location.start);
+    this._recordLine = lineNumber;
+    this._fieldIndex = -1;
+    this._nested = 0;
+    const span = this.spanOf(location.start, location.valuesStart + valuesStr.length + 1);
+    const warningCount = this.result.warnings.length;
+    let record;
+    try {
+      record = this.decodeRecord(alias, typeDef, valuesStr, lineNumber, location.column, span);
+    } catch (error) {
+      this._valuesStr = null;
+      if (error instanceof MaxiError) error.locate({ column: location.column, span });
+      if (this.result.warnings.length > warningCount) {
+        this.locateWarnings(warningCount, { alias, column: location.column, span });
+      }
+      throw error;
+    }
+    this._valuesStr = null;
+    if (this.result.warnings.length > warningCount) {
+      const idIndex = typeDef ? typeDef._idFieldIndex : -1;
+      const recordId = idIndex >= 0 ? record.values[idIndex] : null;
+      this.locateWarnings(warningCount, { alias, recordId, column: location.column, span });
+    }
+    return record;
+  }
+
+  /**
+   * Fill in the record details that warnings from `start` on do not carry yet.
+   * @param {number} start
+   * @param {{alias?: string, recordId?: unknown, column?: number | null, span?: import('../core/types.js').MaxiSpan | null}} where
+   */
+  locateWarnings(start, where) {
+    const warnings = this.result.warnings;
+    for (let i = start; i < warnings.length; i++) {
+      const warning = /** @type {Record<string, unknown>} */ (warnings[i]);
+      for (const key of Object.keys(where)) {
+        if (warning[key] === undefined) warning[key] = where[key];
+      }
+    }
+  }
+
+  /**
+   * @param {string} alias
+   * @param {import('../core/types.js').MaxiTypeDef | undefined} typeDef
+   * @param {string} valuesStr
+   * @param {number} lineNumber
+   * @param {number | null} column
+   * @param {import('../core/types.js').MaxiSpan | null} span
+   * @returns {MaxiRecord}
+   * @private
+   */
+  decodeRecord(alias, typeDef, valuesStr, lineNumber, column, span) {
     if (!typeDef) {
       const error = new MaxiError(
         `Unknown type alias '${alias}'`,
@@ -197,16 +381,198 @@ export class RecordParser {
       if (this._allowUnknownTypes === 'warning') {
         this.result.addWarning(error.message, {
           code: error.code,
-          line: lineNumber
+          line: lineNumber,
+          alias
         });
       }
 
       const values = this.parseFieldValues(valuesStr, null, lineNumber);
-      return new MaxiRecord({ alias, values, lineNumber });
+      return new MaxiRecord({ alias, values, lineNumber, column, span });
     }
 
     typeDef._ensureCache();
 
+    let decoder = null;
+    if (this._compileDecoders) {
+      decoder = this._decoders.get(typeDef);
+      if (decoder === undefined) {
+        decoder = getRecordDecoder(typeDef, this);
+        this._decoders.set(typeDef, decoder);
+      }
+    }
+    const finalValues = decoder
+      ? decoder(this, valuesStr, lineNumber)
+      : this.decodeRecordValues(typeDef, valuesStr, lineNumber);
+
+    if (typeDef._hasRuntimeConstraints) {
+      validateRecordConstraints(
+        finalValues, typeDef, this._allowConstraintViolations === 'error', this.result, lineNumber, this._filename,
+        (field, path) => this.locate(field, undefined, path)
+      );
+    }
+
+    this.checkDuplicateId(alias, typeDef, finalValues, lineNumber);
+
+    return new MaxiRecord({ alias, values: finalValues, lineNumber, column, span });
+  }
+
+  /**
+   * Public span for offsets into `recordsText`.
+   * @param {number} start
+   * @param {number} end
+   * @returns {import('../core/types.js').MaxiSpan | null}
+   */
+  spanOf(start, end) {
+    const base = this.sourceOffset;
+    return base === null ? null : { start: base + start, end: base + end };
+  }
+
+  /**
+   * Where a value is in the record being decoded, for diagnostics: the
+   * `text` token inside the value of `fieldDef` (or anywhere in the record,
+   * for nested values), else that field's whole value. Besides the position
+   * this gives the field and the `path` to the token inside its value, unless
+   * `path` is passed. Empty outside `parseSingleRecord` with a location.
+   * @param {import('../core/types.js').MaxiFieldDef | object | null} fieldDef
+   * @param {string} [text]
+   * @param {Array<string|number>} [path]
+   * @returns {{line?: number, column?: number, span?: import('../core/types.js').MaxiSpan, fieldName?: string | null, fieldIndex?: number, path?: Array<string|number>}}
+   */
+  locate(fieldDef, text, path) {
+    const values = this._valuesStr;
+    if (values === null) return {};
+
+    const fields = this._typeDef?.fields;
+    const parts = this.splitTopLevel(values, '|');
+    let index = fieldDef && fields ? fields.indexOf(/** @type {any} */ (fieldDef)) : -1;
+    if (index === -1 && this._fieldIndex < parts.length) index = this._fieldIndex;
+    let start = 0;
+    let end = values.length;
+    if (index !== -1) {
+      if (index >= parts.length) return { fieldName: fields[index].name, fieldIndex: index, path: path ?? [] };
+      for (let k = 0; k < index; k++) start += parts[k].length + 1;
+      end = start + parts[index].length;
+    }
+
+    const at = text ? findToken(values, text, start, end) : -1;
+    if (at !== -1) {
+      start = at;
+      end = at + text.length;
+    } else if (index !== -1) {
+      while (start < end && isSpace(values.charCodeAt(start))) start++;
+      while (end > start && isSpace(values.charCodeAt(end - 1))) end--;
+    } else {
+      return {};
+    }
+
+    let partStart = 0;
+    if (index === -1) {
+      for (index = 0; index < parts.length - 1 && partStart + parts[index].length < start; index++) {
+        partStart += parts[index].length + 1;
+      }
+    } else {
+      for (let k = 0; k < index; k++) partStart += parts[k].length + 1;
+    }
+
+    let line = this._recordLine;
+    for (let i = values.indexOf('\n'); i !== -1 && i < start; i = values.indexOf('\n', i + 1)) line++;
+    const nl = start > 0 ? values.lastIndexOf('\n', start - 1) : -1;
+    return {
+      line,
+      column: nl === -1 ? this._valuesColumn + start : start - nl,
+      span: this.spanOf(this._valuesStart + start, this._valuesStart + end),
+      fieldName: fields?.[index]?.name ?? null,
+      fieldIndex: index,
+      path: path ?? this.valuePath(parts[index], start - partStart),
+    };
+  }
+
+  /**
+   * Array indexes, map keys and inline-object field positions leading to
+   * `offset` in the value text `str`.
+   * @param {string} str
+   * @param {number} offset
+   * @returns {Array<string|number>}
+   */
+  valuePath(str, offset) {
+    /** @type {Array<{kind: number, index: number, keyStart: number, key: string | null}>} */
+    const stack = [];
+    let inString = false;
+    for (let i = 0; i < offset; i++) {
+      const c = str.charCodeAt(i);
+      if (inString) {
+        if (c === 92) i++;
+        else if (c === 34) inString = false;
+        continue;
+      }
+      const top = stack[stack.length - 1];
+      if (c === 34) inString = true;
+      else if (c === 91 || c === 40 || c === 123) stack.push({ kind: c, index: 0, keyStart: i + 1, key: null });
+      else if (c === 93 || c === 41 || c === 125) stack.pop();
+      else if (!top) continue;
+      else if (c === 44 && top.kind === 91) top.index++;
+      else if (c === 124 && top.kind === 40) top.index++;
+      else if (c === 44 && top.kind === 123) { top.keyStart = i + 1; top.key = null; }
+      else if (c === 58 && top.kind === 123 && top.key === null) top.key = str.slice(top.keyStart, i);
+    }
+    return stack.map(frame => {
+      if (frame.kind !== 123) return frame.index;
+      const key = (frame.key ?? /^[^:,}]*/.exec(str.slice(frame.keyStart))[0]).trim();
+      return key.charCodeAt(0) === 34 ? this.parseQuotedString(key) : key;
+    });
+  }
+
+  /**
+   * Report a record whose id was already seen for its alias.
+   * @param {string} alias
+   * @param {import('../core/types.js').MaxiTypeDef} typeDef
+   * @param {unknown[]} values
+   * @param {number} lineNumber
+   */
+  checkDuplicateId(alias, typeDef, values, lineNumber) {
+    const idFieldIndex = typeDef._idFieldIndex;
+    if (idFieldIndex >= 0 && idFieldIndex < values.length) {
+      const idValue = values[idFieldIndex];
+      if (idValue !== null && idValue !== undefined) {
+        let seen = this.seenIds.get(alias);
+        if (!seen) {
+          seen = new Set();
+          this.seenIds.set(alias, seen);
+        }
+        const idKey = String(idValue);
+        if (seen.has(idKey)) {
+          const msg = `Duplicate identifier '${idValue}' for type '${alias}'`;
+          if (this._allowConstraintViolations === 'error') {
+            throw new MaxiError(msg, MaxiErrorCode.DuplicateIdentifierError, { line: lineNumber, filename: this._filename });
+          }
+          this.result.addWarning(msg, {
+            code: MaxiErrorCode.DuplicateIdentifierError,
+            line: lineNumber,
+            alias,
+            recordId: idValue,
+            fieldName: typeDef.fields[idFieldIndex].name,
+            fieldIndex: idFieldIndex,
+            path: [],
+            value: idValue,
+            constraint: { type: 'id' },
+          });
+        }
+        seen.add(idKey);
+      }
+    }
+  }
+
+  /**
+   * Values of one record, completed with defaults and checked for required
+   * fields and enum membership. `getRecordDecoder` generates specialised
+   * versions of this per type; both report through the same helpers.
+   * @param {import('../core/types.js').MaxiTypeDef} typeDef
+   * @param {string} valuesStr
+   * @param {number} lineNumber
+   * @returns {unknown[]}
+   * @private
+   */
+  decodeRecordValues(typeDef, valuesStr, lineNumber) {
     let values = this.parseFieldValues(valuesStr, typeDef, lineNumber);
 
     if (this._allowAdditionalFields !== 'error') {
@@ -229,35 +595,7 @@ export class RecordParser {
       }
     }
 
-    if (this._allowMissingFields === 'error') {
-      if (values.length < typeDef.fields.length) {
-        for (let i = values.length; i < typeDef.fields.length; i++) {
-          const field = typeDef.fields[i];
-          if (typeDef._requiredFlags[i] && field.defaultValue === undefined) {
-            throw new MaxiError(
-              `Record '${alias}' missing required field '${field.name}'`,
-              MaxiErrorCode.MissingRequiredFieldError,
-              { line: lineNumber, filename: this._filename }
-            );
-          }
-        }
-      }
-    }
-
-    if (values.length > typeDef.fields.length) {
-      if (this._allowAdditionalFields === 'error') {
-        throw new MaxiError(
-          `Record '${alias}' has ${values.length} values but type defines ${typeDef.fields.length} fields`,
-          MaxiErrorCode.SchemaMismatchError,
-          { line: lineNumber, filename: this._filename }
-        );
-      } else if (this._allowAdditionalFields === 'warning') {
-        this.result.addWarning(
-          `Record '${alias}' has ${values.length} values but type defines ${typeDef.fields.length} fields`,
-          { code: MaxiErrorCode.SchemaMismatchError, line: lineNumber }
-        );
-      }
-    }
+    this.checkFieldCount(typeDef, values.length, lineNumber);
 
     const fieldCount = typeDef.fields.length;
     const finalValues = new Array(fieldCount);
@@ -266,15 +604,7 @@ export class RecordParser {
       let value = i < values.length ? values[i] : undefined;
 
       if (value === EXPLICIT_NULL) {
-        if (typeDef._requiredFlags[i] && field.defaultValue !== undefined) {
-          const error = new MaxiError(
-            `Field '${field.name}' is required with a default; explicit null (~) is not allowed`,
-            MaxiErrorCode.MissingRequiredFieldError,
-            { line: lineNumber, filename: this._filename }
-          );
-          if (this._allowMissingFields === 'error') throw error;
-          this.result.addWarning(error.message, { code: error.code, line: lineNumber });
-        }
+        if (typeDef._requiredFlags[i] && field.defaultValue !== undefined) this.reportExplicitNull(field, lineNumber);
         value = null;
       } else if (value === undefined || value === '') {
         if (field.defaultValue !== undefined) {
@@ -284,67 +614,128 @@ export class RecordParser {
         }
       }
 
-      if (typeDef._requiredFlags[i] && value === null) {
-        const error = new MaxiError(
-          `Required field '${field.name}' is null in record '${alias}'`,
-          MaxiErrorCode.MissingRequiredFieldError,
-          { line: lineNumber, filename: this._filename }
-        );
-
-        if (this._allowMissingFields === 'error') {
-          throw error;
-        }
-        this.result.addWarning(error.message, { code: error.code, line: lineNumber });
-      }
+      if (typeDef._requiredFlags[i] && value === null) this.reportRequiredNull(typeDef, field, lineNumber);
 
       finalValues[i] = value;
     }
 
     for (let i = 0; i < fieldCount; i++) {
-      const aliasMap = typeDef._enumAliasMap?.[i];
-      if (aliasMap) {
+      if (typeDef._enumAliasMap?.[i]) {
         const value = finalValues[i];
-        if (value !== null && value !== undefined) {
-          const strValue = String(value);
-          if (aliasMap.has(strValue)) {
-            finalValues[i] = aliasMap.get(strValue);
-          } else {
-            const msg = `Value '${strValue}' not in enum for field '${typeDef.fields[i].name}'`;
-            if (this._allowConstraintViolations === 'error') {
-              throw new MaxiError(msg, MaxiErrorCode.ConstraintViolationError, { line: lineNumber, filename: this._filename });
-            }
-            this.result.addWarning(msg, { code: MaxiErrorCode.ConstraintViolationError, line: lineNumber });
-          }
-        }
+        if (value !== null && value !== undefined) finalValues[i] = this.mapEnumValue(typeDef, i, value, lineNumber);
       }
     }
 
-    if (typeDef._hasRuntimeConstraints) {
-      validateRecordConstraints(finalValues, typeDef, this._allowConstraintViolations === 'error', this.result, lineNumber, this._filename);
-    }
+    return finalValues;
+  }
 
-    const idFieldIndex = typeDef._idFieldIndex;
-    if (idFieldIndex >= 0 && idFieldIndex < finalValues.length) {
-      const idValue = finalValues[idFieldIndex];
-      if (idValue !== null && idValue !== undefined) {
-        let seen = this.seenIds.get(alias);
-        if (!seen) {
-          seen = new Set();
-          this.seenIds.set(alias, seen);
-        }
-        const idKey = String(idValue);
-        if (seen.has(idKey)) {
-          const msg = `Duplicate identifier '${idValue}' for type '${alias}'`;
-          if (this._allowConstraintViolations === 'error') {
-            throw new MaxiError(msg, MaxiErrorCode.DuplicateIdentifierError, { line: lineNumber, filename: this._filename });
+  /**
+   * Missing required fields and surplus values, per `allowMissingFields` / `allowAdditionalFields`.
+   * @param {import('../core/types.js').MaxiTypeDef} typeDef
+   * @param {number} count number of values in the record
+   * @param {number} lineNumber
+   */
+  checkFieldCount(typeDef, count, lineNumber) {
+    const alias = typeDef.alias;
+    if (this._allowMissingFields === 'error') {
+      if (count < typeDef.fields.length) {
+        for (let i = count; i < typeDef.fields.length; i++) {
+          const field = typeDef.fields[i];
+          if (typeDef._requiredFlags[i] && field.defaultValue === undefined) {
+            throw new MaxiError(
+              `Record '${alias}' missing required field '${field.name}'`,
+              MaxiErrorCode.MissingRequiredFieldError,
+              { line: lineNumber, filename: this._filename }
+            );
           }
-          this.result.addWarning(msg, { code: MaxiErrorCode.DuplicateIdentifierError, line: lineNumber });
         }
-        seen.add(idKey);
       }
     }
 
-    return new MaxiRecord({ alias, values: finalValues, lineNumber });
+    if (count > typeDef.fields.length) {
+      if (this._allowAdditionalFields === 'error') {
+        throw new MaxiError(
+          `Record '${alias}' has ${count} values but type defines ${typeDef.fields.length} fields`,
+          MaxiErrorCode.SchemaMismatchError,
+          { line: lineNumber, filename: this._filename }
+        );
+      } else if (this._allowAdditionalFields === 'warning') {
+        this.result.addWarning(
+          `Record '${alias}' has ${count} values but type defines ${typeDef.fields.length} fields`,
+          { code: MaxiErrorCode.SchemaMismatchError, line: lineNumber }
+        );
+      }
+    }
+  }
+
+  /**
+   * `~` in a required field that has a default.
+   * @param {import('../core/types.js').MaxiFieldDef} field
+   * @param {number} lineNumber
+   */
+  reportExplicitNull(field, lineNumber) {
+    const where = this.locate(field);
+    const error = new MaxiError(
+      `Field '${field.name}' is required with a default; explicit null (~) is not allowed`,
+      MaxiErrorCode.MissingRequiredFieldError,
+      { line: lineNumber, filename: this._filename, ...where }
+    );
+    if (this._allowMissingFields === 'error') throw error;
+    this.result.addWarning(error.message, { code: error.code, line: lineNumber, ...where, value: null, constraint: { type: 'required' } });
+  }
+
+  /**
+   * @param {import('../core/types.js').MaxiTypeDef} typeDef
+   * @param {import('../core/types.js').MaxiFieldDef} field
+   * @param {number} lineNumber
+   */
+  reportRequiredNull(typeDef, field, lineNumber) {
+    const where = this.locate(field);
+    const error = new MaxiError(
+      `Required field '${field.name}' is null in record '${typeDef.alias}'`,
+      MaxiErrorCode.MissingRequiredFieldError,
+      { line: lineNumber, filename: this._filename, ...where }
+    );
+
+    if (this._allowMissingFields === 'error') {
+      throw error;
+    }
+    this.result.addWarning(error.message, { code: error.code, line: lineNumber, ...where, value: null, constraint: { type: 'required' } });
+  }
+
+  /**
+   * Semantic value of an enum wire token; unknown tokens are reported and kept.
+   * @param {import('../core/types.js').MaxiTypeDef} typeDef
+   * @param {number} index field index
+   * @param {unknown} value non-null parsed value
+   * @param {number} lineNumber
+   */
+  mapEnumValue(typeDef, index, value, lineNumber) {
+    const aliasMap = typeDef._enumAliasMap[index];
+    const strValue = String(value);
+    if (aliasMap.has(strValue)) return aliasMap.get(strValue);
+    const msg = `Value '${strValue}' not in enum for field '${typeDef.fields[index].name}'`;
+    const where = this.locate(typeDef.fields[index], strValue);
+    if (this._allowConstraintViolations === 'error') {
+      throw new MaxiError(msg, MaxiErrorCode.ConstraintViolationError, { line: lineNumber, filename: this._filename, ...where });
+    }
+    this.result.addWarning(msg, {
+      code: MaxiErrorCode.ConstraintViolationError,
+      line: lineNumber,
+      ...where,
+      value,
+      constraint: { type: 'enum', value: [...aliasMap.keys()] },
+    });
+    return value;
+  }
+
+  /**
+   * Whether values of this field go through `parseTemporal`.
+   * @param {import('../core/types.js').MaxiFieldDef | null} fieldDef
+   * @returns {boolean}
+   */
+  isTemporalField(fieldDef) {
+    return this._temporalMode !== 'string' && TEMPORAL_ANNOTATIONS.has(fieldDef?.annotation);
   }
 
   /** @private */
@@ -360,11 +751,14 @@ export class RecordParser {
 
     if (isSimple) {
       const fields = typeDef?.fields;
-      if (fields && !valuesStr.includes('~') && typeDef._fieldKinds && this._allowTypeCoercion !== 'error') {
+      if (fields && !valuesStr.includes('~') && typeDef._fieldKinds && this._allowTypeCoercion !== 'error' &&
+          !(typeDef._hasAnnotations && this._temporalMode !== 'string')) {
         const values = [];
         let start = 0;
         let fi = 0;
         const fieldKinds = typeDef._fieldKinds;
+        const exactInts = this._intMode !== 'number';
+        const bigInts = this._intMode === 'bigint';
         let useFastPath = true;
         for (let j = 0; j <= valuesStr.length; j++) {
           if (j === valuesStr.length || valuesStr.charCodeAt(j) === 124) {
@@ -387,7 +781,10 @@ export class RecordParser {
               value = dv !== undefined ? dv : null;
             } else if (kind === 1) {
               const c0 = raw.charCodeAt(0);
-              if ((c0 >= 48 && c0 <= 57) || (c0 === 45 && raw.length > 1)) {
+              if (exactInts) {
+                if (this.detectNumberKind(raw) !== 1) { useFastPath = false; break; }
+                value = this.makeInt(raw);
+              } else if ((c0 >= 48 && c0 <= 57) || (c0 === 45 && raw.length > 1)) {
                 value = parseInt(raw, 10);
                 if (String(value) !== raw) { useFastPath = false; break; }
               } else {
@@ -405,8 +802,10 @@ export class RecordParser {
               const c0 = raw.charCodeAt(0);
               if ((c0 >= 48 && c0 <= 57) || (c0 === 45 && raw.length > 1)) {
                 const iv = parseInt(raw, 10);
-                if (String(iv) === raw) {
+                if (String(iv) === raw && !bigInts) {
                   value = iv;
+                } else if (exactInts && this.detectNumberKind(raw) === 1) {
+                  value = this.makeInt(raw);
                 } else {
                   const fv = parseFloat(raw);
                   if (!isNaN(fv) && String(fv) === raw) {
@@ -435,6 +834,7 @@ export class RecordParser {
       for (let j = 0; j <= valuesStr.length; j++) {
         if (j === valuesStr.length || valuesStr.charCodeAt(j) === 124) {
           const valueStr = this.fastTrim(valuesStr.slice(start, j));
+          if (this._nested === 0) this._fieldIndex = fi;
           values.push(this.parseFieldValue(valueStr, fields?.[fi] ?? null, lineNumber));
           fi++;
           start = j + 1;
@@ -448,6 +848,7 @@ export class RecordParser {
     for (let i = 0; i < valueStrings.length; i++) {
       const valueStr = this.fastTrim(valueStrings[i]);
       const fieldDef = typeDef?.fields[i] ?? null;
+      if (this._nested === 0) this._fieldIndex = i;
       values.push(this.parseFieldValue(valueStr, fieldDef, lineNumber));
     }
     return values;
@@ -513,6 +914,9 @@ export class RecordParser {
   parseFieldValue(valueStr, fieldDef, lineNumber) {
     if (valueStr === '') return fieldDef?.defaultValue ?? null;
     if (valueStr === '~') return EXPLICIT_NULL;
+    if (hasCustomTypes() && fieldDef?.typeExpr && getMaxiType(fieldDef.typeExpr)) {
+      return this.parseCustomValue(valueStr, fieldDef, lineNumber);
+    }
 
     const c0 = valueStr.charCodeAt(0);
     const cLast = valueStr.charCodeAt(valueStr.length - 1);
@@ -522,14 +926,28 @@ export class RecordParser {
         throw new MaxiError(
           `Malformed array: unmatched opening bracket`,
           MaxiErrorCode.ArraySyntaxError,
-          { line: lineNumber, filename: this._filename }
+          { line: lineNumber, filename: this._filename, ...this.locate(fieldDef, valueStr) }
         );
       }
       return this.parseArray(valueStr, fieldDef, lineNumber);
     }
     if (c0 === 123 && cLast === 125) return this.parseMap(valueStr, fieldDef, lineNumber); // { }
     if (c0 === 40 && cLast === 41) return this.parseInlineObject(valueStr, fieldDef, lineNumber); // ( )
-    if (c0 === 34 && cLast === 34) return this.parseQuotedString(valueStr); // " "
+    if (hasCustomAnnotations() && getMaxiAnnotation(fieldDef?.annotation)) {
+      return this.parseAnnotatedValue(valueStr, fieldDef, lineNumber);
+    }
+    if (this.isTemporalField(fieldDef)) {
+      const raw = c0 === 34 && cLast === 34 ? this.parseQuotedString(valueStr) : valueStr;
+      return this.parseTemporal(raw, fieldDef, lineNumber);
+    }
+    if (c0 === 34 && cLast === 34) { // " "
+      const text = this.parseQuotedString(valueStr);
+      const fieldType = fieldDef?.typeExpr;
+      if (this._bytesMode !== 'string' && (fieldType === 'bytes' || fieldType?.startsWith('bytes('))) {
+        return this.decodeBytes(text, fieldDef, lineNumber);
+      }
+      return text;
+    }
 
     const typeExpr = fieldDef?.typeExpr ?? 'str';
 
@@ -544,24 +962,24 @@ export class RecordParser {
 
     if (baseType === 'int') {
       const nk = this.detectNumberKind(valueStr);
-      if (nk === 1) return parseInt(valueStr, 10);
+      if (nk === 1) return this.makeInt(valueStr);
       if (this._allowTypeCoercion === 'error') {
         throw new MaxiError(
           `Type mismatch: field expects int, got '${valueStr}'`,
           MaxiErrorCode.TypeMismatchError,
-          { line: lineNumber, filename: this._filename }
+          { line: lineNumber, filename: this._filename, ...this.locate(fieldDef, valueStr) }
         );
       }
       if (nk === 2 || nk === 3) {
         this.result.addWarning(
           `Type coercion: value '${valueStr}' coerced to int, fractional part lost`,
-          { code: MaxiErrorCode.TypeMismatchError, line: lineNumber }
+          { code: MaxiErrorCode.TypeMismatchError, line: lineNumber, ...this.locate(fieldDef, valueStr), value: valueStr }
         );
-        return parseInt(valueStr, 10);
+        return this.makeInt(valueStr.slice(0, valueStr.indexOf('.')));
       }
       this.result.addWarning(
         `Type mismatch: field expects int, got '${valueStr}'`,
-        { code: MaxiErrorCode.TypeMismatchError, line: lineNumber }
+        { code: MaxiErrorCode.TypeMismatchError, line: lineNumber, ...this.locate(fieldDef, valueStr), value: valueStr }
       );
       return valueStr;
     }
@@ -573,13 +991,13 @@ export class RecordParser {
         throw new MaxiError(
           `Type mismatch: field expects bool, got '${valueStr}'`,
           MaxiErrorCode.TypeMismatchError,
-          { line: lineNumber, filename: this._filename }
+          { line: lineNumber, filename: this._filename, ...this.locate(fieldDef, valueStr) }
         );
       }
       if (this._allowTypeCoercion === 'warning') {
         this.result.addWarning(
           `Type coercion: value '${valueStr}' is not a valid bool`,
-          { code: MaxiErrorCode.TypeMismatchError, line: lineNumber }
+          { code: MaxiErrorCode.TypeMismatchError, line: lineNumber, ...this.locate(fieldDef, valueStr), value: valueStr }
         );
       }
       return valueStr;
@@ -600,6 +1018,10 @@ export class RecordParser {
 
     const annotation = fieldDef?.annotation;
 
+    if (baseType === 'bytes' && this._bytesMode !== 'string') {
+      return this.decodeBytes(valueStr, fieldDef, lineNumber);
+    }
+
     if (this._allowTypeCoercion !== 'error' && baseType === 'bytes' && annotation === 'base64') {
       const s = valueStr;
       if (this.looksLikeBase64(s)) {
@@ -617,13 +1039,13 @@ export class RecordParser {
         throw new MaxiError(
           `Type mismatch: field expects float, got '${valueStr}'`,
           MaxiErrorCode.TypeMismatchError,
-          { line: lineNumber, filename: this._filename }
+          { line: lineNumber, filename: this._filename, ...this.locate(fieldDef, valueStr) }
         );
       }
       if (this._allowTypeCoercion === 'warning') {
         this.result.addWarning(
           `Type coercion: value '${valueStr}' is not a valid float`,
-          { code: MaxiErrorCode.TypeMismatchError, line: lineNumber }
+          { code: MaxiErrorCode.TypeMismatchError, line: lineNumber, ...this.locate(fieldDef, valueStr), value: valueStr }
         );
       }
       return valueStr;
@@ -631,19 +1053,18 @@ export class RecordParser {
 
     if (baseType === 'decimal') {
       const nk = this.detectNumberKind(valueStr);
-      if (nk === 3) return parseInt(valueStr.slice(0, -1), 10);
-      if (nk === 1 || nk === 2) return parseFloat(valueStr);
+      if (nk !== 0) return this.makeDecimal(valueStr, nk, fieldDef);
       if (this._allowTypeCoercion === 'error') {
         throw new MaxiError(
           `Type mismatch: field expects decimal, got '${valueStr}'`,
           MaxiErrorCode.TypeMismatchError,
-          { line: lineNumber, filename: this._filename }
+          { line: lineNumber, filename: this._filename, ...this.locate(fieldDef, valueStr) }
         );
       }
       if (this._allowTypeCoercion === 'warning') {
         this.result.addWarning(
           `Type coercion: value '${valueStr}' is not a valid decimal`,
-          { code: MaxiErrorCode.TypeMismatchError, line: lineNumber }
+          { code: MaxiErrorCode.TypeMismatchError, line: lineNumber, ...this.locate(fieldDef, valueStr), value: valueStr }
         );
       }
       return valueStr;
@@ -653,7 +1074,7 @@ export class RecordParser {
       const fk = this.detectFloatKind(valueStr);
       if (fk) return parseFloat(valueStr);
       const nk = this.detectNumberKind(valueStr);
-      if (nk === 1) return parseInt(valueStr, 10);
+      if (nk === 1) return this.makeInt(valueStr);
       if (nk === 2) return parseFloat(valueStr);
       if (nk === 3) return parseInt(valueStr.slice(0, -1), 10);
     }
@@ -661,13 +1082,256 @@ export class RecordParser {
     return valueStr;
   }
 
+  /**
+   * Decode a value of a type registered with `registerMaxiType`. Values its
+   * `parse` throws on are reported per `allowTypeCoercion` and returned as
+   * text; values its `validate` rejects per `allowConstraintViolations`.
+   * @param {string} valueStr
+   * @param {any} fieldDef
+   * @param {number} lineNumber
+   * @private
+   */
+  parseCustomValue(valueStr, fieldDef, lineNumber) {
+    const typeName = fieldDef.typeExpr;
+    const codec = getMaxiType(typeName);
+    const quoted = valueStr.length > 1 && valueStr.charCodeAt(0) === 34 && valueStr.charCodeAt(valueStr.length - 1) === 34;
+    const text = quoted ? this.parseQuotedString(valueStr) : valueStr;
+
+    let value = text;
+    if (codec.parse) {
+      try {
+        value = codec.parse(text, fieldDef);
+      } catch (error) {
+        const reason = error instanceof Error ? `: ${error.message}` : '';
+        const msg = `Type mismatch: field expects ${typeName}, got '${text}'${reason}`;
+        if (this._allowTypeCoercion === 'error') {
+          throw new MaxiError(msg, MaxiErrorCode.TypeMismatchError, {
+            line: lineNumber, filename: this._filename, ...this.locate(fieldDef, valueStr), cause: error
+          });
+        }
+        this.result.addWarning(msg, { code: MaxiErrorCode.TypeMismatchError, line: lineNumber, ...this.locate(fieldDef, valueStr), value: text });
+        return text;
+      }
+    }
+
+    const problem = checkCustomValue(typeName, value, fieldDef);
+    if (problem !== null) {
+      const msg = `Value '${text}' is not a valid ${typeName}${problem ? `: ${problem}` : ''}`;
+      if (this._allowConstraintViolations === 'error') {
+        throw new MaxiError(msg, MaxiErrorCode.ConstraintViolationError, { line: lineNumber, filename: this._filename, ...this.locate(fieldDef, valueStr) });
+      }
+      this.result.addWarning(msg, {
+        code: MaxiErrorCode.ConstraintViolationError,
+        line: lineNumber,
+        ...this.locate(fieldDef, valueStr),
+        value,
+        constraint: { type: 'type', value: typeName },
+      });
+    }
+    return value;
+  }
+
+  /**
+   * Convert a value of a field with an annotation registered with
+   * `registerMaxiAnnotation`: as for the field's type, then with the
+   * annotation's `decode`, then checked with its `validate`. Values `decode`
+   * throws on are reported per `allowTypeCoercion` and returned undecoded;
+   * values `validate` rejects per `allowConstraintViolations`.
+   * @param {string} valueStr
+   * @param {any} fieldDef
+   * @param {number} lineNumber
+   * @private
+   */
+  parseAnnotatedValue(valueStr, fieldDef, lineNumber) {
+    const name = fieldDef.annotation;
+    const plugin = getMaxiAnnotation(name);
+    let plain = plainFields.get(fieldDef);
+    if (!plain) {
+      plain = { ...fieldDef, annotation: null };
+      plainFields.set(fieldDef, plain);
+    }
+    let value = this.parseFieldValue(valueStr, plain, lineNumber);
+    const text = typeof value === 'string' ? value : valueStr;
+
+    if (plugin.decode) {
+      try {
+        value = plugin.decode(value, fieldDef);
+      } catch (error) {
+        const reason = error instanceof Error ? `: ${error.message}` : '';
+        const msg = `Type mismatch: field expects @${name}, got '${text}'${reason}`;
+        if (this._allowTypeCoercion === 'error') {
+          throw new MaxiError(msg, MaxiErrorCode.TypeMismatchError, {
+            line: lineNumber, filename: this._filename, ...this.locate(fieldDef, valueStr), cause: error
+          });
+        }
+        this.result.addWarning(msg, { code: MaxiErrorCode.TypeMismatchError, line: lineNumber, ...this.locate(fieldDef, valueStr), value });
+        return value;
+      }
+    }
+
+    const problem = checkAnnotationValue(name, value, fieldDef);
+    if (problem !== null) {
+      const where = this.locate(fieldDef, valueStr);
+      const msg = `Field '${where.fieldName ?? fieldDef.name}': value '${text}' is not a valid ${name}${problem ? `: ${problem}` : ''}`;
+      if (this._allowConstraintViolations === 'error') {
+        throw new MaxiError(msg, MaxiErrorCode.ConstraintViolationError, { line: lineNumber, filename: this._filename, ...where });
+      }
+      this.result.addWarning(msg, {
+        code: MaxiErrorCode.ConstraintViolationError,
+        line: lineNumber,
+        ...where,
+        value,
+        constraint: { type: 'annotation', value: name },
+      });
+    }
+    return value;
+  }
+
+  /**
+   * Validate an ISO-8601 `@date` / `@datetime` / `@time` string or a `@timestamp`
+   * (Unix seconds) and convert it according to `options.temporalMode`.
+   * Invalid values are reported per `allowTypeCoercion` and returned unconverted.
+   * @param {string} raw
+   * @param {any} fieldDef
+   * @param {number} lineNumber
+   * @private
+   */
+  parseTemporal(raw, fieldDef, lineNumber) {
+    const kind = fieldDef.annotation;
+    let ms = NaN;
+    /** @type {string | number} */
+    let value = raw;
+
+    if (kind === 'timestamp') {
+      if (this.detectNumberKind(raw) === 1) {
+        value = parseInt(raw, 10);
+        ms = value * 1000;
+      }
+    } else if (kind === 'date') {
+      ms = isoToEpochMs(raw, null);
+    } else if (kind === 'time') {
+      ms = isoToEpochMs('1970-01-01', raw);
+    } else {
+      const t = raw.indexOf('T');
+      if (t !== -1) ms = isoToEpochMs(raw.slice(0, t), raw.slice(t + 1));
+    }
+
+    if (!Number.isFinite(ms)) {
+      const expected = kind === 'timestamp' ? 'an integer Unix timestamp' : `an ISO-8601 ${kind}`;
+      const msg = `Type mismatch: field '${fieldDef.name ?? kind}' expects ${expected}, got '${raw}'`;
+      if (this._allowTypeCoercion === 'error') {
+        throw new MaxiError(msg, MaxiErrorCode.TypeMismatchError, { line: lineNumber, filename: this._filename, ...this.locate(fieldDef, raw) });
+      }
+      this.result.addWarning(msg, { code: MaxiErrorCode.TypeMismatchError, line: lineNumber, ...this.locate(fieldDef, raw), value: raw });
+      return value;
+    }
+
+    const mode = this._temporalMode;
+    return typeof mode === 'function' ? mode(value, kind, fieldDef) : new Date(ms);
+  }
+
+  /**
+   * Decode a `bytes` value (`@base64`, the default, or `@hex`) into a
+   * Uint8Array / Buffer. Malformed payloads are reported per
+   * `allowTypeCoercion` and returned as the raw string.
+   * @param {string} valueStr
+   * @param {any} fieldDef
+   * @param {number} lineNumber
+   * @returns {Uint8Array | string}
+   * @private
+   */
+  decodeBytes(valueStr, fieldDef, lineNumber) {
+    const isHex = fieldDef?.annotation === 'hex';
+    let problem = null;
+    /** @type {string} */
+    let code = MaxiErrorCode.TypeMismatchError;
+
+    if (isHex) {
+      if (!HEX_RE.test(valueStr)) problem = `value '${valueStr}' is not valid hex`;
+      else if (valueStr.length % 2 !== 0) {
+        problem = `hex value '${valueStr}' has an odd number of digits`;
+        code = MaxiErrorCode.UnsupportedBinaryFormatError;
+      }
+    } else if (!BASE64_RE.test(valueStr)) {
+      problem = `value '${valueStr}' is not valid base64`;
+    } else {
+      const eq = valueStr.indexOf('=');
+      const dataLen = eq === -1 ? valueStr.length : eq;
+      if (dataLen % 4 === 1 || (eq !== -1 && valueStr.length % 4 !== 0)) {
+        problem = `base64 value '${valueStr}' has invalid length or padding`;
+        code = MaxiErrorCode.UnsupportedBinaryFormatError;
+      }
+    }
+
+    if (problem) {
+      const msg = `Malformed bytes: ${problem}`;
+      if (this._allowTypeCoercion === 'error') {
+        throw new MaxiError(msg, code, { line: lineNumber, filename: this._filename, ...this.locate(fieldDef, valueStr) });
+      }
+      this.result.addWarning(msg, { code, line: lineNumber, ...this.locate(fieldDef, valueStr), value: valueStr });
+      return valueStr;
+    }
+
+    let bytes;
+    if (isHex) {
+      bytes = new Uint8Array(valueStr.length / 2);
+      for (let i = 0; i < bytes.length; i++) bytes[i] = parseInt(valueStr.slice(i * 2, i * 2 + 2), 16);
+    } else {
+      const eq = valueStr.indexOf('=');
+      const data = eq === -1 ? valueStr : valueStr.slice(0, eq);
+      const bin = atob(data + '==='.slice(0, (4 - (data.length & 3)) & 3));
+      bytes = new Uint8Array(bin.length);
+      for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+    }
+
+    if (this._bytesMode === 'buffer') return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    return bytes;
+  }
+
+  /**
+   * Convert a validated integer literal of an `int`, untyped or reference field
+   * according to `options.intMode`.
+   * @param {string} raw
+   * @returns {number | bigint}
+   * @private
+   */
+  makeInt(raw) {
+    if (this._intMode === 'bigint') return BigInt(raw);
+    const n = parseInt(raw, 10);
+    if (this._intMode === 'auto' && !Number.isSafeInteger(n)) return BigInt(raw);
+    return n;
+  }
+
+  /**
+   * Convert a validated decimal literal according to `options.decimalMode`.
+   * @param {string} valueStr
+   * @param {number} nk result of detectNumberKind (1, 2 or 3)
+   * @param {any} fieldDef
+   * @private
+   */
+  makeDecimal(valueStr, nk, fieldDef) {
+    const mode = this._decimalMode;
+    if (mode === 'number') {
+      return nk === 3 ? parseInt(valueStr.slice(0, -1), 10) : parseFloat(valueStr);
+    }
+    const literal = nk === 3 ? valueStr.slice(0, -1) : valueStr;
+    if (mode === 'string') return literal;
+    if (mode === 'bigint-scaled') {
+      const precision = fieldDef?.constraints?.find(c => c.type === 'decimal-precision');
+      return MaxiDecimal.parse(literal, precision?.fracMax ?? 0);
+    }
+    return mode(literal, fieldDef ?? null);
+  }
+
   /** @private */
   parseArray(arrayStr, fieldDef, lineNumber) {
     const content = arrayStr.slice(1, -1).trim();
     if (!content) return [];
 
     const elemType = this.getArrayElementType(fieldDef?.typeExpr);
-    const elemFieldDef = elemType ? { typeExpr: elemType } : null;
+    const elemFieldDef = elemType
+      ? { typeExpr: elemType, annotation: fieldDef.annotation ?? null, constraints: fieldDef.elementConstraints ?? null }
+      : null;
 
     const elements = [];
     let currentElement = '';
@@ -743,74 +1407,12 @@ export class RecordParser {
 
   /** @private */
   getMapValueType(typeExpr) {
-    if (!typeExpr) return null;
-    const t = typeExpr.trim();
-    if (t === 'map') return null;
-
-    const m = t.match(/^map\s*<\s*(.+)\s*>\s*$/);
-    if (!m) return null;
-
-    const inside = m[1];
-    let depth = 0;
-    let inString = false;
-    let cur = '';
-    const parts = [];
-
-    for (let i = 0; i < inside.length; i++) {
-      const ch = inside[i];
-
-      if (inString) {
-        if (ch === '"' && inside[i - 1] !== '\\') inString = false;
-        cur += ch; continue;
-      }
-      if (ch === '"') { inString = true; cur += ch; continue; }
-
-      if (ch === '<') depth++;
-      else if (ch === '>') depth = Math.max(0, depth - 1);
-
-      if (ch === ',' && depth === 0) { parts.push(cur.trim()); cur = ''; continue; }
-      cur += ch;
-    }
-    if (cur.trim()) parts.push(cur.trim());
-
-    if (parts.length === 1) return parts[0] || null;
-    return parts[parts.length - 1] || null;
+    return splitMapType(typeExpr)?.valueType || null;
   }
 
   /** @private */
   getMapKeyType(typeExpr) {
-    if (!typeExpr) return null;
-    const t = typeExpr.trim();
-    if (t === 'map') return null;
-
-    const m = t.match(/^map\s*<\s*(.+)\s*>\s*$/);
-    if (!m) return null;
-
-    const inside = m[1];
-    let depth = 0;
-    let inString = false;
-    let cur = '';
-    const parts = [];
-
-    for (let i = 0; i < inside.length; i++) {
-      const ch = inside[i];
-
-      if (inString) {
-        if (ch === '"' && inside[i - 1] !== '\\') inString = false;
-        cur += ch; continue;
-      }
-      if (ch === '"') { inString = true; cur += ch; continue; }
-
-      if (ch === '<') depth++;
-      else if (ch === '>') depth = Math.max(0, depth - 1);
-
-      if (ch === ',' && depth === 0) { parts.push(cur.trim()); cur = ''; continue; }
-      cur += ch;
-    }
-    if (cur.trim()) parts.push(cur.trim());
-
-    if (parts.length >= 2) return parts[0] || null;
-    return null;
+    return splitMapType(typeExpr)?.keyType || null;
   }
 
   /** @private */
@@ -841,7 +1443,7 @@ export class RecordParser {
       throw new MaxiError(
         `Invalid map entry format: ${entryStr}`,
         MaxiErrorCode.InvalidSyntaxError,
-        { line: lineNumber, filename: this.options.filename }
+        { line: lineNumber, filename: this.options.filename, ...this.locate(null, entryStr) }
       );
     }
 
@@ -849,17 +1451,14 @@ export class RecordParser {
     const valueStr = entryStr.slice(colonIndex + 1).trim();
     const key = this.parseFieldValue(keyStr, keyFieldDef ?? { typeExpr: 'str' }, lineNumber);
     if (keyFieldDef) {
-      this.validateInlineTypeConstraints(key, keyFieldDef.typeExpr, 'map key', lineNumber);
-    }
-    const value = this.parseFieldValue(valueStr, valueFieldDef, lineNumber);
-    if (valueFieldDef) {
-      this.validateInlineTypeConstraints(value, valueFieldDef.typeExpr, 'map value', lineNumber);
+      this.validateInlineTypeConstraints(key, keyFieldDef.typeExpr, 'map key', lineNumber, keyStr);
     }
-    map[String(key)] = value;
+    // Value constraints are element constraints, checked with the record.
+    map[String(key)] = this.parseFieldValue(valueStr, valueFieldDef, lineNumber);
   }
 
   /** @private */
-  validateInlineTypeConstraints(value, typeExpr, fieldName, lineNumber) {
+  validateInlineTypeConstraints(value, typeExpr, fieldName, lineNumber, text) {
     if (!typeExpr) return;
     const m = typeExpr.match(/^[a-zA-Z_][a-zA-Z0-9_]*\((.+)\)\s*$/);
     if (!m) return;
@@ -883,15 +1482,29 @@ export class RecordParser {
       if (violated) {
         const msg = `${fieldName}: value ${actual} violates constraint ${operator}${limit}`;
         if (this._allowConstraintViolations === 'error') {
-          throw new MaxiError(msg, MaxiErrorCode.ConstraintViolationError, { line: lineNumber, filename: this._filename });
+          throw new MaxiError(msg, MaxiErrorCode.ConstraintViolationError, { line: lineNumber, filename: this._filename, ...this.locate(null, text) });
         }
-        this.result.addWarning(msg, { code: MaxiErrorCode.ConstraintViolationError, line: lineNumber });
+        this.result.addWarning(msg, {
+          code: MaxiErrorCode.ConstraintViolationError,
+          line: lineNumber,
+          ...this.locate(null, text),
+          value,
+          constraint: { type: 'comparison', operator, value: limit },
+        });
       }
     }
   }
 
   /** @private */
   parseInlineObject(objStr, fieldDef, lineNumber) {
+    this._nested++;
+    const value = this.decodeInlineObject(objStr, fieldDef, lineNumber);
+    this._nested--;
+    return value;
+  }
+
+  /** @private */
+  decodeInlineObject(objStr, fieldDef, lineNumber) {
     const innerValuesStr = objStr.slice(1, -1);
     const typeAlias = this.getInlineObjectTypeAlias(fieldDef?.typeExpr);
     if (!typeAlias) return { values: this.parseFieldValues(innerValuesStr, null, lineNumber) };
@@ -902,13 +1515,15 @@ export class RecordParser {
         throw new MaxiError(
           `Unknown type alias '${typeAlias}' for inline object`,
           MaxiErrorCode.UnknownTypeError,
-          { line: lineNumber, filename: this.options.filename }
+          { line: lineNumber, filename: this.options.filename, ...this.locate(fieldDef, objStr) }
         );
       }
       if (this._allowUnknownTypes === 'warning') {
         this.result.addWarning(`Unknown type alias '${typeAlias}' for inline object`, {
           code: MaxiErrorCode.UnknownTypeError,
-          line: lineNumber
+          line: lineNumber,
+          ...this.locate(fieldDef, objStr),
+          value: objStr
         });
       }
       return { values: this.parseFieldValues(innerValuesStr, null, lineNumber) };
@@ -940,8 +1555,7 @@ export class RecordParser {
       return this.result.schema.resolveTypeAlias?.(resolved) ?? resolved;
     }
 
-    const primitives = ['str', 'int', 'decimal', 'bool', 'bytes', 'map'];
-    if (primitives.includes(base)) return null;
+    if (isScalarType(base)) return null;
     return this.result.schema.resolveTypeAlias?.(base) ?? base;
   }
 
@@ -1047,3 +1661,65 @@ export class RecordParser {
     return pad <= 2;
   }
 }
+
+/**
+ * Epoch milliseconds for an ISO-8601 date and optional time-of-day, or NaN if
+ * either part is malformed or out of range. A time without offset is UTC.
+ * @param {string} datePart YYYY-MM-DD
+ * @param {string | null} timePart HH:MM[:SS[.fff]][Z|±HH:MM]
+ * @returns {number}
+ */
+function isoToEpochMs(datePart, timePart) {
+  const d = ISO_DATE_RE.exec(datePart);
+  if (!d) return NaN;
+  const year = +d[1], month = +d[2], day = +d[3];
+  if (month < 1 || month > 12 || day < 1 || day > new Date(utcTime(year, month, 0)).getUTCDate()) return NaN;
+  if (timePart === null) return utcTime(year, month - 1, day);
+
+  const t = ISO_TIME_RE.exec(timePart);
+  if (!t) return NaN;
+  const h = +t[1], mi = +t[2], sec = t[3] ? +t[3] : 0;
+  if (h > 23 || mi > 59 || sec > 59) return NaN;
+  const ms = t[4] ? +t[4].slice(0, 3).padEnd(3, '0') : 0;
+
+  let offsetMin = 0;
+  if (t[5] && t[5] !== 'Z') {
+    const oh = +t[5].slice(1, 3), om = +t[5].slice(4, 6);
+    if (oh > 23 || om > 59) return NaN;
+    offsetMin = (t[5][0] === '-' ? -1 : 1) * (oh * 60 + om);
+  }
+  return utcTime(year, month - 1, day, h, mi, sec, ms) - offsetMin * 60000;
+}
+
+/**
+ * `Date.UTC` without its mapping of years 0–99 to 1900–1999.
+ * @param {number} year
+ * @param {number} monthIndex
+ * @param {number} day
+ * @param {number} [h]
+ * @param {number} [mi]
+ * @param {number} [sec]
+ * @param {number} [ms]
+ * @returns {number}
+ */
+function utcTime(year, monthIndex, day, h = 0, mi = 0, sec = 0, ms = 0) {
+  const date = new Date(Date.UTC(2000, 0, 1, h, mi, sec, ms));
+  date.setUTCFullYear(year, monthIndex, day);
+  return date.getTime();
+}
+
+/**
+ * Index of the line break ending the line at `i`, or the end of `text`.
+ * @param {string} text
+ * @param {number} i
+ * @returns {number}
+ */
+function skipLine(text, i) {
+  const end = text.indexOf('\n', i);
+  return end === -1 ? text.length : end;
+}
+
+/** @param {number} c */
+function isSpace(c) {
+  return c === 32 || c === 9 || c === 10 || c === 13;
+}
@@ -0,0 +1,370 @@
+import { MaxiError, MaxiErrorCode } from '../core/errors.js';
+
+const S_BETWEEN = 0;
+const S_COMMENT = 1;
+const S_ALIAS = 2;
+const S_AFTER_ALIAS = 3;
+const S_VALUES = 4;
+
+/**
+ * @typedef {Object} ScannedRecord
+ * @property {string} alias
+ * @property {string} valuesStr  raw text between the record's outer parentheses
+ * @property {number} lineNumber line of the record alias
+ * @property {number} start       offset of the record alias
+ * @property {number} valuesStart offset just past the opening parenthesis
+ * @property {number} column      1-based column of the alias
+ */
+
+/**
+ * Resumable scanner for the records section.
+ *
+ * Text is fed in arbitrary chunks via `push()`; complete records are pulled
+ * with `next()`. All scanner state (nesting depth, string/escape flags, line
+ * counter) survives chunk boundaries, so a record, quoted string or escape
+ * sequence may be split anywhere. Consumed text is discarded on the next
+ * `push()`, keeping memory proportional to the largest single record.
+ *
+ * Recognises the same syntax as `RecordParser.parse`: `#` comments, blank
+ * lines, and rejects type definitions found after `###`.
+ *
+ * Offsets count from the start of the pushed text, plus `sourceOffset`.
+ */
+export class RecordScanner {
+  /**
+   * @param {{filename?: string}} [options]
+   */
+  constructor(options = {}) {
+    this._filename = options.filename;
+    this._buf = '';
+    this._pos = 0;
+    this._ended = false;
+    /** Offset of the first pushed character in the input. */
+    this.sourceOffset = 0;
+    /** Line of the first pushed character. */
+    this.firstLine = 1;
+    /** Column of the first pushed character. */
+    this.firstColumn = 1;
+    /** Characters dropped from the front of `_buf`. */
+    this._dropped = 0;
+    /** Offset (into the pushed text) of the line being scanned. */
+    this._lineStart = 0;
+
+    this._state = S_BETWEEN;
+    this._atLineStart = true;
+    /** Newlines scanned so far. */
+    this._lines = 0;
+
+    this._aliasStart = 0;
+    this._alias = '';
+    this._recordLine = 0;
+    this._recordLineStart = 0;
+    this._valuesStart = 0;
+    this._parenDepth = 0;
+    this._bracketDepth = 0;
+    this._braceDepth = 0;
+    this._inString = false;
+    this._escapeNext = false;
+  }
+
+  /**
+   * Append a chunk of records text.
+   * @param {string} chunk
+   */
+  push(chunk) {
+    if (!chunk) return;
+    let keep = this._pos;
+    if (this._state === S_ALIAS || this._state === S_AFTER_ALIAS) keep = this._aliasStart;
+    else if (this._state === S_VALUES) keep = this._valuesStart;
+
+    if (keep > 0) {
+      this._buf = this._buf.slice(keep);
+      this._dropped += keep;
+      this._pos -= keep;
+      this._aliasStart -= keep;
+      this._valuesStart -= keep;
+    }
+    this._buf += chunk;
+  }
+
+  /** Signal that no more text will be pushed. */
+  end() {
+    this._ended = true;
+  }
+
+  /**
+   * Return the next complete record, or `null` if more input is needed
+   * (or, after `end()`, if the input is exhausted).
+   * @returns {ScannedRecord | null}
+   */
+  next() {
+    const text = this._buf;
+    const len = text.length;
+    let i = this._pos;
+
+    while (i < len) {
+      const c = text.charCodeAt(i);
+
+      switch (this._state) {
+        case S_BETWEEN: {
+          if (c === 10) {
+            this._lines++;
+            this._atLineStart = true;
+            i++;
+            this._lineStart = this._dropped + i;
+            continue;
+          }
+          if (c === 32 || c === 9 || c === 13) { i++; continue; }
+          if (c === 35) {
+            this._atLineStart = false;
+            this._state = S_COMMENT;
+            i++;
+            continue;
+          }
+          if (!isIdentStart(c)) {
+            if (this._atLineStart) {
+              this._pos = i;
+              const line = this.firstLine + this._lines;
+              throw new MaxiError(
+                `Invalid syntax in data section: unexpected character at line ${line}`,
+                MaxiErrorCode.InvalidSyntaxError,
+                { line, filename: this._filename, ...this._locate(i, i + 1) }
+              );
+            }
+            i++;
+            continue;
+          }
+          this._atLineStart = false;
+          this._aliasStart = i;
+          this._state = S_ALIAS;
+          i++;
+          continue;
+        }
+
+        case S_COMMENT: {
+          if (c === 10) { this._state = S_BETWEEN; continue; }
+          i++;
+          continue;
+        }
+
+        case S_ALIAS: {
+          if (isIdentChar(c)) { i++; continue; }
+          this._alias = text.slice(this._aliasStart, i);
+          this._state = S_AFTER_ALIAS;
+          continue;
+        }
+
+        case S_AFTER_ALIAS: {
+          if (c === 32 || c === 9 || c === 13) { i++; continue; }
+          if (c === 58) {
+            this._pos = i;
+            throw new MaxiError(
+              `Type definition '${this._alias}:...' found in data section (after ###). Type definitions must appear before ###.`,
+              MaxiErrorCode.StreamError,
+              { line: this.firstLine + this._lines, filename: this._filename, ...this._locate(this._aliasStart, i + 1) }
+            );
+          }
+          if (c !== 40) { this._state = S_BETWEEN; continue; }
+          this._recordLine = this.firstLine + this._lines;
+          this._recordLineStart = this._lineStart;
+          this._parenDepth = 1;
+          this._bracketDepth = 0;
+          this._braceDepth = 0;
+          this._inString = false;
+          this._escapeNext = false;
+          i++;
+          this._valuesStart = i;
+          this._state = S_VALUES;
+          continue;
+        }
+
+        case S_VALUES: {
+          if (c === 10) {
+            this._lines++;
+            this._lineStart = this._dropped + i + 1;
+          }
+          if (this._escapeNext) { this._escapeNext = false; i++; continue; }
+          if (this._inString) {
+            if (c === 92) this._escapeNext = true;
+            else if (c === 34) this._inString = false;
+            i++;
+            continue;
+          }
+          if (c === 34) { this._inString = true; i++; continue; }
+          if (c === 40) this._parenDepth++;
+          else if (c === 41) {
+            this._parenDepth--;
+            if (this._parenDepth === 0) {
+              if (this._bracketDepth !== 0 || this._braceDepth !== 0) {
+                this._pos = i;
+                throw this._unclosedError();
+              }
+              const base = this.sourceOffset + this._dropped;
+              const record = {
+                alias: this._alias,
+                valuesStr: text.slice(this._valuesStart, i),
+                lineNumber: this._recordLine,
+                start: base + this._aliasStart,
+                valuesStart: base + this._valuesStart,
+                column: this._columnAt(this._aliasStart, this._recordLineStart),
+              };
+              this._state = S_BETWEEN;
+              this._pos = i + 1;
+              return record;
+            }
+          } else if (c === 91) this._bracketDepth++;
+          else if (c === 93) this._bracketDepth = this._bracketDepth > 0 ? this._bracketDepth - 1 : 0;
+          else if (c === 123) this._braceDepth++;
+          else if (c === 125) this._braceDepth = this._braceDepth > 0 ? this._braceDepth - 1 : 0;
+          i++;
+          continue;
+        }
+      }
+    }
+
+    this._pos = i;
+
+    if (this._ended) {
+      if (this._state === S_VALUES) throw this._unclosedError();
+      if (this._state === S_ALIAS) {
+        this._alias = text.slice(this._aliasStart, i);
+        this._state = S_BETWEEN;
+      } else if (this._state === S_AFTER_ALIAS) {
+        this._state = S_BETWEEN;
+      }
+    }
+    return null;
+  }
+
+  /** @private */
+  _unclosedError() {
+    const where = this._locate(this._aliasStart, this._valuesStart, this._recordLineStart);
+    if (this._bracketDepth !== 0) {
+      return new MaxiError(
+        `Malformed array: unmatched bracket in record '${this._alias}'`,
+        MaxiErrorCode.ArraySyntaxError,
+        { line: this._recordLine, filename: this._filename, ...where }
+      );
+    }
+    return new MaxiError(
+      `Unclosed record parentheses for '${this._alias}'`,
+      MaxiErrorCode.InvalidSyntaxError,
+      { line: this._recordLine, filename: this._filename, ...where }
+    );
+  }
+
+  /**
+   * Column of `_buf` index `i` on the line starting at `lineStart`.
+   * @param {number} i
+   * @param {number} lineStart
+   * @private
+   */
+  _columnAt(i, lineStart) {
+    return this._dropped + i - lineStart + (lineStart === 0 ? this.firstColumn : 1);
+  }
+
+  /**
+   * Column and span of `_buf` indices `start` to `end`.
+   * @param {number} start
+   * @param {number} end
+   * @param {number} [lineStart]
+   * @private
+   */
+  _locate(start, end, lineStart = this._lineStart) {
+    const base = this.sourceOffset + this._dropped;
+    return { column: this._columnAt(start, lineStart), span: { start: base + start, end: base + end } };
+  }
+}
+
+function isIdentStart(c) {
+  return (c >= 65 && c <= 90) || (c >= 97 && c <= 122) || c === 95;
+}
+
+function isIdentChar(c) {
+  return isIdentStart(c) || (c >= 48 && c <= 57) || c === 45;
+}
+
+/**
+ * Split a records section into at most `parts` pieces of similar size.
+ *
+ * Cuts are made only at line breaks between records, never inside record
+ * values, quoted strings or comments, following the same rules as
+ * `RecordScanner`. Each piece therefore parses exactly as it would in place;
+ * `offset` is where it starts in `text` and `lineOffset` the number of lines
+ * before it.
+ *
+ * @param {string} text
+ * @param {number} parts
+ * @returns {Array<{text: string, offset: number, lineOffset: number}>}
+ */
+export function splitRecordsText(text, parts) {
+  const len = text.length;
+  const chunkSize = Math.ceil(len / Math.max(1, parts));
+  const pieces = [];
+  let start = 0;
+  let startLine = 0;
+  let line = 0;
+  let inAlias = false;
+  let afterAlias = false;
+  let i = 0;
+
+  while (i < len) {
+    const c = text.charCodeAt(i);
+
+    if (c === 10) {
+      line++;
+      i++;
+      inAlias = afterAlias = false;
+      if (i - start >= chunkSize && i < len) {
+        pieces.push({ text: text.slice(start, i), offset: start, lineOffset: startLine });
+        start = i;
+        startLine = line;
+      }
+      continue;
+    }
+    if (c === 32 || c === 9 || c === 13) {
+      inAlias = false;
+      i++;
+      continue;
+    }
+    if (c === 35) {
+      while (i < len && text.charCodeAt(i) !== 10) i++;
+      continue;
+    }
+    if (isIdentChar(c)) {
+      if (!inAlias) afterAlias = inAlias = isIdentStart(c);
+      i++;
+      continue;
+    }
+    inAlias = false;
+    if (c !== 40 || !afterAlias) {
+      afterAlias = false;
+      i++;
+      continue;
+    }
+
+    afterAlias = false;
+    let parenDepth = 1;
+    let inString = false;
+    i++;
+    while (i < len) {
+      const v = text.charCodeAt(i);
+      if (v === 10) line++;
+      if (inString) {
+        if (v === 92) {
+          if (text.charCodeAt(i + 1) === 10) line++;
+          i++;
+        } else if (v === 34) inString = false;
+      } else if (v === 34) inString = true;
+      else if (v === 40) parenDepth++;
+      else if (v === 41 && --parenDepth === 0) {
+        i++;
+        break;
+      }
+      i++;
+    }
+  }
+
+  if (start < len) pieces.push({ text: text.slice(start), offset: start, lineOffset: startLine });
+  return pieces;
+}
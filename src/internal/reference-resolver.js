@@ -1,8 +1,7 @@
 import { MaxiError, MaxiErrorCode } from '../core/errors.js';
-
-const NON_REF_TYPES = new Set([
-  'int', 'decimal', 'float', 'str', 'bool', 'bytes',
-]);
+import { isScalarType } from '../core/type-registry.js';
+import { splitMapType } from './type-expr.js';
+import { fieldValueRange, findToken } from './source-position.js';
 
 function getReferencedTypeAlias(typeExpr, schema) {
   if (!typeExpr) return null;
@@ -10,7 +9,7 @@ function getReferencedTypeAlias(typeExpr, schema) {
 
   t = t.replace(/(\[\])+$/, '');
 
-  if (NON_REF_TYPES.has(t)) return null;
+  if (isScalarType(t)) return null;
   if (t === 'map' || t.startsWith('map<')) return null;
   if (t.startsWith('enum')) return null;
 
@@ -18,6 +17,66 @@ function getReferencedTypeAlias(typeExpr, schema) {
   return alias;
 }
 
+/**
+ * Locate references in a field type: the referenced alias plus the containers
+ * wrapping it, outermost first (`'array'` per `[]`, `'map'` per `map<K,V>`).
+ * `O[]` gives `{alias: 'O', levels: ['array']}`, `map<str,U[]>` gives
+ * `{alias: 'U', levels: ['map', 'array']}`.
+ * @param {string | null} typeExpr
+ * @param {import('../core/types.js').MaxiSchema} schema
+ * @returns {{alias: string, levels: Array<'array'|'map'>} | null}
+ */
+function getReferenceShape(typeExpr, schema) {
+  if (!typeExpr) return null;
+  let t = typeExpr.trim();
+  /** @type {Array<'array'|'map'>} */
+  const levels = [];
+
+  for (;;) {
+    if (t.endsWith('[]')) {
+      levels.push('array');
+      t = t.slice(0, -2).trim();
+      continue;
+    }
+    const map = splitMapType(t);
+    if (map) {
+      levels.push('map');
+      t = map.valueType;
+      continue;
+    }
+    break;
+  }
+
+  const alias = getReferencedTypeAlias(t, schema);
+  return alias ? { alias, levels } : null;
+}
+
+/**
+ * Apply `fn` to every non-null leaf inside `value`, following `levels`. Leaves
+ * are reference ids or inline objects. Containers are copied, never mutated.
+ * @param {unknown} value
+ * @param {Array<'array'|'map'>} levels
+ * @param {string} path e.g. `items`, extended to `items[2]` / `lines.key`
+ * @param {(leaf: unknown, path: string, keys: Array<string|number>) => unknown} fn `keys` are the
+ *   array indexes and map keys leading to the leaf
+ * @param {number} [depth]
+ * @param {Array<string|number>} [keys]
+ * @returns {unknown}
+ */
+function mapLeaves(value, levels, path, fn, depth = 0, keys = []) {
+  if (value === null || value === undefined) return value;
+  if (depth === levels.length) return fn(value, path, keys);
+
+  if (levels[depth] === 'array') {
+    if (!Array.isArray(value)) return value;
+    return value.map((v, i) => mapLeaves(v, levels, `${path}[${i}]`, fn, depth + 1, [...keys, i]));
+  }
+  if (typeof value !== 'object' || Array.isArray(value)) return value;
+  const out = {};
+  for (const k of Object.keys(value)) out[k] = mapLeaves(value[k], levels, `${path}.${k}`, fn, depth + 1, [...keys, k]);
+  return out;
+}
+
 /**
  * Build an object registry (alias → id → object) from all parsed records and inline objects.
  * @param {import('../core/types.js').MaxiParseResult} result
@@ -88,15 +147,19 @@ export function buildObjectRegistry(result) {
 }
 
 /**
- * Validate that all object references resolve to a known object.
+ * Validate that all object references resolve to a known object. A record of
+ * a subtype satisfies a field typed with any of its ancestors.
  * Runs after all records are parsed to support forward references.
  * @param {import('../core/types.js').MaxiParseResult} result
  * @param {Map<string, Map<string, object>>} registry
  * @param {string} [filename]
- * @param {object} [options]
+ * @param {{allowForwardReferences?: boolean, recover?: boolean}} [options]
+ * @param {string | null} [input] text the records' spans are offsets into; diagnostics then point at the reference
  */
-export function validateReferences(result, registry, filename, options = {}) {
+export function validateReferences(result, registry, filename, options = {}, input = null) {
   const allowForwardReferences = options.allowForwardReferences ?? true;
+  /** @type {Map<string, string[]>} referenced alias → itself and its subtypes */
+  const candidates = new Map();
 
   for (const record of result.records) {
     const typeDef = result.schema.getType(record.alias);
@@ -107,31 +170,73 @@ export function validateReferences(result, registry, filename, options = {}) {
       const value = record.values[i];
 
       if (value === null || value === undefined) continue;
-      if (typeof value === 'object') continue;
 
-      const refAlias = getReferencedTypeAlias(field.typeExpr, result.schema);
-      if (!refAlias) continue;
+      const shape = getReferenceShape(field.typeExpr, result.schema);
+      if (!shape) continue;
 
-      const typeRegistry = registry.get(refAlias);
-      const idKey = String(value);
-      if (!typeRegistry || !typeRegistry.has(idKey)) {
-        const msg = `Unresolved reference: field '${field.name}' in '${record.alias}' references ${refAlias} id '${value}', but no such object found`;
+      if (!candidates.has(shape.alias)) candidates.set(shape.alias, result.schema.getSubtypeAliases(shape.alias));
+      const aliases = candidates.get(shape.alias);
+      mapLeaves(value, shape.levels, field.name, (ref, path, keys) => {
+        if (typeof ref === 'object') return ref;
+        const idKey = String(ref);
+        if (aliases.some(a => registry.get(a)?.has(idKey))) return ref;
+        const msg = `Unresolved reference: field '${path}' in '${record.alias}' references ${shape.alias} id '${ref}', but no such object found`;
+        const where = locateReference(input, record, i, idKey);
 
         if (!allowForwardReferences) {
-          throw new MaxiError(
+          const error = new MaxiError(
             msg,
             MaxiErrorCode.UnresolvedReferenceError,
-            { line: record.lineNumber, filename }
+            { ...where, filename, alias: record.alias }
           );
+          if (!options.recover) throw error;
+          result.addError(error);
+          return ref;
         }
 
+        const idField = typeDef.getIdField();
         result.addWarning(msg, {
           code: MaxiErrorCode.UnresolvedReferenceError,
-          line: record.lineNumber,
+          ...where,
+          alias: record.alias,
+          recordId: idField ? record.values[typeDef.fields.indexOf(idField)] : null,
+          fieldName: field.name,
+          fieldIndex: i,
+          path: keys,
+          value: ref,
         });
-      }
+        return ref;
+      });
     }
   }
 }
 
-export { getReferencedTypeAlias };
+/**
+ * Line, column and span of the reference `token` in the value of field
+ * `index` of `record`, found in the `input` its span is an offset into;
+ * the record's own position without `input`.
+ * @param {string | null} input
+ * @param {import('../core/types.js').MaxiRecord} record
+ * @param {number} index
+ * @param {string} token
+ * @returns {{line: number, column: number, span: import('../core/types.js').MaxiSpan}}
+ */
+function locateReference(input, record, index, token) {
+  const span = record.span;
+  const range = input !== null && span ? fieldValueRange(input, span.start, span.end, index) : null;
+  if (!range) return { line: record.lineNumber, column: record.column, span };
+
+  const at = findToken(input, token, range.start, range.end);
+  const start = at === -1 ? range.start : at;
+  const end = at === -1 ? range.end : at + token.length;
+  let line = record.lineNumber;
+  for (let i = input.indexOf('\n', span.start); i !== -1 && i < start; i = input.indexOf('\n', i + 1)) line++;
+  const nl = input.lastIndexOf('\n', start - 1);
+  return {
+    line,
+    column: nl < span.start ? record.column + start - span.start : start - nl,
+    span: { start, end },
+  };
+}
+
+export { getReferencedTypeAlias, getReferenceShape, mapLeaves };
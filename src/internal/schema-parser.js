@@ -1,6 +1,29 @@
 import { MaxiError, MaxiErrorCode } from '../core/errors.js';
 import { MaxiTypeDef, MaxiFieldDef } from '../core/types.js';
+import { checkCustomValue, getMaxiType, isScalarType } from '../core/type-registry.js';
+import { checkAnnotationValue, getMaxiAnnotation } from '../core/annotation-registry.js';
 import { validateSchemaConstraints } from './constraint-validator.js';
+import { splitMapType } from './type-expr.js';
+import { findToken, lineIndexAt, lineStarts } from './source-position.js';
+
+/**
+ * Fields whose default was decoded for a custom type or annotation. Inherited
+ * fields are shared and imported types are checked again, so each field is
+ * decoded only once.
+ * @type {WeakSet<object>}
+ */
+const decodedDefaults = new WeakSet();
+
+/** Directives the parser handles itself; the `directives` option cannot override them. */
+const BUILTIN_DIRECTIVES = new Set(['maxi', 'version', 'schema']);
+
+/**
+ * Where a type definition is in `schemaText`.
+ * @typedef {Object} TypeLocation
+ * @property {number} start     offset of the alias
+ * @property {number} bodyStart offset just past the alias
+ * @property {number} end       offset just past the closing parenthesis
+ */
 
 /**
  * Schema phase parser (directives + types + imports).
@@ -21,38 +44,157 @@ export class SchemaParser {
     this.localAliases = new Set();
     /** @type {boolean} */
     this._isImported = false;
+    /** @type {Map<string, TypeLocation>} where each local type is defined */
+    this.typeLocations = new Map();
+    this._recover = options.recover ?? false;
+    /** Offset of `schemaText` in the parsed input, or null if it is not a slice of it (no spans are reported then). */
+    this.sourceOffset = 0;
+    /** Line number of the first line of `schemaText`. */
+    this.firstLine = 1;
+    /** Column of the first character of `schemaText`. */
+    this.firstColumn = 1;
+    /** @type {number[]} */
+    this._lineStarts = [0];
+    /** @type {TypeLocation | null} the type definition being parsed */
+    this._definition = null;
+
+    const directives = options.directives;
+    if (directives != null && typeof directives !== 'object') {
+      throw new TypeError('Invalid directives. Expected an object mapping directive names to handlers.');
+    }
+    /** @type {Map<string, Function>} */
+    this._directiveHandlers = new Map(Object.entries(directives ?? {}));
+    for (const [name, handler] of this._directiveHandlers) {
+      if (typeof handler !== 'function') {
+        throw new TypeError(`Invalid handler for directive '@${name}'. Expected a function.`);
+      }
+      if (BUILTIN_DIRECTIVES.has(name)) {
+        throw new TypeError(`Directive '@${name}' is built in and cannot have a handler.`);
+      }
+    }
   }
 
   async parse() {
     if (!this.schemaText.trim()) return;
 
     const lines = this.schemaText.split(/\r?\n/);
-    let lineNumber = 1;
+    this._lineStarts = lineStarts(this.schemaText);
+    let lineNumber = this.firstLine;
 
     for (let i = 0; i < lines.length; i++, lineNumber++) {
       const line = lines[i].trim();
 
       if (!line || line.startsWith('#')) continue;
 
-      if (line.startsWith('@')) {
-        await this.parseDirective(line, lineNumber);
-        continue;
-      }
+      try {
+        if (line.startsWith('@')) {
+          const warningCount = this.result.warnings.length;
+          await this.parseDirective(line, lineNumber);
+          this.locateWarnings(warningCount, this.lineLocation(lines, i));
+          continue;
+        }
 
-      const typeDefResult = this.parseTypeDefinition(lines, i, lineNumber);
-      if (typeDefResult) {
-        i = typeDefResult.nextIndex;
-        lineNumber = typeDefResult.nextLine;
+        const typeDefResult = this.parseTypeDefinition(lines, i, lineNumber);
+        if (typeDefResult) {
+          i = typeDefResult.nextIndex;
+          lineNumber = typeDefResult.nextLine;
+        }
+      } catch (error) {
+        // Resume at the next line.
+        this.collectError(error, {
+          alias: line.startsWith('@') ? null : leadingAlias(line),
+          ...this.lineLocation(lines, i),
+        });
       }
     }
 
     this.resolveInheritance();
-    validateSchemaConstraints(this.result.schema, this.options.filename);
+    validateSchemaConstraints(this.result.schema, this.options.filename, (error, alias, field) => this.collectError(error, { alias, field }));
     this.validateDefaultValues();
     this.buildNameIndex();
 
     if (!this._isImported) {
       this.validateFieldTypeReferences();
+      this.result.reportWarnings(this.options);
+    }
+  }
+
+  /**
+   * Throw `error`, or in `recover` mode keep it in `result.errors` and go on.
+   * Imported schemas run the same whole-schema checks, so an error without
+   * a line of its own is kept once. Errors without a position get the one
+   * of `meta.field` in, or else of, the definition of `meta.alias`.
+   * @param {unknown} error
+   * @param {{alias?: string | null, field?: string, line?: number, column?: number, span?: import('../core/types.js').MaxiSpan}} [meta]
+   * @private
+   */
+  collectError(error, meta = {}) {
+    if (!(error instanceof MaxiError)) throw error;
+    const duplicate = this._recover && error.line === null &&
+      this.result.errors.some(e => e.code === error.code && e.message === error.message);
+    const { field, ...where } = meta;
+    error.locate(where);
+    if (meta.alias) error.locate(this.locateInType(this.typeLocations.get(meta.alias), field));
+    if (!this._recover) throw error;
+    if (!duplicate) this.result.addError(error);
+  }
+
+  /**
+   * Line, column and span of `schemaText` offsets `start` to `end`.
+   * @param {number} start
+   * @param {number} end
+   * @returns {{line: number, column: number, span: import('../core/types.js').MaxiSpan | null}}
+   * @private
+   */
+  locateOffsets(start, end) {
+    const index = lineIndexAt(this._lineStarts, start);
+    const base = this.sourceOffset;
+    return {
+      line: index + this.firstLine,
+      column: start - this._lineStarts[index] + (index === 0 ? this.firstColumn : 1),
+      span: base === null ? null : { start: base + start, end: base + end },
+    };
+  }
+
+  /**
+   * Position of the text of line `index`, without surrounding whitespace.
+   * @param {string[]} lines
+   * @param {number} index
+   * @private
+   */
+  lineLocation(lines, index) {
+    const line = lines[index];
+    const start = this._lineStarts[index] + line.length - line.trimStart().length;
+    return this.locateOffsets(start, this._lineStarts[index] + line.trimEnd().length);
+  }
+
+  /**
+   * Position of `token` (a field or parent name) in a type definition, else of the definition.
+   * @param {TypeLocation | null | undefined} definition
+   * @param {string | null} [token]
+   * @returns {{line?: number, column?: number, span?: import('../core/types.js').MaxiSpan | null}}
+   * @private
+   */
+  locateInType(definition, token) {
+    if (!definition) return {};
+    const at = token ? findToken(this.schemaText, token, definition.bodyStart, definition.end) : -1;
+    if (at !== -1) return this.locateOffsets(at, at + token.length);
+    return this.locateOffsets(definition.start, definition.end);
+  }
+
+  /**
+   * Give warnings from `start` on that have no position `where`.
+   * @param {number} start
+   * @param {{line: number, column: number, span: import('../core/types.js').MaxiSpan | null}} where
+   * @private
+   */
+  locateWarnings(start, where) {
+    const warnings = this.result.warnings;
+    for (let i = start; i < warnings.length; i++) {
+      if (warnings[i].column == null) {
+        warnings[i].column = where.column;
+        warnings[i].span = where.span;
+      }
     }
   }
 
@@ -114,11 +256,28 @@ export class SchemaParser {
         await this.parseSchemaDirective(value, lineNumber);
         break;
 
-      default:
-        this.result.addWarning(
-          `Unknown directive '@${directiveName}' ignored`,
-          { code: MaxiErrorCode.UnknownDirectiveError, line: lineNumber }
-        );
+      default: {
+        // Kept for `dumpMaxi`; an imported schema's come back with its `@schema` directive.
+        if (!this._isImported) this.result.schema.directives.push([directiveName, value]);
+        const handler = this._directiveHandlers.get(directiveName);
+        if (handler) {
+          try {
+            await handler(value, lineNumber, this.result.schema);
+          } catch (error) {
+            if (error instanceof MaxiError) throw error;
+            throw new MaxiError(
+              `Directive '@${directiveName}' rejected: ${error instanceof Error ? error.message : String(error)}`,
+              MaxiErrorCode.InvalidSyntaxError,
+              { line: lineNumber, filename: this.options.filename, cause: error }
+            );
+          }
+        } else {
+          this.result.addWarning(
+            `Unknown directive '@${directiveName}' ignored`,
+            { code: MaxiErrorCode.UnknownDirectiveError, line: lineNumber }
+          );
+        }
+      }
     }
   }
 
@@ -185,6 +344,7 @@ export class SchemaParser {
 
     let sawOpenParen = false;
     let parenDepth = 0;
+    let end = 0;
 
     for (; i < lines.length; i++, lineNum++) {
       const currentLine = lines[i];
@@ -223,7 +383,7 @@ export class SchemaParser {
             throw new MaxiError(
               'Unmatched closing parenthesis in type definition',
               MaxiErrorCode.InvalidSyntaxError,
-              { line: lineNum, filename: this.options.filename }
+              { filename: this.options.filename, ...this.locateOffsets(this._lineStarts[i] + k, this._lineStarts[i] + k + 1) }
             );
           }
           parenDepth--;
@@ -231,10 +391,11 @@ export class SchemaParser {
             throw new MaxiError(
               'Unmatched closing parenthesis in type definition',
               MaxiErrorCode.InvalidSyntaxError,
-              { line: lineNum, filename: this.options.filename }
+              { filename: this.options.filename, ...this.locateOffsets(this._lineStarts[i] + k, this._lineStarts[i] + k + 1) }
             );
           }
           if (parenDepth === 0) {
+            end = this._lineStarts[i] + k + 1;
             break;
           }
         }
@@ -253,7 +414,18 @@ export class SchemaParser {
       );
     }
 
-    this.parseCompleteTypeDefinition(fullDef, startLine);
+    const alias = leadingAlias(trimmed);
+    const start = this._lineStarts[startIndex] + firstLine.length - firstLine.trimStart().length;
+    this._definition = { start, bodyStart: start + alias.length, end };
+    try {
+      this.parseCompleteTypeDefinition(fullDef, startLine);
+      this.typeLocations.set(alias, this._definition);
+    } catch (error) {
+      // Skip the whole definition.
+      this.collectError(error, { alias, ...this.locateInType(this._definition) });
+    } finally {
+      this._definition = null;
+    }
     return { nextIndex: i, nextLine: lineNum };
   }
 
@@ -397,7 +569,13 @@ export class SchemaParser {
       .filter(Boolean);
 
     for (const fieldStr of fieldStrs) {
-      fields.push(this.parseField(fieldStr, lineNumber));
+      try {
+        fields.push(this.parseField(fieldStr, lineNumber));
+      } catch (error) {
+        // Point at the field rather than the start of its definition.
+        if (error instanceof MaxiError) Object.assign(error, this.locateInType(this._definition, leadingAlias(fieldStr)));
+        throw error;
+      }
     }
 
     return fields;
@@ -546,7 +724,7 @@ export class SchemaParser {
       }
     }
 
-    return new MaxiFieldDef({
+    const field = new MaxiFieldDef({
       name: namePart,
       typeExpr,
       annotation,
@@ -554,6 +732,49 @@ export class SchemaParser {
       elementConstraints: elementConstraints.length > 0 ? elementConstraints : null,
       defaultValue,
     });
+    field._elementChecks = this.buildElementChecks(typeExpr, elementConstraints, lineNumber);
+    return field;
+  }
+
+  /**
+   * Collect per-element constraints for array and map fields, one level per
+   * `[]` / `map<K,V>`. Constraints come from `elementConstraints` (outermost
+   * array only) and from groups embedded in the type, as in `int(>=0)[][]`
+   * or `map<str,int(>=0)>`.
+   * @param {string | null} typeExpr
+   * @param {import('../core/types.js').ParsedConstraint[] | null} outerConstraints
+   * @param {number} lineNumber
+   * @returns {import('../core/types.js').ElementCheck | null}
+   * @private
+   */
+  buildElementChecks(typeExpr, outerConstraints, lineNumber) {
+    const t = typeExpr?.trim();
+    if (!t) return null;
+
+    /** @type {'array' | 'map'} */
+    let kind;
+    let inner;
+    if (t.endsWith('[]')) {
+      kind = 'array';
+      inner = t.slice(0, -2).trim();
+    } else {
+      const map = splitMapType(t);
+      if (!map) return null;
+      kind = 'map';
+      inner = map.valueType;
+    }
+
+    /** @type {any[]} */
+    const constraints = outerConstraints ? [...outerConstraints] : [];
+    const trailing = this.extractTrailingGroup(inner, '(', ')');
+    if (trailing && trailing.before.trim()) {
+      constraints.push(...this.parseConstraints(trailing.inner, lineNumber));
+      inner = trailing.before.trim();
+    }
+
+    const next = this.buildElementChecks(inner, null, lineNumber);
+    if (constraints.length === 0 && !next) return null;
+    return { kind, typeExpr: inner, constraints, next };
   }
 
   /** @private */
@@ -889,10 +1110,6 @@ export class SchemaParser {
       .replace(/\\\\/g, '\\');
   }
 
-  static PRIMITIVE_TYPES = new Set([
-    'str', 'int', 'decimal', 'float', 'bool', 'bytes', 'map',
-  ]);
-
   /** @private */
   extractReferencedType(typeExpr) {
     if (!typeExpr) return null;
@@ -900,22 +1117,8 @@ export class SchemaParser {
 
     if (t.startsWith('enum')) return null;
 
-    const mapMatch = t.match(/^map\s*<\s*(.+)\s*>\s*$/);
-    if (mapMatch) {
-      const inside = mapMatch[1];
-      let depth = 0;
-      let parenDepth = 0;
-      let lastComma = -1;
-      for (let i = 0; i < inside.length; i++) {
-        if (inside[i] === '(') parenDepth++;
-        else if (inside[i] === ')') parenDepth = Math.max(0, parenDepth - 1);
-        else if (parenDepth === 0 && inside[i] === '<') depth++;
-        else if (parenDepth === 0 && inside[i] === '>') depth--;
-        else if (inside[i] === ',' && depth === 0 && parenDepth === 0) lastComma = i;
-      }
-      const valueType = lastComma >= 0 ? inside.slice(lastComma + 1).trim() : inside.trim();
-      return this.extractReferencedType(valueType);
-    }
+    const map = splitMapType(t);
+    if (map) return this.extractReferencedType(map.valueType);
     if (t === 'map') return null;
 
     t = t.replace(/\([^)]*\)\s*$/, '').trim();
@@ -926,7 +1129,7 @@ export class SchemaParser {
     }
 
     if (!t) return null;
-    if (SchemaParser.PRIMITIVE_TYPES.has(t)) return null;
+    if (isScalarType(t)) return null;
     return t;
   }
 
@@ -936,11 +1139,11 @@ export class SchemaParser {
       for (const field of typeDef.fields) {
         const refType = this.extractReferencedType(field.typeExpr);
         if (refType && !this.result.schema.types.has(refType) && !this.result.schema.resolveTypeAlias?.(refType)) {
-          throw new MaxiError(
+          this.collectError(new MaxiError(
             `Field '${field.name}' in type '${alias}' references unknown type '${refType}'`,
             MaxiErrorCode.UnknownTypeError,
             { filename: this.options.filename }
-          );
+          ), { alias, field: field.name });
         }
       }
     }
@@ -958,33 +1161,80 @@ export class SchemaParser {
 
         if (typeExpr === 'int') {
           if (!/^-?\d+$/.test(defVal)) {
-            throw new MaxiError(
+            this.collectError(new MaxiError(
               `Invalid default value '${field.defaultValue}' for field '${field.name}' of type 'int' in '${alias}'`,
               MaxiErrorCode.InvalidDefaultValueError,
               { filename: this.options.filename }
-            );
+            ), { alias, field: field.name });
           }
         } else if (typeExpr === 'float' || typeExpr === 'decimal') {
           if (isNaN(Number(defVal))) {
-            throw new MaxiError(
+            this.collectError(new MaxiError(
               `Invalid default value '${field.defaultValue}' for field '${field.name}' of type '${typeExpr}' in '${alias}'`,
               MaxiErrorCode.InvalidDefaultValueError,
               { filename: this.options.filename }
-            );
+            ), { alias, field: field.name });
           }
         } else if (typeExpr === 'bool') {
           if (!['true', 'false', '1', '0'].includes(defVal)) {
-            throw new MaxiError(
+            this.collectError(new MaxiError(
               `Invalid default value '${field.defaultValue}' for field '${field.name}' of type 'bool' in '${alias}'`,
               MaxiErrorCode.InvalidDefaultValueError,
               { filename: this.options.filename }
-            );
+            ), { alias, field: field.name });
           }
         }
+        if (getMaxiType(typeExpr) || (getMaxiAnnotation(field.annotation) && !typeExpr.endsWith('[]'))) {
+          this.decodeDefaultValue(field, alias);
+        }
       }
     }
   }
 
+  /**
+   * Decode the default of a field with a custom type or annotation, so records
+   * get the same kind of value whether the field is given or left empty. The
+   * schema text of the default is kept for `dumpMaxi` as `_defaultText`.
+   * @param {MaxiFieldDef} field
+   * @param {string} alias
+   * @private
+   */
+  decodeDefaultValue(field, alias) {
+    if (decodedDefaults.has(field)) return;
+    decodedDefaults.add(field);
+
+    const text = String(field.defaultValue);
+    const codec = getMaxiType(field.typeExpr);
+    const plugin = getMaxiAnnotation(field.annotation);
+    /** @type {unknown} */
+    let value = text;
+    let problem = null;
+    try {
+      if (codec) {
+        if (codec.parse) value = codec.parse(text, field);
+        problem = checkCustomValue(field.typeExpr, value, field);
+      }
+      if (plugin && problem === null) {
+        if (plugin.decode) value = plugin.decode(value, field);
+        problem = checkAnnotationValue(field.annotation, value, field);
+      }
+    } catch (error) {
+      problem = error instanceof Error ? error.message : String(error);
+    }
+
+    if (problem !== null) {
+      const type = field.annotation ? `${field.typeExpr}@${field.annotation}` : field.typeExpr;
+      this.collectError(new MaxiError(
+        `Invalid default value '${text}' for field '${field.name}' of type '${type}' in '${alias}'${problem ? `: ${problem}` : ''}`,
+        MaxiErrorCode.InvalidDefaultValueError,
+        { filename: this.options.filename }
+      ), { alias, field: field.name });
+      return;
+    }
+    Object.defineProperty(field, '_defaultText', { value: field.defaultValue });
+    field.defaultValue = value;
+  }
+
   /**
    * Resolve inheritance after all types are loaded.
    * @private
@@ -996,10 +1246,11 @@ export class SchemaParser {
     const resolveType = (alias) => {
       if (visited.has(alias)) return;
       if (visiting.has(alias)) {
-        throw new MaxiError(
+        this.collectError(new MaxiError(
           `Circular inheritance detected involving type '${alias}'`,
           MaxiErrorCode.CircularInheritanceError
-        );
+        ), { alias });
+        return;
       }
 
       const typeDef = this.result.schema.getType(alias);
@@ -1011,10 +1262,11 @@ export class SchemaParser {
       for (const parentAlias of typeDef.parents) {
         const parentType = this.result.schema.getType(parentAlias);
         if (!parentType) {
-          throw new MaxiError(
+          this.collectError(new MaxiError(
             `Type '${alias}' inherits from '${parentAlias}', but '${parentAlias}' is not defined`,
             MaxiErrorCode.UndefinedParentError
-          );
+          ), { alias, field: parentAlias });
+          continue;
         }
 
         resolveType(parentAlias);
@@ -1069,6 +1321,7 @@ export class SchemaParser {
       });
       externalParser._isImported = true;
       externalParser.loadingStack = this.loadingStack;
+      externalParser.sourceOffset = null;
 
       await externalParser.parse();
     } catch (error) {
@@ -1084,3 +1337,12 @@ export class SchemaParser {
     }
   }
 }
+
+/**
+ * Alias at the start of a type definition line, if any.
+ * @param {string} line
+ * @returns {string | null}
+ */
+function leadingAlias(line) {
+  return /^\s*([A-Za-z_][A-Za-z0-9_-]*)/.exec(line)?.[1] ?? null;
+}
@@ -0,0 +1,97 @@
+/**
+ * Offset helpers for locating diagnostics in source text.
+ */
+
+/**
+ * Offset of the start of every line in `text`.
+ * @param {string} text
+ * @returns {number[]}
+ */
+export function lineStarts(text) {
+  const starts = [0];
+  for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) starts.push(i + 1);
+  return starts;
+}
+
+/**
+ * 0-based index of the line containing `offset`.
+ * @param {number[]} starts from `lineStarts`
+ * @param {number} offset
+ * @returns {number}
+ */
+export function lineIndexAt(starts, offset) {
+  let lo = 0;
+  let hi = starts.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (starts[mid] <= offset) lo = mid;
+    else hi = mid - 1;
+  }
+  return lo;
+}
+
+/**
+ * First occurrence of `token` in `text` between `from` and `to` that is not
+ * part of a longer word or number, or -1.
+ * @param {string} text
+ * @param {string} token
+ * @param {number} from
+ * @param {number} to
+ * @returns {number}
+ */
+export function findToken(text, token, from, to) {
+  for (let at = text.indexOf(token, from); at !== -1 && at + token.length <= to; at = text.indexOf(token, at + 1)) {
+    if (!isWordChar(text.charCodeAt(at - 1)) && !isWordChar(text.charCodeAt(at + token.length))) return at;
+  }
+  return -1;
+}
+
+/**
+ * Offsets of the value of field `index`, without surrounding whitespace, in
+ * the record `Alias(v0|v1|…)` from `start` to `end` of `text`, or null if the
+ * record has fewer values.
+ * @param {string} text
+ * @param {number} start
+ * @param {number} end offset just past the record's `)`
+ * @param {number} index
+ * @returns {{start: number, end: number} | null}
+ */
+export function fieldValueRange(text, start, end, index) {
+  let i = text.indexOf('(', start) + 1;
+  if (i === 0 || i >= end) return null;
+  let from = i;
+  let field = 0;
+  let depth = 0;
+  let inString = false;
+  for (; i < end - 1; i++) {
+    const c = text.charCodeAt(i);
+    if (inString) {
+      if (c === 92) i++;
+      else if (c === 34) inString = false;
+    } else if (c === 34) {
+      inString = true;
+    } else if (c === 40 || c === 91 || c === 123) {
+      depth++;
+    } else if (c === 41 || c === 93 || c === 125) {
+      depth--;
+    } else if (c === 124 && depth === 0) {
+      if (field === index) break;
+      field++;
+      from = i + 1;
+    }
+  }
+  if (field !== index) return null;
+  while (from < i && isBlank(text.charCodeAt(from))) from++;
+  while (i > from && isBlank(text.charCodeAt(i - 1))) i--;
+  return { start: from, end: i };
+}
+
+/** @param {number} c */
+function isBlank(c) {
+  return c === 32 || c === 9 || c === 10 || c === 13;
+}
+
+/** @param {number} c */
+function isWordChar(c) {
+  return (c >= 48 && c <= 57) || (c >= 65 && c <= 90) || (c >= 97 && c <= 122) || c === 95 || c === 46 || c === 45;
+}
@@ -0,0 +1,33 @@
+/**
+ * Helpers for taking apart field type expressions.
+ */
+
+/**
+ * Key and value types of `map<K,V>`; `map<V>` has `str` keys. Commas inside
+ * nested `<>`, `()`, `[]` or quoted constraint values do not split.
+ * @param {string | null | undefined} typeExpr
+ * @returns {{keyType: string, valueType: string} | null} null for anything but `map<...>`
+ */
+export function splitMapType(typeExpr) {
+  const m = typeExpr?.trim().match(/^map\s*<(.+)>$/);
+  if (!m) return null;
+  const inside = m[1];
+  let depth = 0;
+  let inString = false;
+  for (let i = 0; i < inside.length; i++) {
+    const ch = inside[i];
+    if (inString) {
+      if (ch === '\\') i++;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === '<' || ch === '(' || ch === '[') {
+      depth++;
+    } else if (ch === '>' || ch === ')' || ch === ']') {
+      depth--;
+    } else if (ch === ',' && depth === 0) {
+      return { keyType: inside.slice(0, i).trim(), valueType: inside.slice(i + 1).trim() };
+    }
+  }
+  return { keyType: 'str', valueType: inside.trim() };
+}
@@ -1,20 +1,36 @@
-export { parseMaxi } from './api/parse.js';
+export { parseMaxi, compileMaxiSchema, parseMaxiRecords } from './api/parse.js';
 export { dumpMaxi } from './api/dump.js';
+export { formatMaxi } from './api/format.js';
+export { MaxiWriter, createMaxiDumpStream } from './api/writer.js';
 export { dumpMaxiAuto } from './api/auto-dump.js';
 export { parseMaxiAs, parseMaxiAutoAs } from './api/hydrate.js';
 export { streamMaxi, MaxiStreamResult } from './api/stream.js';
+export { parseMaxiParallel } from './api/parallel.js';
+export { parseMaxiCst, printMaxiCst, MaxiCst, MaxiCstList, MaxiCstToken } from './api/cst.js';
+export { formatMaxiDiagnostic } from './api/diagnostic.js';
 export { MaxiError, MaxiErrorCode } from './core/errors.js';
 export {
   MaxiSchema,
   MaxiTypeDef,
   MaxiFieldDef,
   MaxiRecord,
+  MaxiDecimal,
   MaxiParseResult
 } from './core/types.js';
+export { isValidEmail, isValidUrl, isValidUuid } from './internal/constraint-validator.js';
 export { defineMaxiSchema, getMaxiSchema, undefineMaxiSchema } from './core/schema-registry.js';
+export { registerMaxiType, getMaxiType, unregisterMaxiType } from './core/type-registry.js';
+export { registerMaxiAnnotation, getMaxiAnnotation, unregisterMaxiAnnotation } from './core/annotation-registry.js';
 
 /**
  * @typedef {import('./api/parse.js').MaxiParseOptions} MaxiParseOptions
  * @typedef {import('./api/dump.js').MaxiDumpOptions} MaxiDumpOptions
  * @typedef {import('./api/dump.js').MaxiDumpTypeInput} MaxiDumpTypeInput
+ * @typedef {import('./api/format.js').MaxiFormatOptions} MaxiFormatOptions
+ * @typedef {import('./api/parallel.js').MaxiParallelOptions} MaxiParallelOptions
+ * @typedef {import('./api/diagnostic.js').MaxiDiagnosticFormatOptions} MaxiDiagnosticFormatOptions
+ * @typedef {import('./core/types.js').MaxiDiagnostic} MaxiDiagnostic
+ * @typedef {import('./core/types.js').MaxiSpan} MaxiSpan
+ * @typedef {import('./core/type-registry.js').MaxiTypeCodec} MaxiTypeCodec
+ * @typedef {import('./core/annotation-registry.js').MaxiAnnotationPlugin} MaxiAnnotationPlugin
  */
@@ -0,0 +1,110 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { compileMaxiSchema, parseMaxi, parseMaxiRecords } from '../src/api/parse.js';
+import { dumpMaxi } from '../src/api/dump.js';
+import { parseMaxiParallel } from '../src/api/parallel.js';
+import { registerMaxiAnnotation, unregisterMaxiAnnotation } from '../src/core/annotation-registry.js';
+
+registerMaxiAnnotation('ipv4', {
+  appliesTo: ['str'],
+  validate: ip => /^\d{1,3}(\.\d{1,3}){3}$/.test(ip),
+});
+registerMaxiAnnotation('semver', {
+  appliesTo: ['str'],
+  decode: text => {
+    const parts = text.split('.').map(Number);
+    if (parts.length !== 3) throw new Error('expected MAJOR.MINOR.PATCH');
+    return { major: parts[0], minor: parts[1], patch: parts[2] };
+  },
+  encode: v => `${v.major}.${v.minor}.${v.patch}`,
+  validate: v => v.major < 100 || 'major version too large',
+});
+
+registerMaxiAnnotation('upper', {
+  decode: text => String(text).toUpperCase(),
+  encode: text => String(text).toLowerCase(),
+  validate: text => /^[A-Z]+$/.test(String(text)),
+});
+
+after(() => {
+  unregisterMaxiAnnotation('ipv4');
+  unregisterMaxiAnnotation('semver');
+  unregisterMaxiAnnotation('upper');
+});
+
+const INPUT = `H:Host(id|ip:str@ipv4|version:str@semver|older:str[]@semver|port:P)
+P:Port(n:int|v:str@semver)
+###
+H(1|10.0.0.1|1.2.3|[0.9.0,"1.0.0"]|(80|2.0.0))
+`;
+
+test('annotation-registry: decodes annotated fields, elements and inline objects', async () => {
+  const res = await parseMaxi(INPUT);
+  assert.deepEqual(res.warnings, []);
+  const v = (major, minor, patch) => ({ major, minor, patch });
+  assert.deepEqual(res.records[0].values, [1, '10.0.0.1', v(1, 2, 3), [v(0, 9, 0), v(1, 0, 0)], { n: 80, v: v(2, 0, 0) }]);
+
+  const compiled = await parseMaxi(INPUT, { compileDecoders: true });
+  assert.deepEqual(compiled.records, res.records);
+
+  const dumped = dumpMaxi(res);
+  assert.match(dumped, /H\(1\|10\.0\.0\.1\|1\.2\.3\|\[0\.9\.0,1\.0\.0\]\|\(80\|2\.0\.0\)\)/);
+  assert.deepEqual((await parseMaxi(dumped)).records, res.records);
+});
+
+test('annotation-registry: defaults are decoded and checked when the schema is parsed', async () => {
+  const input = `N:Name(id:int|n:str@upper=zz)
+###
+N(1|)
+N(2|ab)
+`;
+  const res = await parseMaxi(input);
+  assert.deepEqual(res.records.map(r => r.values[1]), ['ZZ', 'AB']);
+  assert.deepEqual((await parseMaxi(input, { compileDecoders: true })).records, res.records);
+  assert.match(dumpMaxi(res), /^N:Name\(id:int\|n:str@upper=zz\)\n###\nN\(1\|zz\)$/m);
+
+  await assert.rejects(() => parseMaxi('N:Name(id|n:str@upper="a1")\n###\n'), { code: 'E404', message: /'a1' for field 'n' of type 'str@upper'/ });
+});
+
+test('annotation-registry: rejected values follow allowTypeCoercion and allowConstraintViolations', async () => {
+  const input = `H:Host(id:int|ip:str@ipv4|version:str@semver)
+###
+H(1|localhost|1.2)
+H(2|10.0.0.2|100.0.0)
+`;
+  const res = await parseMaxi(input);
+  assert.deepEqual(res.warnings.map(w => [w.code, w.recordId, w.fieldName, w.message, w.value, w.constraint]), [
+    ['E303', 1, 'ip', `Field 'ip': value 'localhost' is not a valid ipv4`, 'localhost', { type: 'annotation', value: 'ipv4' }],
+    ['E402', 1, 'version', `Type mismatch: field expects @semver, got '1.2': expected MAJOR.MINOR.PATCH`, '1.2', undefined],
+    ['E303', 2, 'version', `Field 'version': value '100.0.0' is not a valid semver: major version too large`,
+      { major: 100, minor: 0, patch: 0 }, { type: 'annotation', value: 'semver' }],
+  ]);
+
+  await assert.rejects(() => parseMaxi(input, { allowTypeCoercion: 'error' }), { code: 'E402', line: 3 });
+  await assert.rejects(() => parseMaxi(input, { allowConstraintViolations: 'error' }), { code: 'E303', line: 3 });
+  assert.throws(() => dumpMaxi(res, { validateAnnotations: true }), { code: 'E303', message: /'localhost' is not a valid ipv4/ });
+});
+
+test('annotation-registry: schema checks, registration and parallel parsing', async () => {
+  await assert.rejects(() => parseMaxi('H:Host(id|ip:int@ipv4)\n###\n'), { code: 'E302' });
+  assert.throws(() => registerMaxiAnnotation('email', {}), TypeError);
+  assert.throws(() => registerMaxiAnnotation('x', { appliesTo: 'str' }), TypeError);
+  assert.throws(() => registerMaxiAnnotation('x', { decode: 1 }), TypeError);
+
+  await assert.rejects(() => parseMaxiParallel(INPUT + 'H(2|10.0.0.2|1.0.0|[]|(1|1.0.0))\n'.repeat(4), { workers: 2 }), /H\.ip/);
+});
+
+test('annotation-registry: annotations registered after a schema was used apply to its records', async () => {
+  const schema = await compileMaxiSchema('P:Part(id:int|n:int@half)');
+  for (const compileDecoders of [false, true]) {
+    assert.deepEqual((await parseMaxiRecords('P(1|8)', schema, { compileDecoders })).records[0].values, [1, 8]);
+    registerMaxiAnnotation('half', { decode: n => n / 2 });
+    try {
+      assert.deepEqual((await parseMaxiRecords('P(1|8)', schema, { compileDecoders })).records[0].values, [1, 4]);
+    } finally {
+      unregisterMaxiAnnotation('half');
+    }
+    assert.deepEqual((await parseMaxiRecords('P(1|8)', schema, { compileDecoders })).records[0].values, [1, 8]);
+  }
+});
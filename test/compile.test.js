@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { compileMaxiSchema, parseMaxi, parseMaxiRecords } from '../src/api/parse.js';
+import { MaxiError, MaxiErrorCode } from '../src/core/errors.js';
+
+const SCHEMA = `@version:2.1
+U:User(id:int|name|email:str@email)
+A:Admin<U>(level:int)
+O:Order(id:int|user:U|total:decimal)
+###
+`;
+
+test('compile: one schema, many record payloads', async () => {
+  const schema = await compileMaxiSchema(SCHEMA);
+  assert.equal(schema.userVersion, '2.1');
+  assert.deepEqual(schema.getType('A').fields.map(f => f.name), ['id', 'name', 'email', 'level']);
+
+  const first = await parseMaxiRecords('U(1|Julie|julie@maxi.org)\nO(10|1|9.5)', schema);
+  const second = await parseMaxiRecords('###\nA(2|Matt|matt@maxi.org|3)', schema);
+
+  assert.equal(first.schema, schema);
+  assert.deepEqual(first.records.map(r => r.values), [[1, 'Julie', 'julie@maxi.org'], [10, 1, 9.5]]);
+  assert.deepEqual(second.records[0].values, [2, 'Matt', 'matt@maxi.org', 3]);
+
+  const full = await parseMaxi(SCHEMA + 'U(1|Julie|julie@maxi.org)\nO(10|1|9.5)');
+  assert.deepEqual(first.records.map(r => [r.alias, r.values]), full.records.map(r => [r.alias, r.values]));
+  assert.deepEqual(first.records.map(r => r.lineNumber), [1, 2]);
+});
+
+test('compile: compiled schema is frozen', async () => {
+  const schema = await compileMaxiSchema(SCHEMA);
+  const user = schema.getType('U');
+
+  assert.ok(Object.isFrozen(schema));
+  assert.throws(() => schema.types.set('X', user), TypeError);
+  assert.throws(() => schema.types.delete('U'), TypeError);
+  assert.throws(() => { user.alias = 'X'; }, TypeError);
+  assert.throws(() => user.fields.push(user.fields[0]), TypeError);
+  assert.throws(() => { user.fields[0].typeExpr = 'str'; }, TypeError);
+  assert.equal(schema.resolveTypeAlias('User'), 'U');
+  assert.equal(schema.getType('U').identifierField, 'id');
+});
+
+test('compile: imports are loaded once', async () => {
+  let loads = 0;
+  const loadSchema = async () => {
+    loads++;
+    return 'U:User(id:int|name)';
+  };
+  const schema = await compileMaxiSchema('@schema:users.mxs', { loadSchema });
+  for (let i = 0; i < 3; i++) {
+    const res = await parseMaxiRecords(`U(${i}|n${i})`, schema, { loadSchema });
+    assert.deepEqual(res.records[0].values, [i, `n${i}`]);
+  }
+  assert.equal(loads, 1);
+});
+
+test('compile: references and constraints are still checked per payload', async () => {
+  const schema = await compileMaxiSchema(SCHEMA);
+
+  await assert.rejects(
+    () => parseMaxiRecords('O(10|99|1)', schema, { allowForwardReferences: false }),
+    e => e instanceof MaxiError && e.code === MaxiErrorCode.UnresolvedReferenceError
+  );
+  const res = await parseMaxiRecords('U(1|Julie|not-an-email)', schema);
+  assert.equal(res.warnings.length, 1);
+  assert.equal(res.warnings[0].code, MaxiErrorCode.ConstraintViolationError);
+});
+
+test('compile: schema warnings are kept on the schema', async () => {
+  const schema = await compileMaxiSchema('@color:blue\nU:User(id:int)');
+  assert.equal(schema.warnings.length, 1);
+  assert.equal(schema.warnings[0].code, MaxiErrorCode.UnknownDirectiveError);
+  assert.deepEqual((await parseMaxiRecords('U(1)', schema)).warnings, []);
+});
+
+test('compile: rejects records in schema text and non-schemas', async () => {
+  await assert.rejects(() => compileMaxiSchema('U:User(id:int)\n###\nU(1)'), MaxiError);
+  await assert.rejects(() => parseMaxiRecords('U(1)', /** @type {any} */ ({ types: new Map() })), TypeError);
+});
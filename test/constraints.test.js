@@ -3,6 +3,7 @@ import assert from 'node:assert/strict';
 
 import { parseMaxi } from '../src/api/parse.js';
 import { MaxiError, MaxiErrorCode } from '../src/core/errors.js';
+import { isValidEmail, isValidUrl, isValidUuid } from '../src/internal/constraint-validator.js';
 
 test('constraints: lax mode emits warnings not errors', async () => {
   const input = `U:User(id:int|age:int(>=0,<=120))
@@ -180,4 +181,38 @@ U(1|superadmin)`;
   );
 });
 
+test('constraints: invalid @email/@url/@uuid values warn with E303', async () => {
+  const input = `U:User(id:int|email:str@email|site:str@url|key:str@uuid|alt:str[]@email)
+###
+U(1|julie@maxi.org|https://maxi.org/x|123e4567-e89b-12d3-a456-426614174000|[a@b.co])
+U(2|julie-at-maxi|not a url|123e4567|[a@b.co,nope])`;
+
+  const res = await parseMaxi(input);
+  const violations = res.warnings.filter(w => w.code === MaxiErrorCode.ConstraintViolationError);
+  assert.equal(violations.length, 4);
+  assert.ok(violations.every(w => w.line === 4));
+  assert.match(violations[0].message, /'email'.*'julie-at-maxi'.*valid email/);
+  assert.match(violations[3].message, /'alt'.*'nope'/);
+  assert.equal(res.records[1].values[1], 'julie-at-maxi');
+});
+
+test('constraints: invalid @email throws E303 in strict mode', async () => {
+  const input = `U:User(id:int|email:str@email)
+###
+U(1|julie@)`;
+
+  await assert.rejects(
+    () => parseMaxi(input, { allowConstraintViolations: 'error' }),
+    (err) => err instanceof MaxiError && err.code === MaxiErrorCode.ConstraintViolationError
+  );
+});
+
+test('constraints: exported annotation validators', () => {
+  assert.equal(isValidEmail('julie@maxi.org'), true);
+  assert.equal(isValidEmail('julie@@maxi.org'), false);
+  assert.equal(isValidUrl('https://maxi.org/a?b=c'), true);
+  assert.equal(isValidUrl('/relative/path'), false);
+  assert.equal(isValidUuid('123E4567-E89B-12D3-A456-426614174000'), true);
+  assert.equal(isValidUuid('123e4567e89b12d3a456426614174000'), false);
+});
 
@@ -0,0 +1,165 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseMaxiCst, printMaxiCst } from '../src/api/cst.js';
+import { parseMaxi } from '../src/api/parse.js';
+import { MaxiError, MaxiErrorCode } from '../src/core/errors.js';
+
+const DOC = `@version:1.0.0
+# users and orders
+U:User(
+  id:int|
+  name|
+  email:str@email
+)
+O:Order(id:int|user:U|items:str[]="a|b")
+
+###
+  # first batch
+U(1|Julie|julie@maxi.org)   # trailing
+U(2|"Matt | Jr."|~)
+O(10|1|[x,"y|z"])
+`;
+
+test('cst: prints input byte for byte', () => {
+  for (const input of [
+    DOC,
+    DOC.replace(/\n/g, '\r\n'),
+    'U(1|a)\nU(2|b)',
+    'U:User(id:int|name)',
+    '@version:1.0.0\nU(1|a)\n',
+    '',
+    '\n\n   \t\n',
+    'U( 1 | a |\n  [1,2] )\n\n\n',
+  ]) {
+    assert.equal(printMaxiCst(parseMaxiCst(input)), input);
+  }
+});
+
+test('cst: exposes types, records, directives and comments with spans', () => {
+  const cst = parseMaxiCst(DOC);
+
+  assert.deepEqual(cst.types.map(t => t.alias), ['U', 'O']);
+  assert.deepEqual(cst.records.map(r => r.alias), ['U', 'U', 'O']);
+  assert.deepEqual(cst.directives.map(d => d.text), ['@version:1.0.0']);
+  assert.deepEqual(
+    cst.nodes.filter(n => n.kind === 'comment').map(n => n.text),
+    ['# users and orders', '# first batch', '# trailing']
+  );
+
+  const o = cst.getType('O');
+  assert.equal(o.getRaw(2), 'items:str[]="a|b"');
+
+  const matt = cst.records[1];
+  assert.equal(matt.getRaw(1), '"Matt | Jr."');
+  assert.deepEqual(matt.span, { start: DOC.indexOf('U(2'), end: DOC.indexOf('~)') + 2, line: 13, column: 1 });
+  const name = matt.items[1];
+  assert.equal(DOC.slice(name.span.start, name.span.end), '"Matt | Jr."');
+  assert.equal(name.span.column, 5);
+});
+
+test('cst: setValue keeps surrounding formatting', async () => {
+  const cst = parseMaxiCst(DOC);
+  cst.records[0].setValue(1, 'Julie Ann');
+  cst.records[1].setValue(2, 'matt@maxi.org');
+  cst.records[2].setValue(2, ['p', 'q|r']);
+
+  const out = cst.toString();
+  assert.equal(out, DOC
+    .replace('U(1|Julie|', 'U(1|Julie Ann|')
+    .replace('|~)', '|matt@maxi.org)')
+    .replace('[x,"y|z"]', '[p,"q|r"]'));
+
+  const res = await parseMaxi(out);
+  assert.equal(res.records[0].values[1], 'Julie Ann');
+  assert.deepEqual(res.records[2].values[2], ['p', 'q|r']);
+});
+
+test('cst: setRaw past the end pads with empty values', () => {
+  const cst = parseMaxiCst('U(1)\n');
+  cst.records[0].setRaw(2, '"x"');
+  assert.equal(cst.toString(), 'U(1||"x")\n');
+
+  const empty = parseMaxiCst('U()');
+  empty.records[0].setValue(0, 5);
+  assert.equal(empty.toString(), 'U(5)');
+});
+
+test('cst: insertRecord places records on their own line', () => {
+  const cst = parseMaxiCst(DOC);
+  cst.insertRecord('U(3|Ann|~)', { after: cst.records[0] });
+  cst.insertRecord('O(11|3|[])');
+  cst.insertRecord('U(0|Root|~)', { before: cst.records[0] });
+
+  assert.equal(cst.toString(), DOC
+    .replace('U(1|', 'U(0|Root|~)\nU(1|')
+    .replace('# trailing\n', '# trailing\nU(3|Ann|~)\n') + 'O(11|3|[])\n');
+});
+
+test('cst: insertRecord reuses indentation and CRLF line breaks', () => {
+  const cst = parseMaxiCst('###\r\n  U(1)\r\n');
+  cst.insertRecord('U(2)');
+  assert.equal(cst.toString(), '###\r\n  U(1)\r\n  U(2)\r\n');
+
+  const bare = parseMaxiCst('U:User(id:int)\n###');
+  bare.insertRecord('U(1)');
+  assert.equal(bare.toString(), 'U:User(id:int)\n###\nU(1)');
+});
+
+test('cst: insertRecord rejects anything but a single record', () => {
+  const cst = parseMaxiCst('U(1)');
+  assert.throws(() => cst.insertRecord('U(1) U(2)'), e => e instanceof MaxiError && e.code === MaxiErrorCode.InvalidSyntaxError);
+  assert.throws(() => cst.insertRecord('not a record'), MaxiError);
+});
+
+test('cst: removeRecord drops the whole line', () => {
+  const cst = parseMaxiCst(DOC);
+  cst.removeRecord(cst.records[1]);
+  cst.removeRecord(cst.records[0]);
+  assert.equal(cst.toString(), DOC
+    .replace('U(2|"Matt | Jr."|~)\n', '')
+    .replace('U(1|Julie|julie@maxi.org)   ', ''));
+
+  const last = parseMaxiCst('U(1)\nU(2)');
+  last.removeRecord(last.records[1]);
+  assert.equal(last.toString(), 'U(1)');
+
+  assert.throws(() => last.removeRecord(parseMaxiCst('U(9)').records[0]), RangeError);
+});
+
+test('cst: added type fields follow the existing layout', async () => {
+  const cst = parseMaxiCst(DOC);
+  cst.getType('U').append('age:int');
+  cst.getType('O').append('total:decimal');
+
+  const out = cst.toString();
+  assert.ok(out.includes('  email:str@email|\n  age:int\n)'));
+  assert.ok(out.includes('items:str[]="a|b"|total:decimal)'));
+
+  const res = await parseMaxi(out);
+  assert.deepEqual(res.schema.getType('U').fields.map(f => f.name), ['id', 'name', 'email', 'age']);
+});
+
+test('cst: removeAt drops the item and one separator', () => {
+  const cst = parseMaxiCst('U(1|a|b)');
+  cst.records[0].removeAt(0);
+  assert.equal(cst.toString(), 'U(a|b)');
+  cst.records[0].removeAt(1);
+  assert.equal(cst.toString(), 'U(a)');
+  cst.records[0].removeAt(0);
+  assert.equal(cst.toString(), 'U()');
+  assert.equal(cst.records[0].length, 0);
+});
+
+test('cst: sections are detected without ###', () => {
+  assert.deepEqual(parseMaxiCst('U:User(id:int)\nO:Order(id)').types.map(t => t.alias), ['U', 'O']);
+  assert.equal(parseMaxiCst('U(1)\nU(2)').records.length, 2);
+  assert.equal(parseMaxiCst('U(id|name)\n###\nU(1|a)').types.length, 1);
+});
+
+test('cst: unclosed parentheses are reported with their position', () => {
+  assert.throws(
+    () => parseMaxiCst('###\nU(1)\n  U(2|"a)"'),
+    e => e instanceof MaxiError && e.code === MaxiErrorCode.InvalidSyntaxError && e.line === 3 && e.column === 3
+  );
+});
@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseMaxi, compileMaxiSchema, parseMaxiRecords } from '../src/api/parse.js';
+import { streamMaxi } from '../src/api/stream.js';
+import { formatMaxiDiagnostic } from '../src/api/diagnostic.js';
+import { MaxiError, MaxiErrorCode } from '../src/core/errors.js';
+
+const INPUT = `@maxi:1.0.0
+@color:blue
+U:User(id:int|name|age:int(>=0)|tags:int[]|role:enum[admin,user])
+###
+
+U(1|Julie|30|[1,2]|admin)
+  U(2|Matt|x|[3,y]|guest)
+U(3|Ann
+|-4|[]|user) U(1|Dup|1|[]|user)
+`;
+
+/** @param {{span?: {start: number, end: number} | null}} d */
+const text = d => INPUT.slice(d.span.start, d.span.end);
+
+test('diagnostic: warnings point at the offending value', async () => {
+  const res = await parseMaxi(INPUT);
+
+  assert.deepEqual(res.warnings.map(w => [w.code, w.line, w.column, text(w)]), [
+    [MaxiErrorCode.UnknownDirectiveError, 2, 1, '@color:blue'],
+    [MaxiErrorCode.TypeMismatchError, 7, 12, 'x'],
+    [MaxiErrorCode.TypeMismatchError, 7, 17, 'y'],
+    [MaxiErrorCode.ConstraintViolationError, 7, 20, 'guest'],
+    [MaxiErrorCode.ConstraintViolationError, 9, 2, '-4'],
+    [MaxiErrorCode.DuplicateIdentifierError, 9, 14, 'U(1|Dup|1|[]|user)'],
+  ]);
+  assert.deepEqual(res.records.map(r => [r.column, text(r)]), [
+    [1, 'U(1|Julie|30|[1,2]|admin)'],
+    [3, 'U(2|Matt|x|[3,y]|guest)'],
+    [1, 'U(3|Ann\n|-4|[]|user)'],
+    [14, 'U(1|Dup|1|[]|user)'],
+  ]);
+});
+
+test('diagnostic: errors carry the column and span of the token', async () => {
+  const error = await parseMaxi(INPUT, { allowTypeCoercion: 'error' }).catch(e => e);
+  assert.ok(error instanceof MaxiError);
+  assert.deepEqual([error.line, error.column, text(error)], [7, 12, 'x']);
+
+  const schema = 'A:Alpha(id:int|n:int=abc)\nB:Beta<Z>(id:int)\n###\n';
+  const res = await parseMaxi(schema, { recover: true });
+  assert.deepEqual(res.errors.map(e => [e.code, e.line, e.column, schema.slice(e.span.start, e.span.end)]), [
+    [MaxiErrorCode.UndefinedParentError, 2, 8, 'Z'],
+    [MaxiErrorCode.InvalidDefaultValueError, 1, 16, 'n'],
+  ]);
+});
+
+test('diagnostic: streamMaxi and parseMaxiRecords report the same positions', async () => {
+  const expected = (await parseMaxi(INPUT)).warnings;
+
+  const streamed = await streamMaxi(INPUT);
+  for await (const _record of streamed) { /* drain */ }
+  assert.deepEqual(streamed.warnings, expected);
+
+  const chunked = await streamMaxi((async function* () {
+    for (let i = 0; i < INPUT.length; i += 7) yield INPUT.slice(i, i + 7);
+  })());
+  for await (const _record of chunked) { /* drain */ }
+  assert.deepEqual(chunked.warnings, expected);
+
+  const compiled = await compileMaxiSchema(INPUT.slice(0, INPUT.indexOf('###')));
+  const records = INPUT.slice(INPUT.indexOf('###'));
+  const res = await parseMaxiRecords(records, compiled);
+  assert.deepEqual(res.warnings.map(w => [w.column, records.slice(w.span.start, w.span.end)]),
+    expected.slice(1).map(w => [w.column, text(w)]));
+});
+
+test('diagnostic: formatMaxiDiagnostic prints a code frame', async () => {
+  const res = await parseMaxi(INPUT);
+  assert.equal(formatMaxiDiagnostic(res.warnings[3], INPUT, { filename: 'users.maxi' }), [
+    "warning[E303]: Value 'guest' not in enum for field 'role'",
+    '  --> users.maxi:7:20',
+    '  |',
+    '7 |   U(2|Matt|x|[3,y]|guest)',
+    '  |                    ^^^^^',
+  ].join('\n'));
+
+  const error = await parseMaxi(INPUT, { allowTypeCoercion: 'error', filename: 'users.maxi' }).catch(e => e);
+  assert.match(formatMaxiDiagnostic(error, INPUT), /^error\[E402\]: .*\n {2}--> users\.maxi:7:12\n/);
+
+  assert.equal(formatMaxiDiagnostic({ message: 'Somewhere', code: 'E101' }, INPUT), 'warning[E101]: Somewhere');
+});
+
+test('diagnostic: record lines count from the start of the input', async () => {
+  const input = `U:User(
+  id:int|
+  name
+)
+###
+U(1|Julie)
+U(x|Matt)`;
+  const error = await parseMaxi(input, { allowTypeCoercion: 'error', filename: 'users.maxi' }).catch(e => e);
+  assert.ok(error instanceof MaxiError);
+  assert.match(String(error), / in users\.maxi at line 7, column 3: /);
+  assert.equal(formatMaxiDiagnostic(error, input).split('\n').slice(1).join('\n'), [
+    '  --> users.maxi:7:3',
+    '  |',
+    '7 | U(x|Matt)',
+    '  |   ^',
+  ].join('\n'));
+
+  const res = await parseMaxi(input, { recover: true });
+  assert.equal(res.records[1].lineNumber, 7);
+});
+
+test('diagnostic: long lines are cropped around the span', async () => {
+  const values = Array.from({ length: 60 }, (_, i) => (i === 45 ? 'bad' : String(i))).join('|');
+  const fields = Array.from({ length: 60 }, (_, i) => `f${i}:int`).join('|');
+  const input = `W:Wide(${fields})\n###\nW(${values})`;
+  const [warning] = (await parseMaxi(input)).warnings;
+
+  const frame = formatMaxiDiagnostic(warning, input, { maxWidth: 40 }).split('\n');
+  assert.equal(frame[1], `  --> <input>:3:${input.split('\n')[2].indexOf('bad') + 1}`);
+  assert.ok(frame[3].startsWith('3 | …') && frame[3].endsWith('…'));
+  assert.equal(frame[3].length, '3 | '.length + 42);
+  assert.equal(frame[4].indexOf('^^^'), frame[3].indexOf('bad'));
+});
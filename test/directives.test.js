@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseMaxi, compileMaxiSchema } from '../src/api/parse.js';
+import { dumpMaxi } from '../src/api/dump.js';
+import { formatMaxi } from '../src/api/format.js';
+import { parseMaxiParallel } from '../src/api/parallel.js';
+import { MaxiError, MaxiErrorCode } from '../src/core/errors.js';
+
+const INPUT = `@version:2.1.0
+@source:crm-export
+@generated-at:2026-01-02T03:04:05Z
+U:User(id:int|name)
+###
+U(1|Ann)
+U(2|Bob)
+`;
+
+test('directives: unknown directives are kept and survive dumpMaxi', async () => {
+  const res = await parseMaxi(INPUT);
+  assert.deepEqual([...res.schema.directives], [['source', 'crm-export'], ['generated-at', '2026-01-02T03:04:05Z']]);
+  assert.deepEqual(res.warnings.map(w => [w.code, w.line, w.message]), [
+    ['E103', 2, "Unknown directive '@source' ignored"],
+    ['E103', 3, "Unknown directive '@generated-at' ignored"],
+  ]);
+
+  const dumped = dumpMaxi(res);
+  assert.match(dumped, /^@version:2\.1\.0\n@source:crm-export\n@generated-at:2026-01-02T03:04:05Z\n/);
+  assert.deepEqual([...(await parseMaxi(dumped)).schema.directives], [...res.schema.directives]);
+
+  const schema = await compileMaxiSchema(INPUT.slice(0, INPUT.indexOf('###')));
+  assert.deepEqual(schema.directives[0], ['source', 'crm-export']);
+  assert.throws(() => schema.directives.push(['source', 'x']), TypeError);
+  assert.throws(() => { schema.directives[0][1] = 'x'; }, TypeError);
+});
+
+test('directives: repeated directives are all kept in order', async () => {
+  const repeated = INPUT.replace('@generated-at', '@source:db://prod\n@generated-at').replace('U:User', '@source:dup\nU:User');
+  const res = await parseMaxi(repeated);
+  assert.deepEqual(res.schema.directives, [
+    ['source', 'crm-export'],
+    ['source', 'db://prod'],
+    ['generated-at', '2026-01-02T03:04:05Z'],
+    ['source', 'dup'],
+  ]);
+
+  const dumped = dumpMaxi(res);
+  assert.match(dumped, /^@version:2\.1\.0\n@source:crm-export\n@source:db:\/\/prod\n@generated-at:[^\n]*\n@source:dup\n/);
+  assert.deepEqual((await parseMaxi(dumped)).schema.directives, res.schema.directives);
+  assert.deepEqual((await parseMaxi(await formatMaxi(repeated))).schema.directives, res.schema.directives);
+});
+
+test('directives: handlers get the value, line and schema', async () => {
+  /** @type {unknown[]} */
+  const calls = [];
+  const directives = {
+    source: (value, line, schema) => { calls.push([value, line, schema.userVersion]); },
+    'generated-at': async value => {
+      if (Number.isNaN(Date.parse(value))) throw new MaxiError(`Invalid @generated-at '${value}'`, MaxiErrorCode.InvalidSyntaxError);
+    },
+  };
+  const res = await parseMaxi(INPUT, { directives });
+  assert.deepEqual(calls, [['crm-export', 2, '2.1.0']]);
+  assert.deepEqual(res.warnings, []);
+  assert.equal(res.schema.directives.length, 2);
+
+  const bad = INPUT.replace('2026-01-02T03:04:05Z', 'yesterday');
+  await assert.rejects(() => parseMaxi(bad, { directives }), { code: 'E101', line: 3, column: 1 });
+  assert.deepEqual((await parseMaxi(bad, { directives, recover: true })).errors.map(e => e.line), [3]);
+
+  const cause = new RangeError('no such source');
+  const throwing = { source: () => { throw cause; } };
+  await assert.rejects(() => parseMaxi(INPUT, { directives: throwing }), (err) => err instanceof MaxiError &&
+    err.code === 'E101' && err.line === 2 && err.cause === cause && /@source.*no such source/.test(err.message));
+  const recovered = await parseMaxi(INPUT, { directives: throwing, recover: true });
+  assert.deepEqual(recovered.errors.map(e => [e.code, e.line]), [['E101', 2]]);
+  assert.equal(recovered.records.length, 2);
+
+  assert.equal((await parseMaxiParallel(INPUT, { directives, workers: 2 })).records.length, 2);
+  await assert.rejects(() => parseMaxi(INPUT, { directives: { schema: () => {} } }), TypeError);
+  await assert.rejects(() => parseMaxi(INPUT, { directives: { source: /** @type {any} */ ('x') } }), TypeError);
+});
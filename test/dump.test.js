@@ -2,6 +2,9 @@ import test from 'node:test';
 import assert from 'node:assert/strict';
 
 import { dumpMaxi } from '../src/api/dump.js';
+import { parseMaxi } from '../src/api/parse.js';
+import { parseMaxiAs } from '../src/api/hydrate.js';
+import { MaxiError, MaxiErrorCode } from '../src/core/errors.js';
 
 const userTypes = [
   {
@@ -490,3 +493,60 @@ test('dumpMaxi: multiple trailing absent/null-without-default fields all strippe
   assert.equal(lines[0], 'U(1|Alice)', 'three absent trailing fields should be stripped');
   assert.equal(lines[1], 'U(2|Bob)',   'three null-without-default trailing fields should be stripped');
 });
+
+test('dumpMaxi: validateAnnotations rejects values that fail @email', () => {
+  const types = [{ alias: 'U', fields: [{ name: 'id', typeExpr: 'int' }, { name: 'email', typeExpr: 'str', annotation: 'email' }] }];
+
+  assert.equal(dumpMaxi([{ id: 1, email: 'oops' }], { defaultAlias: 'U', types, includeTypes: false }).trim(), 'U(1|oops)');
+  assert.throws(
+    () => dumpMaxi([{ id: 1, email: 'oops' }], { defaultAlias: 'U', types, validateAnnotations: true }),
+    (err) => err instanceof MaxiError && err.code === MaxiErrorCode.ConstraintViolationError
+  );
+});
+
+
+test('dumpMaxi: (id) constraint on any field, including inherited ones, drives references', async () => {
+  class Product {
+    constructor(f = {}) { Object.assign(this, f); }
+  }
+  class Order {
+    constructor(f = {}) { Object.assign(this, f); }
+  }
+  const types = [
+    { alias: 'I', name: 'Item', fields: [{ name: 'sku', typeExpr: 'str', constraints: [{ type: 'id' }] }, { name: 'title' }] },
+    { alias: 'P', name: 'Product', parents: ['I'], fields: [{ name: 'price', typeExpr: 'decimal' }] },
+    { alias: 'O', name: 'Order', fields: [{ name: 'code', constraints: [{ type: 'id' }] }, { name: 'lines', typeExpr: 'P[]' }] },
+  ];
+  const kettle = new Product({ sku: 'K-1', title: 'Kettle', price: 20 });
+  const mug = new Product({ sku: 'M-2', title: 'Mug', price: 4.5 });
+
+  const maxi = dumpMaxi({ O: [new Order({ code: 'A100', lines: [kettle, mug, kettle] })] }, { types });
+  assert.ok(maxi.includes('O(A100|[K-1,M-2,K-1])'), maxi);
+  assert.ok(maxi.includes('P(K-1|Kettle|20)'), maxi);
+  assert.ok(maxi.includes('P(M-2|Mug|4.5)'), maxi);
+
+  const { objects, warnings } = await parseMaxiAs(maxi, { O: Order, P: Product });
+  assert.equal(warnings.length, 0);
+  const [order] = objects.O;
+  assert.ok(order.lines.every(l => l instanceof Product));
+  assert.equal(order.lines[0], order.lines[2]);
+  assert.equal(order.lines[1].title, 'Mug');
+});
+
+test('dumpMaxi: parse result is dumped using its type definitions', async () => {
+  const input = `A:Address(street|city|zip:int)
+U:User(id:int|role:enum[a:admin,e:editor]|hash:bytes@hex|home:A|others:A[]|scores:map<int,str>|note)
+###
+U(1|a|deadbeef|(Main St|"Spring, field"|123)|[(Elm|Shelby),(Oak|Og|9)]|{1:one,2:"t,wo"}|~)`;
+
+  const parsed = await parseMaxi(input, { bytesMode: 'uint8array' });
+  const out = dumpMaxi(parsed);
+  assert.equal(
+    out.split('\n').pop(),
+    'U(1|a|deadbeef|(Main St|"Spring, field"|123)|[(Elm|Shelby),(Oak|Og|9)]|{1:one,2:"t,wo"}|~)'
+  );
+
+  const again = await parseMaxi(out, { bytesMode: 'uint8array' });
+  assert.deepEqual(again.records, parsed.records);
+  assert.equal(dumpMaxi(again), out);
+});
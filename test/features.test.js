@@ -1,7 +1,10 @@
 import { test } from 'node:test';
 import assert from 'node:assert/strict';
 
-import { parseMaxi } from '../src/api/parse.js';
+import { compileMaxiSchema, parseMaxi, parseMaxiRecords } from '../src/api/parse.js';
+import { dumpMaxi } from '../src/api/dump.js';
+import { MaxiDecimal } from '../src/core/types.js';
+import { MaxiError, MaxiErrorCode } from '../src/core/errors.js';
 
 
 test('features: int[][][] three-dimensional array', async () => {
@@ -165,3 +168,523 @@ test('features: decimal precision raw value still preserved', async () => {
   assert.equal(dp.value, '5.2');
 });
 
+
+test('features: decimalMode number (default) parses decimals as floats', async () => {
+  const res = await parseMaxi(`P:Price(id:int|amount:decimal)
+###
+P(1|0.1)
+P(2|5.)`);
+  assert.equal(res.records[0].values[1], 0.1);
+  assert.equal(res.records[1].values[1], 5);
+});
+
+test('features: decimalMode string keeps exact decimal literals', async () => {
+  const res = await parseMaxi(`P:Price(id:int|amount:decimal|rates:decimal[])
+###
+P(1|19.999999999999999|[0.1,-2.50])
+P(2|5.)`, { decimalMode: 'string' });
+
+  assert.equal(res.records[0].values[1], '19.999999999999999');
+  assert.deepEqual(res.records[0].values[2], ['0.1', '-2.50']);
+  assert.equal(res.records[1].values[1], '5');
+});
+
+test('features: decimalMode bigint-scaled uses decimal-precision for the scale', async () => {
+  const res = await parseMaxi(`P:Price(id:int|amount:decimal(10.2)|raw:decimal)
+###
+P(1|12.5|0.125)
+P(2|-0.07|3)`, { decimalMode: 'bigint-scaled' });
+
+  const [a, raw] = res.records[0].values.slice(1);
+  assert.ok(a instanceof MaxiDecimal);
+  assert.equal(a.unscaled, 1250n);
+  assert.equal(a.scale, 2);
+  assert.equal(a.toString(), '12.50');
+  assert.equal(raw.unscaled, 125n);
+  assert.equal(raw.scale, 3);
+
+  assert.equal(res.records[1].values[1].toString(), '-0.07');
+  assert.equal(res.records[1].values[2].toString(), '3');
+  assert.equal(JSON.stringify(res.records[1].values[1]), '"-0.07"');
+});
+
+test('features: bigint-scaled decimals keep the sign of negative zero', async () => {
+  const res = await parseMaxi('P:Price(amount:decimal(10.2))\n###\nP(-0.00)\nP(-0)', { decimalMode: 'bigint-scaled' });
+  const [[zero], [whole]] = res.records.map(r => r.values);
+  assert.equal(zero.toString(), '-0.00');
+  assert.equal(whole.toString(), '-0.00');
+  assert.equal(MaxiDecimal.parse('0.00').toString(), '0.00');
+  assert.match(dumpMaxi(res), /P\(-0\.00\)\nP\(-0\.00\)$/);
+});
+
+test('features: exact decimal modes compare with constraints exactly', async () => {
+  const input = 'P:Price(amount:decimal(<=0.1)|floor:decimal(>=-5e-1))\n###\nP(0.10000000000000001|-0.5)\nP(0.1|-0.50000000000000001)';
+  for (const decimalMode of /** @type {const} */ (['string', 'bigint-scaled'])) {
+    const res = await parseMaxi(input, { decimalMode });
+    assert.deepEqual(res.warnings.map(w => [w.code, w.line, w.value.toString()]), [
+      ['E303', 3, '0.10000000000000001'],
+      ['E303', 4, '-0.50000000000000001'],
+    ], decimalMode);
+  }
+  assert.deepEqual((await parseMaxi(input)).warnings, []);
+});
+
+test('features: decimalMode factory receives literal and field', async () => {
+  const seen = [];
+  const res = await parseMaxi(`P:Price(id:int|amount:decimal)
+###
+P(1|1.10)`, {
+    decimalMode: (literal, field) => { seen.push([literal, field.name]); return { big: literal }; },
+  });
+  assert.deepEqual(seen, [['1.10', 'amount']]);
+  assert.deepEqual(res.records[0].values[1], { big: '1.10' });
+});
+
+test('features: invalid decimalMode throws TypeError', async () => {
+  await assert.rejects(
+    () => parseMaxi(`P:Price(amount:decimal)
+###
+P(1.5)`, { decimalMode: /** @type {any} */ ('float') }),
+    TypeError
+  );
+});
+
+test('features: exact decimals round-trip through dumpMaxi without float drift', async () => {
+  const types = [{ alias: 'P', fields: [{ name: 'id', typeExpr: 'int' }, { name: 'amount', typeExpr: 'decimal' }] }];
+  class Big { constructor(s) { this.s = s; } toString() { return this.s; } }
+
+  const maxi = dumpMaxi({
+    P: [
+      { id: 1, amount: MaxiDecimal.parse('19.999999999999999') },
+      { id: 2, amount: '0.10' },
+      { id: 3, amount: new Big('123456789012345678.99') },
+    ],
+  }, { types });
+
+  assert.equal(maxi.split('\n').slice(2).join('\n'), 'P(1|19.999999999999999)\nP(2|0.10)\nP(3|123456789012345678.99)');
+
+  const res = await parseMaxi(maxi, { decimalMode: 'string' });
+  assert.deepEqual(res.records.map(r => r.values[1]), ['19.999999999999999', '0.10', '123456789012345678.99']);
+});
+
+test('features: comparison constraints apply to non-number decimals', async () => {
+  const res = await parseMaxi(`P:Price(id:int|amount:decimal(>=0))
+###
+P(1|-0.01)`, { decimalMode: 'bigint-scaled' });
+  assert.ok(res.warnings.some(w => w.code === 'E303'));
+});
+
+test('features: intMode number (default) keeps plain numbers', async () => {
+  const res = await parseMaxi(`U:User(id:int|n:int)
+###
+U(1|2)`);
+  assert.deepEqual(res.records[0].values, [1, 2]);
+});
+
+test('features: intMode bigint returns BigInt for every int field', async () => {
+  const res = await parseMaxi(`U:User(id:int|n:int|tags:int[]|name)
+###
+U(1|-2|[3,4]|x)
+U(1311768467463790320|0|[]|"y")`, { intMode: 'bigint' });
+
+  assert.deepEqual(res.records[0].values, [1n, -2n, [3n, 4n], 'x']);
+  assert.equal(res.records[1].values[0], 1311768467463790320n);
+});
+
+test('features: intMode auto returns BigInt only beyond the safe integer range', async () => {
+  const res = await parseMaxi(`U:User(id:int|n:int|free)
+###
+U(9007199254740993|42|18446744073709551615)
+U(9007199254740991|-9007199254740993|7)`, { intMode: 'auto' });
+
+  assert.deepEqual(res.records[0].values, [9007199254740993n, 42, 18446744073709551615n]);
+  assert.deepEqual(res.records[1].values, [9007199254740991, -9007199254740993n, 7]);
+});
+
+test('features: intMode bigint returns BigInt for references and untyped ints', async () => {
+  const res = await parseMaxi(`U:User(id:int|name)
+O:Order(id:int|user:U|qty)
+###
+U(1|Julie)
+O(2|1|3)`, { intMode: 'bigint' });
+
+  const [user, order] = res.records;
+  assert.deepEqual(order.values, [2n, 1n, 3n]);
+  assert.equal(order.values[1], user.values[0]);
+  assert.equal(res.warnings.filter(w => w.code === 'E204').length, 0);
+});
+
+test('features: intMode auto resolves references to snowflake ids', async () => {
+  const res = await parseMaxi(`U:User(id:int|name)
+O:Order(id:int|user:U)
+###
+U(1311768467463790320|Julie)
+O(1|1311768467463790320)
+O(2|1311768467463790321)`, { intMode: 'auto' });
+
+  assert.equal(res.records[1].values[1], 1311768467463790320n);
+  const unresolved = res.warnings.filter(w => w.code === 'E204');
+  assert.equal(unresolved.length, 1);
+  assert.match(unresolved[0].message, /1311768467463790321/);
+});
+
+test('features: intMode auto detects duplicate bigint ids', async () => {
+  const res = await parseMaxi(`U:User(id:int|name)
+###
+U(1311768467463790320|a)
+U(1311768467463790320|b)`, { intMode: 'auto' });
+  assert.ok(res.warnings.some(w => w.code === 'E205'));
+});
+
+test('features: comparison constraints apply to bigint values', async () => {
+  const res = await parseMaxi(`U:User(id:int(<=9007199254740991))
+###
+U(9007199254740993)`, { intMode: 'auto' });
+  assert.ok(res.warnings.some(w => w.code === 'E303'));
+});
+
+test('features: bigint values dump exactly and round-trip', async () => {
+  const types = [
+    { alias: 'U', fields: [{ name: 'id', typeExpr: 'int' }, { name: 'name' }] },
+    { alias: 'O', fields: [{ name: 'id', typeExpr: 'int' }, { name: 'user', typeExpr: 'U' }] },
+  ];
+  const user = { id: 1311768467463790320n, name: 'Julie' };
+  const maxi = dumpMaxi({ O: [{ id: 1n, user }] }, { types });
+
+  assert.equal(maxi.split('\n').slice(3).join('\n'), 'O(1|1311768467463790320)\nU(1311768467463790320|Julie)');
+
+  const res = await parseMaxi(maxi, { intMode: 'bigint' });
+  assert.deepEqual(res.records.map(r => r.values[0]), [1n, 1311768467463790320n]);
+  assert.equal(res.warnings.length, 0);
+});
+
+test('features: invalid intMode throws TypeError', async () => {
+  await assert.rejects(() => parseMaxi('U(1)', { intMode: /** @type {any} */ ('long') }), TypeError);
+});
+
+test('features: bytesMode string (default) keeps encoded payloads', async () => {
+  const res = await parseMaxi(`F:File(id:int|data:bytes@base64|hash:bytes@hex)
+###
+F(1|SGk|cafe)`);
+  assert.deepEqual(res.records[0].values, [1, 'SGk=', 'cafe']);
+});
+
+test('features: bytesMode uint8array decodes base64 and hex', async () => {
+  const res = await parseMaxi(`F:File(id:int|data:bytes@base64|hash:bytes@hex|raw:bytes|parts:bytes[]@hex)
+###
+F(1|SGk=|CAFEbabe|AAEC|[00ff,10])
+F(2|SGk|||[])`, { bytesMode: 'uint8array' });
+
+  const [, data, hash, raw, parts] = res.records[0].values;
+  assert.ok(data instanceof Uint8Array);
+  assert.deepEqual([...data], [72, 105]);
+  assert.deepEqual([...hash], [0xca, 0xfe, 0xba, 0xbe]);
+  assert.deepEqual([...raw], [0, 1, 2]);
+  assert.deepEqual(parts.map(p => [...p]), [[0, 255], [16]]);
+  assert.deepEqual([...res.records[1].values[1]], [72, 105]);
+  assert.equal(res.warnings.length, 0);
+});
+
+test('features: bytesMode buffer returns Node Buffers', async () => {
+  const res = await parseMaxi(`F:File(data:bytes)
+###
+F(aGVsbG8=)`, { bytesMode: 'buffer' });
+  assert.ok(Buffer.isBuffer(res.records[0].values[0]));
+  assert.equal(res.records[0].values[0].toString('utf8'), 'hello');
+});
+
+test('features: quoted bytes payloads are decoded too', async () => {
+  const input = 'F:File(data:bytes|hash:bytes@hex|bad:bytes)\n###\nF("AQ+/"|"cafe"|"a$b")';
+  for (const bytesMode of /** @type {const} */ (['uint8array', 'buffer'])) {
+    for (const compileDecoders of [false, true]) {
+      const res = await parseMaxi(input, { bytesMode, compileDecoders });
+      const [data, hash, bad] = res.records[0].values;
+      assert.equal(Buffer.isBuffer(data), bytesMode === 'buffer');
+      assert.deepEqual([...data], [1, 15, 191]);
+      assert.deepEqual([...hash], [0xca, 0xfe]);
+      assert.equal(bad, 'a$b');
+      assert.deepEqual(res.warnings.map(w => w.code), ['E402']);
+    }
+  }
+});
+
+test('features: malformed bytes payloads warn with E402/E405 and keep the raw value', async () => {
+  const res = await parseMaxi(`F:File(a:bytes|b:bytes@hex|c:bytes@hex|d:bytes)
+###
+F(ab$c|zz|abc|abcde)`, { bytesMode: 'uint8array' });
+
+  assert.deepEqual(res.records[0].values, ['ab$c', 'zz', 'abc', 'abcde']);
+  assert.deepEqual(res.warnings.map(w => w.code), ['E402', 'E402', 'E405', 'E405']);
+});
+
+test('features: malformed bytes payload throws with allowTypeCoercion error', async () => {
+  await assert.rejects(
+    () => parseMaxi(`F:File(data:bytes@hex)
+###
+F(abc)`, { bytesMode: 'uint8array', allowTypeCoercion: 'error' }),
+    (err) => err instanceof MaxiError && err.code === MaxiErrorCode.UnsupportedBinaryFormatError
+  );
+});
+
+test('features: bytes round-trip parse -> dump -> parse is lossless', async () => {
+  const payload = new Uint8Array(256);
+  for (let i = 0; i < 256; i++) payload[i] = i;
+  const types = [{
+    alias: 'F',
+    fields: [
+      { name: 'id', typeExpr: 'int' },
+      { name: 'thumb', typeExpr: 'bytes', annotation: 'base64' },
+      { name: 'sig', typeExpr: 'bytes', annotation: 'hex' },
+    ],
+  }];
+
+  const first = dumpMaxi({ F: [{ id: 1, thumb: payload, sig: payload.subarray(250) }] }, { types });
+  const parsed = await parseMaxi(first, { bytesMode: 'uint8array' });
+  assert.deepEqual([...parsed.records[0].values[1]], [...payload]);
+  assert.deepEqual([...parsed.records[0].values[2]], [250, 251, 252, 253, 254, 255]);
+
+  const objects = { F: [{ id: 1, thumb: parsed.records[0].values[1], sig: parsed.records[0].values[2] }] };
+  assert.equal(dumpMaxi(objects, { types }), first);
+});
+
+test('features: comparison constraints on decoded bytes use the byte length', async () => {
+  const res = await parseMaxi(`F:File(data:bytes(<=2))
+###
+F(AAECAw==)`, { bytesMode: 'uint8array' });
+  assert.ok(res.warnings.some(w => w.code === 'E303' && /value 4 /.test(w.message)));
+});
+
+test('features: temporalMode date converts temporal annotations to Date', async () => {
+  const res = await parseMaxi(`E:Event(d:str@date|at:str@datetime|t:str@time|ts:int@timestamp)
+###
+E(2024-02-29|"2024-02-29T10:30:00.250+02:00"|08:15|1700000000)`, { temporalMode: 'date' });
+
+  const [d, at, t, ts] = res.records[0].values;
+  assert.equal(d.toISOString(), '2024-02-29T00:00:00.000Z');
+  assert.equal(at.toISOString(), '2024-02-29T08:30:00.250Z');
+  assert.equal(t.toISOString(), '1970-01-01T08:15:00.000Z');
+  assert.equal(ts.getTime(), 1700000000000);
+  assert.equal(res.warnings.length, 0);
+});
+
+test('features: temporalMode string keeps values as written', async () => {
+  const res = await parseMaxi(`E:Event(d:str@date)
+###
+E(2024-13-40)`);
+  assert.equal(res.records[0].values[0], '2024-13-40');
+  assert.equal(res.warnings.length, 0);
+});
+
+test('features: temporalMode factory receives the validated value and annotation', async () => {
+  const calls = [];
+  const res = await parseMaxi(`E:Event(d:str@date|ts:int@timestamp)
+###
+E(2024-01-02|5)`, { temporalMode: (v, kind, field) => { calls.push([v, kind, field.name]); return `${kind}:${v}`; } });
+
+  assert.deepEqual(res.records[0].values, ['date:2024-01-02', 'timestamp:5']);
+  assert.deepEqual(calls, [['2024-01-02', 'date', 'd'], [5, 'timestamp', 'ts']]);
+});
+
+test('features: invalid temporal values warn with E402 or throw under allowTypeCoercion error', async () => {
+  const input = `E:Event(d:str@date|at:str@datetime|t:str@time|ts:int@timestamp)
+###
+E(2023-02-29|2024-01-01|24:00|soon)`;
+  const res = await parseMaxi(input, { temporalMode: 'date' });
+  assert.deepEqual(res.records[0].values, ['2023-02-29', '2024-01-01', '24:00', 'soon']);
+  assert.deepEqual(res.warnings.map(w => w.code), ['E402', 'E402', 'E402', 'E402']);
+
+  await assert.rejects(
+    () => parseMaxi(input, { temporalMode: 'date', allowTypeCoercion: 'error' }),
+    (err) => err instanceof MaxiError && err.code === MaxiErrorCode.TypeMismatchError
+  );
+});
+
+test('features: Date values dump by annotation and round-trip', async () => {
+  const types = [{
+    alias: 'E',
+    fields: [
+      { name: 'd', typeExpr: 'str', annotation: 'date' },
+      { name: 'at', typeExpr: 'str', annotation: 'datetime' },
+      { name: 't', typeExpr: 'str', annotation: 'time' },
+      { name: 'ts', typeExpr: 'int', annotation: 'timestamp' },
+    ],
+  }];
+  const when = new Date('2024-05-06T07:08:09.010Z');
+  const out = dumpMaxi({ E: [{ d: when, at: when, t: when, ts: when }] }, { types });
+  assert.ok(out.endsWith('E(2024-05-06|"2024-05-06T07:08:09.010Z"|"07:08:09.010Z"|1714979289)'));
+
+  const res = await parseMaxi(out, { temporalMode: 'date' });
+  const [d, at, t, ts] = res.records[0].values;
+  assert.equal(d.toISOString(), '2024-05-06T00:00:00.000Z');
+  assert.equal(at.getTime(), when.getTime());
+  assert.equal(t.toISOString(), '1970-01-01T07:08:09.010Z');
+  assert.equal(ts.getTime(), 1714979289000);
+});
+
+test('features: temporal dates keep years below 100', async () => {
+  const res = await parseMaxi('E:Ev(d:str@date)\n###\nE(0001-01-01)\nE(0004-02-29)\nE(0100-02-29)', { temporalMode: 'date' });
+  const [[first], [leap], [bad]] = res.records.map(r => r.values);
+  assert.equal(first.getUTCFullYear(), 1);
+  assert.equal(leap.toISOString().slice(0, 10), '0004-02-29');
+  assert.equal(bad, '0100-02-29');
+  assert.deepEqual(res.warnings.map(w => w.code), ['E402']);
+  assert.match(dumpMaxi(res), /E\(0001-01-01\)/);
+});
+
+test('features: temporal annotations on the array suffix are rejected', async () => {
+  await assert.rejects(
+    () => parseMaxi('E:Ev(d:str@date[])\n###\n'),
+    (err) => err instanceof MaxiError && err.code === 'E302'
+  );
+  const res = await parseMaxi('E:Ev(d:str[]@date)\n###\nE([2024-01-01])', { temporalMode: 'date' });
+  assert.ok(res.records[0].values[0][0] instanceof Date);
+});
+
+test('features: decimal-precision digit ranges are enforced', async () => {
+  const res = await parseMaxi(`P:Price(a:decimal(5.2)|b:decimal(1:3.)|c:decimal(.2:4))
+###
+P(123.45|5|1.50)
+P(123456.789|1234|1.5)`, { decimalMode: 'string' });
+
+  const lines = res.warnings.filter(w => w.code === MaxiErrorCode.ConstraintViolationError).map(w => [w.line, w.message]);
+  assert.equal(lines.length, 3);
+  assert.ok(lines.every(([line]) => line === 4));
+  assert.match(lines[0][1], /'a'.*6 integer digits, max 5/);
+  assert.match(lines[1][1], /'b'.*4 integer digits, max 3/);
+  assert.match(lines[2][1], /'c'.*1 fraction digits, min 2/);
+});
+
+test('features: decimal-precision in number mode checks maxima only', async () => {
+  const res = await parseMaxi(`P:Price(a:decimal(5.2)|c:decimal(.2:4))
+###
+P(0.5|1.50)
+P(1e-7|1)`);
+  assert.deepEqual(res.warnings.map(w => w.line), [4]);
+  assert.match(res.warnings[0].message, /7 fraction digits, max 2/);
+
+  await assert.rejects(
+    () => parseMaxi(`P:Price(a:decimal(5.2))
+###
+P(1.234)`, { allowConstraintViolations: 'error' }),
+    (err) => err instanceof MaxiError && err.code === MaxiErrorCode.ConstraintViolationError
+  );
+});
+
+test('features: mime constraint checks magic bytes of encoded and decoded payloads', async () => {
+  const input = `F:File(img:bytes(mime:[image/png,image/gif])|doc:bytes@hex(mime:application/pdf)|any:bytes(mime:[image/png,text/plain]))
+###
+F(iVBORw0KGgoAAAA=|255044462d312e34|AAAA)
+F(JVBERi0xLjQ=|89504e470d0a1a0a|AAAA)`;
+
+  for (const bytesMode of ['string', 'uint8array']) {
+    const res = await parseMaxi(input, { bytesMode });
+    const violations = res.warnings.filter(w => w.code === MaxiErrorCode.ConstraintViolationError);
+    assert.equal(violations.length, 2, bytesMode);
+    assert.ok(violations.every(w => w.line === 4));
+    assert.match(violations[0].message, /'img'.*image\/png, image\/gif/);
+    assert.match(violations[1].message, /'doc'.*application\/pdf/);
+  }
+});
+
+test('features: element constraints are checked for every element, naming its index', async () => {
+  const res = await parseMaxi(`U:User(id:int|tags:str(>=3,<=20)[](>=1,<=10)|scores:int(>=0,<=100)[]|grid:int(>=0)[][])
+###
+U(1|[ab,design]|[5,101]|[[1],[2,-3]])`);
+
+  assert.deepEqual(res.warnings.map(w => w.message), [
+    "Field 'tags[0]': value 2 violates constraint >=3",
+    "Field 'scores[1]': value 101 violates constraint <=100",
+    "Field 'grid[1][1]': value -3 violates constraint >=0",
+  ]);
+  assert.ok(res.warnings.every(w => w.code === MaxiErrorCode.ConstraintViolationError));
+});
+
+test('features: map value constraints are checked per key', async () => {
+  const res = await parseMaxi(`S:Scores(id:int|m:map<str,int(>=0,<=5)>|mm:map<str,str(pattern:^a)[]>)
+###
+S(1|{a:3,b:9}|{x:[ab,cd]})`);
+
+  assert.deepEqual(res.records[0].values[1], { a: 3, b: 9 });
+  assert.deepEqual(res.warnings.map(w => w.message), [
+    "Field 'm.b': value 9 violates constraint <=5",
+    "Field 'mm.x[1]': value 'cd' does not match pattern '^a'",
+  ]);
+
+  await assert.rejects(
+    () => parseMaxi(`S:Scores(id:int|m:map<str,int(>=0,<=5)>)
+###
+S(1|{a:6})`, { allowConstraintViolations: 'error' }),
+    (err) => err instanceof MaxiError && err.code === MaxiErrorCode.ConstraintViolationError
+  );
+});
+
+test('features: map value types may contain commas', async () => {
+  const input = `S:Scores(id:int|grade:map<str,enum[a,b]>|owner:map<str,U>)
+U:User(id:int)
+###
+S(1|{x:a,y:b}|{x:1})
+U(1)`;
+  const res = await parseMaxi(input);
+  assert.deepEqual(res.schema.getType('S').fields[1].typeExpr, 'map<str,enum[a,b]>');
+  assert.deepEqual(res.records[0].values, [1, { x: 'a', y: 'b' }, { x: 1 }]);
+  assert.deepEqual(res.warnings, []);
+  assert.match(dumpMaxi(res), /^S\(1\|\{x:a,y:b\}\|\{x:1\}\)$/m);
+});
+
+test('features: compileDecoders gives the same records and warnings as the generic path', async () => {
+  const input = `U:User(id:int|name|score:decimal=0|ratio:float|active:bool|role:enum[a:admin,u:user]|level:enum<int>[1,2]|tags:str[]|meta|ref:U|note:str(required)=n/a)
+###
+U(1|Julie|12.50|0.5|1|a|2|[x,y]|42|~|hello)
+U(2|"Matt | Jr."|3.|1e3|false|u|1|[]|3.25|1|)
+U(3||abc|oops|maybe|x|z|~|{k:v}|(1)|~)
+U( 4 |  Ann  |  -7  |  -0.25  |  true  )
+U(5|Bo|1|2|0|a|1|[a]|7.|8|ok|extra|"more")
+U(6)
+U(007|a(b|c)|-0|-|0|u|1|[a]|12345678901234567|-3|x)
+U(1234567890123456|b|5|7|1|a|2|[]|-|0012|y)`;
+
+  for (const options of [
+    {},
+    { intMode: 'auto' },
+    { intMode: 'bigint', decimalMode: 'string' },
+    { decimalMode: 'bigint-scaled', allowAdditionalFields: 'warning' },
+    { allowTypeCoercion: 'warning', allowMissingFields: 'warning' },
+  ]) {
+    const generic = await parseMaxi(input, options);
+    const compiled = await parseMaxi(input, { ...options, compileDecoders: true });
+    assert.deepEqual(compiled.records, generic.records);
+    assert.deepEqual(compiled.warnings, generic.warnings);
+  }
+});
+
+test('features: compileDecoders reports errors like the generic path', async () => {
+  const schema = 'U:User(id:int|name(required))\n###\n';
+  for (const [records, options] of [
+    ['U(x|a)', { allowTypeCoercion: 'error' }],
+    ['U(1|~)', { allowMissingFields: 'error' }],
+    ['U(1|a|b)', { allowAdditionalFields: 'error' }],
+    ['U(1|[a)', {}],
+  ]) {
+    const generic = await parseMaxi(schema + records, options).catch(e => e);
+    const compiled = await parseMaxi(schema + records, { ...options, compileDecoders: true }).catch(e => e);
+    assert.ok(generic instanceof MaxiError);
+    assert.equal(compiled.code, generic.code);
+    assert.equal(compiled.message, generic.message);
+  }
+});
+
+test('features: compileDecoders handles temporal fields, inferred type fields and compiled schemas', async () => {
+  const input = `E:Event(at:str@date|type|n:int)
+###
+E(2024-02-30|2)
+E("2024-01-01"|x|3)`;
+  const options = { temporalMode: 'date' };
+  const generic = await parseMaxi(input, options);
+  const compiled = await parseMaxi(input, { ...options, compileDecoders: true });
+  assert.deepEqual(compiled.records, generic.records);
+  assert.deepEqual(compiled.warnings, generic.warnings);
+
+  const schema = await compileMaxiSchema('U:User(id:int|amount:decimal)');
+  const res = await parseMaxiRecords('U(1|2.5)\nU(2|3)', schema, { compileDecoders: true });
+  assert.deepEqual(res.records.map(r => r.values), [[1, 2.5], [2, 3]]);
+});
@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { formatMaxi } from '../src/api/format.js';
+import { parseMaxi } from '../src/api/parse.js';
+import { MaxiError } from '../src/core/errors.js';
+
+const MESSY = `  @version:1.0.0
+# people
+
+
+U:User(  id:int |name|   email:str@email|bio|tags:str[]  )
+O:Order (id:int|user:U|note|total:decimal|status:enum[new,paid,shipped]|createdAt:str@datetime)
+###
+
+   # first batch
+U(1|"Julie"|julie@maxi.org|||)   # trailing comment
+U( 2 |Matt Jr.| ~ |"has | pipe"|[a,b])  U(3|"Ann"|ann@maxi.org)
+O(10|1|http://x.org/a|"9.50"|paid)
+
+
+`;
+
+test('format: canonical layout', async () => {
+  const out = await formatMaxi(MESSY);
+  assert.equal(out, `@version:1.0.0
+# people
+
+U:User(id:int|name|email:str@email|bio|tags:str[])
+O:Order(
+  id:int|
+  user:U|
+  note|
+  total:decimal|
+  status:enum[new,paid,shipped]|
+  createdAt:str@datetime
+)
+###
+
+# first batch
+U(1|"Julie"|julie@maxi.org) # trailing comment
+U(2|Matt Jr.|~|"has | pipe"|[a,b])
+U(3|"Ann"|ann@maxi.org)
+O(10|1|http://x.org/a|"9.50"|paid)
+`);
+});
+
+test('format: is idempotent and keeps the data', async () => {
+  for (const options of [{}, { alignRecords: true }, { maxWidth: 20 }]) {
+    const once = await formatMaxi(MESSY, options);
+    assert.equal(await formatMaxi(once, options), once);
+
+    const before = await parseMaxi(MESSY);
+    const after = await parseMaxi(once);
+    assert.deepEqual(after.records.map(r => r.values), before.records.map(r => r.values));
+  }
+});
+
+test('format: alignRecords pads columns per alias', async () => {
+  const out = await formatMaxi(`U:User(id:int|name|email)
+O:Order(id:int|user:U)
+###
+U(1|Julie|j@x.org)
+O(100|1)
+U(22|Al|al@x.org)
+O(1|22)
+U(333|Bo)`, { alignRecords: true });
+
+  assert.equal(out.split('\n').slice(3).join('\n'), `U(1  |Julie|j@x.org)
+O(100|1)
+U(22 |Al   |al@x.org)
+O(1  |22)
+U(333|Bo)
+`);
+});
+
+test('format: maxWidth controls multi-line type definitions', async () => {
+  const input = 'U:User(\n  id:int|\n  name\n)\n';
+  assert.equal(await formatMaxi(input), 'U:User(id:int|name)\n');
+  assert.equal(await formatMaxi(input, { maxWidth: 10 }), input);
+});
+
+test('format: only values of str fields are requoted', async () => {
+  const out = await formatMaxi(`U:User(id:int|code|n:str@date)
+###
+U("5"|"007"|"2024-01-01")
+U(6|"a\\"b"|x)`);
+  assert.ok(out.includes('U("5"|"007"|2024-01-01)'));
+  assert.ok(out.includes('U(6|"a\\"b"|x)'));
+});
+
+test('format: quoted numbers in untyped fields stay strings', async () => {
+  const input = `U:User(id:int|code|name:str)
+###
+U(1|"123"|"456")`;
+  const out = await formatMaxi(input);
+  assert.ok(out.includes('U(1|"123"|456)'));
+  const before = await parseMaxi(input);
+  const after = await parseMaxi(out);
+  assert.deepEqual(after.records[0].values, before.records[0].values);
+  assert.equal(after.records[0].values[1], '123');
+});
+
+test('format: keeps CRLF line breaks', async () => {
+  assert.equal(await formatMaxi('U:User(id:int)\r\n###\r\n\r\n\r\nU(1)'), 'U:User(id:int)\r\n###\r\n\r\nU(1)\r\n');
+});
+
+test('format: rejects invalid input', async () => {
+  await assert.rejects(() => formatMaxi('U:User(id:int)\n###\nU(1'), MaxiError);
+});
@@ -250,3 +250,123 @@ test('parseMaxiAs: empty records section returns empty objects map', async () =>
   assert.equal((objects.U ?? []).length, 0);
 });
 
+
+test('parseMaxiAs: bigint ids (intMode auto) resolve references to instances', async () => {
+  const input = makeMaxi(
+    ['U:User(id:int|name|email)', 'O:Order(id:int|userId:U|total:decimal)'],
+    ['U(1311768467463790320|Julie|j@example.com)', 'O(9007199254740993|1311768467463790320|10.5)']
+  );
+
+  const { objects } = await parseMaxiAs(input, { U: User, O: Order }, { intMode: 'auto' });
+
+  assert.equal(objects.U[0].id, 1311768467463790320n);
+  assert.equal(objects.O[0].id, 9007199254740993n);
+  assert.equal(objects.O[0].userId, objects.U[0]);
+});
+
+test('parseMaxiAs: arrays, nested arrays and map values of references resolve to instances', async () => {
+  class Line {
+    constructor({ id, sku } = {}) { this.id = id; this.sku = sku; }
+  }
+  class Basket {
+    constructor(fields = {}) { Object.assign(this, fields); }
+  }
+  const input = makeMaxi(
+    ['L:Line(id:int|sku)', 'B:Basket(id:int|items:L[]|groups:L[][]|byName:map<str,L>)'],
+    ['L(10|a)', 'L(11|b)', 'B(1|[10,11]|[[11],[10,11]]|{first:10,second:11})']
+  );
+
+  const { objects, warnings } = await parseMaxiAs(input, { L: Line, B: Basket });
+  const [l10, l11] = objects.L;
+  const basket = objects.B[0];
+
+  assert.equal(warnings.length, 0);
+  assert.deepEqual(basket.items, [l10, l11]);
+  assert.equal(basket.items[0], l10);
+  assert.deepEqual(basket.groups, [[l11], [l10, l11]]);
+  assert.equal(basket.groups[1][1], l11);
+  assert.equal(basket.byName.first, l10);
+  assert.equal(basket.byName.second, l11);
+});
+
+test('parseMaxiAs: missing references inside collections stay scalar and are reported with their path', async () => {
+  const input = makeMaxi(
+    ['U:User(id:int|name|email)', 'T:Team(id:int|members:U[]|roles:map<str,U>)'],
+    ['U(1|Julie|j@example.com)', 'T(7|[1,2]|{lead:3,dev:1})']
+  );
+
+  const { objects, warnings } = await parseMaxiAs(input, { U: User, T: class { constructor(f) { Object.assign(this, f); } } });
+  assert.equal(objects.T[0].members[0], objects.U[0]);
+  assert.equal(objects.T[0].members[1], 2);
+  assert.equal(objects.T[0].roles.lead, 3);
+  assert.deepEqual(warnings.map(w => [w.code, w.line]), [['E204', 5], ['E204', 5]]);
+  assert.match(warnings[0].message, /field 'members\[1\]' in 'T' references U id '2'/);
+  assert.match(warnings[1].message, /field 'roles\.lead' in 'T' references U id '3'/);
+});
+
+test('parseMaxiAs: inline objects and arrays of them become instances of the mapped class', async () => {
+  class Money {
+    constructor({ amount, currency } = {}) { this.amount = amount; this.currency = currency; }
+    format() { return `${this.amount} ${this.currency}`; }
+  }
+  class Address {
+    constructor({ street, city, fee } = {}) { this.street = street; this.city = city; this.fee = fee; }
+    label() { return `${this.street}, ${this.city}`; }
+  }
+  class Customer {
+    constructor(fields = {}) { Object.assign(this, fields); }
+  }
+  const input = makeMaxi(
+    [
+      'M:Money(amount:decimal|currency)',
+      'A:Address(street|city|fee:M)',
+      'C:Customer(id:int|home:A|others:A[]|owner:U)',
+      'U:User(id:int|name|email)',
+    ],
+    ['U(1|Julie|j@example.com)', 'C(1|(Main St|Springfield|(5|USD))|[(Elm St|Shelbyville),(Oak St|Ogdenville|(2.5|EUR))]|1)']
+  );
+
+  const { objects } = await parseMaxiAs(input, { C: Customer, A: Address, M: Money, U: User });
+  const customer = objects.C[0];
+
+  assert.ok(customer.home instanceof Address);
+  assert.equal(customer.home.label(), 'Main St, Springfield');
+  assert.ok(customer.home.fee instanceof Money);
+  assert.equal(customer.home.fee.format(), '5 USD');
+  assert.ok(customer.others.every(a => a instanceof Address));
+  assert.equal(customer.others[0].fee, null);
+  assert.equal(customer.others[1].fee.format(), '2.5 EUR');
+  assert.equal(customer.owner, objects.U[0]);
+  assert.equal(objects.A, undefined, 'inline objects are not listed as top-level records');
+});
+
+test('parseMaxiAs: inline objects with unmapped types stay plain', async () => {
+  const input = makeMaxi(
+    ['A:Address(street|city)', 'C:Customer(id:int|home:A)'],
+    ['C(1|(Main St|Springfield))']
+  );
+  const { objects } = await parseMaxiAs(input, { C: class { constructor(f) { Object.assign(this, f); } } });
+  assert.deepEqual(objects.C[0].home, { street: 'Main St', city: 'Springfield' });
+});
+
+test('parseMaxiAs: subtype records satisfy parent-typed references and use the most specific class', async () => {
+  class Animal { constructor(f = {}) { Object.assign(this, f); } }
+  class Dog extends Animal { bark() { return `${this.name}: woof`; } }
+  class Owner { constructor(f = {}) { Object.assign(this, f); } }
+  const input = makeMaxi(
+    ['A:Animal(id:int|name)', 'D:Dog<A>(breed)', 'C:Cat<A>(indoor:bool)', 'P:Puppy<D>(age:int)', 'O:Owner(id:int|pet:A|pets:A[])'],
+    ['D(1|Rex|collie)', 'C(2|Tom|1)', 'P(3|Bit|pug|1)', 'A(4|Generic)', 'O(1|1|[2,3,4])']
+  );
+
+  const { objects, warnings } = await parseMaxiAs(input, { A: Animal, D: Dog, O: Owner });
+  assert.equal(warnings.length, 0);
+
+  const owner = objects.O[0];
+  assert.ok(owner.pet instanceof Dog);
+  assert.equal(owner.pet.bark(), 'Rex: woof');
+  assert.equal(owner.pets[0], objects.C[0]);
+  assert.ok(objects.C[0] instanceof Animal && !(objects.C[0] instanceof Dog), 'Cat falls back to Animal');
+  assert.ok(owner.pets[1] instanceof Dog, 'Puppy falls back to its nearest mapped ancestor Dog');
+  assert.equal(owner.pets[1].age, 1);
+  assert.equal(owner.pets[2], objects.A[0]);
+});
@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseMaxiParallel } from '../src/api/parallel.js';
+import { parseMaxi } from '../src/api/parse.js';
+import { MaxiDecimal } from '../src/core/types.js';
+import { MaxiError, MaxiErrorCode } from '../src/core/errors.js';
+import { splitRecordsText } from '../src/internal/record-scanner.js';
+
+const SCHEMA = `U:User(id:int|name|email:str@email|tags:str[])
+O:Order(id:int|user:U|total:decimal|note)
+###
+`;
+
+function buildInput(count) {
+  let s = SCHEMA;
+  for (let i = 1; i <= count; i++) {
+    // Orders point forward to users, some notes span lines, every 7th email is invalid.
+    s += `O(${i}|${i + 1}|${i}.25|"note ${i}\n( ) # \\"quoted\\"\nU(0)")\n`;
+    if (i % 5 === 0) s += `# batch ${i}\n`;
+    s += `U(${i}|User ${i}|${i % 7 ? `u${i}@x.org` : 'nope'}|[a,b${i}])\n`;
+  }
+  return s + `U(${count + 1}|Last|l@x.org|[])\n`;
+}
+
+test('parallel: matches parseMaxi', async () => {
+  const input = buildInput(300);
+  const expected = await parseMaxi(input);
+  const res = await parseMaxiParallel(input, { workers: 3 });
+
+  assert.deepEqual(res.records, expected.records);
+  assert.deepEqual(res.warnings, expected.warnings);
+  assert.ok(res.warnings.length > 0);
+  assert.equal(res.schema.getType('O').fields.length, 4);
+});
+
+test('parallel: chunks are cut between records only', () => {
+  const text = buildInput(50).slice(SCHEMA.length);
+  const chunks = splitRecordsText(text, 4);
+  assert.equal(chunks.length, 4);
+  assert.equal(chunks.map(c => c.text).join(''), text);
+  for (const chunk of chunks) {
+    assert.match(chunk.text, /^(U|O)\(/);
+    assert.equal(chunk.lineOffset, text.slice(0, text.indexOf(chunk.text)).split('\n').length - 1);
+  }
+});
+
+test('parallel: duplicate ids and references are checked across chunks', async () => {
+  const input = buildInput(60) + 'U(1|Again|a@x.org|[])\nO(999|12345|1|x)\n';
+  const expected = await parseMaxi(input);
+  const res = await parseMaxiParallel(input, { workers: 4 });
+  assert.deepEqual(res.warnings, expected.warnings);
+  assert.ok(res.warnings.some(w => w.code === MaxiErrorCode.DuplicateIdentifierError));
+
+  await assert.rejects(
+    () => parseMaxiParallel(input, { workers: 4, allowConstraintViolations: 'error' }),
+    e => e instanceof MaxiError && e.code === MaxiErrorCode.ConstraintViolationError
+  );
+  await assert.rejects(
+    () => parseMaxiParallel(input, { workers: 4, allowForwardReferences: false }),
+    e => e instanceof MaxiError && e.code === MaxiErrorCode.UnresolvedReferenceError
+  );
+});
+
+test('parallel: the first error in the input is thrown, with its line', async () => {
+  const lines = buildInput(80).split('\n');
+  lines.splice(lines.length - 40, 0, 'U(1|"unclosed');
+  lines.splice(120, 0, '!bad');
+  const input = lines.join('\n');
+
+  const expected = await parseMaxi(input).catch(e => e);
+  const error = await parseMaxiParallel(input, { workers: 4 }).catch(e => e);
+  assert.ok(error instanceof MaxiError);
+  assert.equal(error.code, expected.code);
+  assert.equal(error.line, expected.line);
+  assert.equal(error.message, expected.message);
+});
+
+test('parallel: decoded values survive the trip from the workers', async () => {
+  const input = 'P:Price(id:int|amount:decimal(10.2)|raw:bytes@hex)\n###\n' +
+    Array.from({ length: 40 }, (_, i) => `P(${i}|${i}.5|0a0b)`).join('\n');
+  const res = await parseMaxiParallel(input, { workers: 2, decimalMode: 'bigint-scaled', bytesMode: 'buffer' });
+
+  assert.equal(res.records.length, 40);
+  const [, amount, raw] = res.records[3].values;
+  assert.ok(amount instanceof MaxiDecimal);
+  assert.equal(amount.toString(), '3.50');
+  assert.ok(Buffer.isBuffer(raw));
+  assert.deepEqual([...raw], [10, 11]);
+});
+
+test('parallel: imports are loaded once on the calling thread', async () => {
+  let loads = 0;
+  const loadSchema = () => {
+    loads++;
+    return 'U:User(id:int|name)';
+  };
+  const input = '@schema:users.mxs\n###\n' + Array.from({ length: 50 }, (_, i) => `U(${i}|n${i})`).join('\n');
+  const res = await parseMaxiParallel(input, { workers: 2, loadSchema });
+  assert.equal(res.records.length, 50);
+  assert.equal(loads, 1);
+});
+
+test('parallel: rejects options that cannot reach the workers', async () => {
+  await assert.rejects(() => parseMaxiParallel(SCHEMA, { decimalMode: s => s }), TypeError);
+  await assert.rejects(() => parseMaxiParallel(SCHEMA, { workers: 0 }), TypeError);
+  await assert.rejects(() => parseMaxiParallel(SCHEMA + 'U(1)', { workers: 2, intMode: /** @type {any} */ ('huge') }), TypeError);
+});
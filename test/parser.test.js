@@ -170,6 +170,14 @@ U(hello|Julie)`;
 });
 
 
+test('parse: inline objects in built-in typed fields stay untyped without warnings', async () => {
+  const res = await parseMaxi(`P:Point(x:float|n:int|label)
+###
+P((1.5|2)|(3)|(a|b))`);
+  assert.deepEqual(res.records[0].values, [{ values: [1.5, 2] }, { values: [3] }, { values: ['a', 'b'] }]);
+  assert.deepEqual(res.warnings, []);
+});
+
 test('testdata: run all fixtures in ../testdata/*', async () => {
   const fs = await import('node:fs/promises');
   const path = await import('node:path');
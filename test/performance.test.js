@@ -1,12 +1,53 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
 import { performance } from 'node:perf_hooks';
-import { parseMaxi } from '../src/api/parse.js';
+import { parseMaxi, compileMaxiSchema, parseMaxiRecords } from '../src/api/parse.js';
 import { dumpMaxi } from '../src/api/dump.js';
 
 // Use env override for local load tests; keep CI reasonable.
 const DATA_SIZE = Number(process.env.MAXI_BENCH_SIZE ?? 100000);
 
+test('Performance comparison: generic vs compiled record decoders', async (t) => {
+  const mixedString = buildMixedMaxiString(DATA_SIZE);
+  console.log(`\n--- Mixed-type records: ${Math.round(mixedString.length / 1024)} KB ---`);
+
+  // Warmup (JIT, decoder compilation)
+  const reference = await parseMaxi(mixedString);
+  await parseMaxi(mixedString, { compileDecoders: true });
+
+  for (const [label, options] of [['generic', {}], ['compileDecoders', { compileDecoders: true }]]) {
+    await t.test(`MAXI mixed parsing (${label})`, async () => {
+      const start = performance.now();
+      const parsed = await parseMaxi(mixedString, options);
+      const end = performance.now();
+      const ms = end - start;
+      console.log(`MAXI mixed parse time (${label}): ${ms.toFixed(2)} ms (${Math.round((DATA_SIZE * 1000) / ms)} rec/s)`);
+      assert.strictEqual(parsed.records.length, reference.records.length);
+      assert.deepStrictEqual(parsed.records[parsed.records.length - 1], reference.records[reference.records.length - 1]);
+    });
+  }
+
+  // Without references to resolve, decoding is most of the work: here the compiled decoders must win.
+  await t.test('MAXI records without references (generic vs compileDecoders)', async () => {
+    const schema = await compileMaxiSchema(
+      'O:Order(id:int|customer:int|total:decimal|discount:float|items:str[]|status:enum[new,paid]|paid:bool)'
+    );
+    const records = buildMixedMaxiString(DATA_SIZE).replace(/^[\s\S]*?\n###\n/, '').replace(/^C\(.*\n/gm, '');
+    await parseMaxiRecords(records, schema, { compileDecoders: true });
+
+    const best = { generic: Infinity, compileDecoders: Infinity };
+    for (let run = 0; run < 3; run++) {
+      for (const [label, options] of [['generic', {}], ['compileDecoders', { compileDecoders: true }]]) {
+        const start = performance.now();
+        await parseMaxiRecords(records, schema, options);
+        best[label] = Math.min(best[label], performance.now() - start);
+      }
+    }
+    console.log(`MAXI records-only parse time: generic ${best.generic.toFixed(2)} ms, compileDecoders ${best.compileDecoders.toFixed(2)} ms`);
+    assert.ok(best.compileDecoders < best.generic, 'compiled decoders should be faster than the generic path');
+  });
+});
+
 // NEW: dumping benchmark size (keep smaller by default; dumping builds an array of objects)
 const DUMP_SIZE = Number(process.env.MAXI_DUMP_BENCH_SIZE ?? 100000);
 
@@ -29,6 +70,21 @@ function buildMaxiString(count) {
   return s;
 }
 
+// Field types outside the int/bool/str/enum fast path: decimals, floats, arrays, references.
+function buildMixedMaxiString(count) {
+  let s =
+    'C:Customer(id:int|name)\n' +
+    'O:Order(id:int|customer:C|total:decimal|discount:float|items:str[]|status:enum[new,paid]|paid:bool)\n###\n';
+  const customers = Math.max(1, Math.floor(count / 10));
+  for (let i = 1; i <= customers; i++) s += `C(${i}|Customer ${i})\n`;
+  for (let i = 1; i <= count; i++) {
+    const total = `${i % 1000}.${String(i % 100).padStart(2, '0')}`;
+    const discount = (i % 7) / 8;
+    s += `O(${i}|${(i % customers) + 1}|${total}|${discount}|[sku${i % 13},sku${i % 17}]|${i % 3 ? 'new' : 'paid'}|${i % 2})\n`;
+  }
+  return s;
+}
+
 function buildJsonString(count) {
   let s = '[';
   for (let i = 1; i <= count; i++) {
@@ -112,6 +168,16 @@ test('Performance comparison: MAXI vs JSON vs XML parsing', async (t) => {
     assert.strictEqual(parsed.records.length, DATA_SIZE);
   });
 
+  await t.test('MAXI parsing (compileDecoders)', async () => {
+    await parseMaxi(maxiString, { compileDecoders: true });
+    const start = performance.now();
+    const parsed = await parseMaxi(maxiString, { compileDecoders: true });
+    const end = performance.now();
+    const ms = end - start;
+    console.log(`MAXI parse time (compileDecoders): ${ms.toFixed(2)} ms (${Math.round((DATA_SIZE * 1000) / ms)} rec/s)`);
+    assert.strictEqual(parsed.records.length, DATA_SIZE);
+  });
+
   await t.test('JSON parsing', () => {
     const start = performance.now();
     const parsed = JSON.parse(jsonString);
@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseMaxi } from '../src/api/parse.js';
+import { parseMaxiParallel } from '../src/api/parallel.js';
+import { MaxiError, MaxiErrorCode } from '../src/core/errors.js';
+
+const STRICT = {
+  allowTypeCoercion: 'error',
+  allowUnknownTypes: 'error',
+  allowConstraintViolations: 'error',
+  allowForwardReferences: false,
+};
+
+const BROKEN_RECORDS = `U:User(id:int|name|age:int)
+O:Order(id:int|user:U|items:int[])
+###
+U(1|Julie|30)
+!oops
+U(2|Matt|x)  U(3|"Ann|4)
+U(4|Bo|[1,2)
+X(5)
+T:Type(a)
+O(1|9|[1])
+  U(1|Dup|1)
+U(6|"unclosed
+U(7|Last|7)
+`;
+
+/** @param {MaxiError[]} errors */
+const summary = errors => errors.map(e => [e.code, e.line, e.column, e.alias]);
+
+test('recover: every broken record is reported, the rest are kept', async () => {
+  const res = await parseMaxi(BROKEN_RECORDS, { ...STRICT, recover: true });
+
+  assert.deepEqual(summary(res.errors), [
+    [MaxiErrorCode.InvalidSyntaxError, 5, 1, null],
+    [MaxiErrorCode.TypeMismatchError, 6, 10, 'U'],
+    [MaxiErrorCode.InvalidSyntaxError, 6, 14, 'U'],
+    [MaxiErrorCode.ArraySyntaxError, 7, 1, 'U'],
+    [MaxiErrorCode.UnknownTypeError, 8, 1, 'X'],
+    [MaxiErrorCode.StreamError, 9, 1, 'T'],
+    [MaxiErrorCode.DuplicateIdentifierError, 11, 3, 'U'],
+    [MaxiErrorCode.InvalidSyntaxError, 12, 1, 'U'],
+    [MaxiErrorCode.UnresolvedReferenceError, 10, 5, 'O'],
+  ]);
+  assert.ok(res.errors.every(e => e instanceof MaxiError));
+  assert.deepEqual(res.records.map(r => r.values), [[1, 'Julie', 30], [1, '9', [1]], [7, 'Last', 7]]);
+});
+
+test('recover: schema errors skip the broken line or definition', async () => {
+  const res = await parseMaxi(`@maxi:9.9.9
+@bad directive
+U:User(id:int|age:int=abc)
+A:Admin<X>(level:int)
+U:User(id:int)
+  B:Broken(id:int|x:str(>=3
+    |y)
+P:Pet(id:int|kind:enum[a,a])
+###
+U(1|30)
+A(3)
+P(4|a)`, { recover: true });
+
+  assert.deepEqual(summary(res.errors), [
+    [MaxiErrorCode.UnsupportedVersionError, 1, 1, null],
+    [MaxiErrorCode.InvalidSyntaxError, 2, 1, null],
+    [MaxiErrorCode.DuplicateTypeError, 5, 1, 'U'],
+    [MaxiErrorCode.ConstraintSyntaxError, 6, 3, 'B'],
+    [MaxiErrorCode.UndefinedParentError, 4, 9, 'A'],
+    [MaxiErrorCode.EnumAliasError, 8, 14, 'P'],
+    [MaxiErrorCode.InvalidDefaultValueError, 3, 15, 'U'],
+  ]);
+  assert.deepEqual([...res.schema.types.keys()], ['U', 'A', 'P']);
+  assert.deepEqual(res.records.map(r => r.values), [[1, 30], [3], [4, 'a']]);
+});
+
+test('recover: without the option the first error is thrown', async () => {
+  await assert.rejects(
+    () => parseMaxi(BROKEN_RECORDS, STRICT),
+    e => e instanceof MaxiError && e.code === MaxiErrorCode.InvalidSyntaxError && e.line === 5
+  );
+  assert.deepEqual((await parseMaxi('U:User(id:int)\n###\nU(1)')).errors, []);
+});
+
+test('recover: parseMaxiParallel collects the same errors', async () => {
+  const input = BROKEN_RECORDS + Array.from({ length: 60 }, (_, i) => `U(${i + 10}|n|${i})\nU(${i % 3 ? i + 100 : 1}|d|x)`).join('\n');
+  const options = { ...STRICT, recover: true };
+  const expected = await parseMaxi(input, options);
+  const res = await parseMaxiParallel(input, { ...options, workers: 3 });
+
+  assert.deepEqual(res.records, expected.records);
+  assert.deepEqual(res.errors.map(e => [e.code, e.line, e.alias, e.message]), expected.errors.map(e => [e.code, e.line, e.alias, e.message]));
+});
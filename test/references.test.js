@@ -1,7 +1,9 @@
 import { test } from 'node:test';
 import assert from 'node:assert/strict';
 
-import { parseMaxi } from '../src/api/parse.js';
+import { parseMaxi, parseMaxiRecords, compileMaxiSchema } from '../src/api/parse.js';
+import { parseMaxiParallel } from '../src/api/parallel.js';
+import { formatMaxiDiagnostic } from '../src/api/diagnostic.js';
 import { MaxiError, MaxiErrorCode } from '../src/core/errors.js';
 
 test('references: object registry is built from records', async () => {
@@ -57,6 +59,20 @@ O(100|999|99.99)`;
   );
 });
 
+test('references: unresolved reference inside an array throws in strict mode', async () => {
+  const input = `U:User(id:int|name)
+T:Team(id:int|members:U[])
+###
+U(1|Julie)
+T(7|[1,2])`;
+
+  await assert.rejects(
+    () => parseMaxi(input, { allowForwardReferences: false }),
+    (err) => err instanceof MaxiError && err.code === MaxiErrorCode.UnresolvedReferenceError &&
+      /'members\[1\]'/.test(err.message)
+  );
+});
+
 test('references: unresolved reference in lax mode emits warning', async () => {
   const input = `U:User(id:int|name)
 O:Order(id:int|user:U|total:decimal)
@@ -71,6 +87,31 @@ O(100|999|99.99)`;
   );
 });
 
+test('references: unresolved reference diagnostics point at the reference', async () => {
+  const schema = `U:User(id:int|name)
+T:Team(id:int|lead:U|members:U[])
+###
+`;
+  const records = `U(1|Julie)
+T(7|1|[1,
+  12])
+T(8|99|[])`;
+  const input = schema + records;
+  const expected = [['E204', 6, 3, '12'], ['E204', 7, 5, '99']];
+  const summary = (diagnostics, text) => diagnostics.map(d => [d.code, d.line, d.column, text.slice(d.span.start, d.span.end)]);
+
+  const res = await parseMaxi(input);
+  assert.deepEqual(summary(res.warnings, input), expected);
+  assert.deepEqual(summary((await parseMaxiParallel(input, { workers: 2 })).warnings, input), expected);
+  const compiled = await compileMaxiSchema(schema);
+  assert.deepEqual(summary((await parseMaxiRecords(records, compiled)).warnings, records),
+    expected.map(([code, line, column, text]) => [code, line - 3, column, text]));
+  assert.match(formatMaxiDiagnostic(res.warnings[1], input), /\n7 \| T\(8\|99\|\[\]\)\n {2}\| {5}\^\^$/);
+
+  const strict = await parseMaxi(input, { allowForwardReferences: false, recover: true });
+  assert.deepEqual(summary(strict.errors, input), expected);
+});
+
 test('references: forward references are supported in lax mode', async () => {
   const input = `U:User(id:int|name)
 O:Order(id:int|user:U|total:decimal)
@@ -175,3 +216,16 @@ O(100|~|99.99)`;
   assert.equal(refWarnings.length, 0);
 });
 
+
+test('references: subtype records satisfy references to a parent type', async () => {
+  const input = `A:Animal(id:int|name)
+D:Dog<A>(breed)
+O:Owner(id:int|pet:A|pets:A[])
+###
+D(1|Rex|collie)
+O(1|1|[1,2])`;
+
+  const res = await parseMaxi(input);
+  assert.equal(res.warnings.length, 1);
+  assert.match(res.warnings[0].message, /'pets\[1\]'.*A id '2'/);
+});
@@ -1,6 +1,8 @@
 import { test } from 'node:test';
 import assert from 'node:assert/strict';
 
+import { Readable } from 'node:stream';
+
 import { streamMaxi } from '../src/api/stream.js';
 import { MaxiError, MaxiErrorCode } from '../src/core/errors.js';
 
@@ -193,3 +195,162 @@ U(1|Duplicate)`;
   );
 });
 
+
+/** Split text into fixed-size chunks to exercise chunk-boundary handling. */
+function chunked(text, size) {
+  const out = [];
+  for (let i = 0; i < text.length; i += size) out.push(text.slice(i, i + size));
+  return out;
+}
+
+async function collect(stream) {
+  const records = [];
+  for await (const record of stream) records.push(record);
+  return records;
+}
+
+const CHUNKED_INPUT = `U:User(id:int|name|tags:str[])
+###
+# comment with U(9|not a record)
+U(1|"Julie | \\"J\\" (admin)"|[a,b])
+U(
+  2|
+  Matt|
+  [c]
+)
+U(3|"multi
+line")`;
+
+test('stream: Node Readable input with records split across every chunk boundary', async () => {
+  for (const size of [1, 2, 3, 7, 64]) {
+    const stream = await streamMaxi(Readable.from(chunked(CHUNKED_INPUT, size)));
+    assert.ok(stream.schema.hasType('U'));
+
+    const records = await collect(stream);
+    assert.equal(records.length, 3, `chunk size ${size}`);
+    assert.deepEqual(records[0].values, [1, 'Julie | "J" (admin)', ['a', 'b']]);
+    assert.deepEqual(records[1].values, [2, 'Matt', ['c']]);
+    assert.equal(records[2].values[1], 'multi\nline');
+    assert.equal(records[1].lineNumber, 5);
+    assert.equal(records[2].lineNumber, 10);
+  }
+});
+
+test('stream: chunked input yields the same records as string input', async () => {
+  const fromString = await collect(await streamMaxi(CHUNKED_INPUT));
+  const fromChunks = await collect(await streamMaxi(Readable.from(chunked(CHUNKED_INPUT, 5))));
+  assert.deepEqual(fromChunks, fromString);
+});
+
+test('stream: WHATWG ReadableStream of Uint8Array with split multi-byte characters', async () => {
+  const bytes = new TextEncoder().encode(`U:User(id:int|name)
+###
+U(1|Zoë)
+U(2|日本語)`);
+
+  const stream = await streamMaxi(new ReadableStream({
+    start(controller) {
+      for (let i = 0; i < bytes.length; i++) controller.enqueue(bytes.subarray(i, i + 1));
+      controller.close();
+    },
+  }));
+
+  const records = await collect(stream);
+  assert.deepEqual(records.map(r => r.values[1]), ['Zoë', '日本語']);
+});
+
+test('stream: async generator input is consumed lazily', async () => {
+  let pulled = 0;
+  async function* source() {
+    yield 'U:User(id:int|name)\n###\n';
+    for (let i = 1; i <= 1000; i++) {
+      pulled++;
+      yield `U(${i}|user${i})\n`;
+    }
+  }
+
+  const stream = await streamMaxi(source());
+  const first = [];
+  for await (const record of stream) {
+    first.push(record.values[0]);
+    if (first.length === 3) break;
+  }
+
+  assert.deepEqual(first, [1, 2, 3]);
+  assert.ok(pulled < 10, `expected lazy consumption, pulled ${pulled} chunks`);
+});
+
+test('stream: early break closes the underlying Readable', async () => {
+  const readable = Readable.from(['U:User(id:int)\n###\n', 'U(1)\n', 'U(2)\n', 'U(3)\n']);
+  const stream = await streamMaxi(readable);
+
+  for await (const _record of stream) break;
+
+  assert.ok(readable.destroyed);
+});
+
+test('stream: chunked input without ### falls back to section auto-detection', async () => {
+  const records = await collect(await streamMaxi(Readable.from(['U(1|Al', 'ice)\nU(2|Bob)'])));
+  assert.deepEqual(records.map(r => r.values), [[1, 'Alice'], [2, 'Bob']]);
+});
+
+test('stream: records-only chunked input streams without buffering it all', async () => {
+  let pulled = 0;
+  async function* source() {
+    yield '# no schema\n';
+    for (let i = 1; i <= 1000; i++) {
+      pulled++;
+      yield `U(${i}|user${i})\n`;
+    }
+  }
+
+  const stream = await streamMaxi(source());
+  assert.equal(stream.schema.types.size, 0);
+  const first = [];
+  for await (const record of stream) {
+    first.push(record.values);
+    if (first.length === 3) break;
+  }
+
+  assert.deepEqual(first, [[1, 'user1'], [2, 'user2'], [3, 'user3']]);
+  assert.ok(pulled < 10, `expected lazy consumption, pulled ${pulled} chunks`);
+});
+
+test('stream: chunked input with a short-form schema waits for ###', async () => {
+  const input = 'U(id:int|name)\n###\nU(1|a)\nU(2|b)\n';
+  for (const chunks of [[input], chunked(input, 3)]) {
+    const stream = await streamMaxi(Readable.from(chunks));
+    assert.ok(stream.schema.hasType('U'));
+    const records = await collect(stream);
+    assert.deepEqual(records.map(r => r.values), [[1, 'a'], [2, 'b']]);
+    assert.deepEqual(stream.warnings, []);
+  }
+});
+
+test('stream: chunked schema-only input yields no records', async () => {
+  const stream = await streamMaxi(Readable.from(['U:User(id:', 'int|name)']));
+  assert.ok(stream.schema.hasType('U'));
+  assert.equal((await collect(stream)).length, 0);
+});
+
+test('stream: unclosed record at end of chunked input throws', async () => {
+  const stream = await streamMaxi(Readable.from(['U:User(id:int|tags:str[])\n###\n', 'U(1|[a,b']));
+
+  await assert.rejects(
+    () => collect(stream),
+    (err) => err instanceof MaxiError && err.code === MaxiErrorCode.ArraySyntaxError
+  );
+});
+
+test('stream: type definition after ### in chunked input throws StreamError', async () => {
+  const stream = await streamMaxi(Readable.from(['U:User(id:int)\n###\nU(1)\n', 'O:Order(id:int)\n']));
+
+  await assert.rejects(
+    () => collect(stream),
+    (err) => err instanceof MaxiError && err.code === MaxiErrorCode.StreamError
+  );
+});
+
+test('stream: rejects unsupported input', async () => {
+  await assert.rejects(() => streamMaxi(/** @type {any} */ (42)), TypeError);
+});
@@ -0,0 +1,84 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseMaxi } from '../src/api/parse.js';
+import { dumpMaxi } from '../src/api/dump.js';
+import { parseMaxiParallel } from '../src/api/parallel.js';
+import { registerMaxiType, getMaxiType, unregisterMaxiType } from '../src/core/type-registry.js';
+
+registerMaxiType('geopoint', {
+  parse: text => {
+    const [lat, lon] = text.split(' ').map(Number);
+    if (Number.isNaN(lat) || Number.isNaN(lon)) throw new Error('expected "lat lon"');
+    return { lat, lon };
+  },
+  dump: p => `${p.lat} ${p.lon}`,
+  validate: p => Math.abs(p.lat) <= 90 || 'latitude out of range',
+});
+registerMaxiType('money', { validate: text => /^\d+(\.\d\d)? [A-Z]{3}$/.test(text) });
+
+after(() => {
+  unregisterMaxiType('geopoint');
+  unregisterMaxiType('money');
+});
+
+const INPUT = `P:Place(id|loc:geopoint|stops:geopoint[]|fees:map<str,money>|owner:O)
+O:Owner(id|name)
+###
+P(1|"52.5 13.4"|["0 0","1 2"]|{a:"5.00 EUR"}|o1)
+O(o1|Ann)
+`;
+
+test('type-registry: decodes custom types in fields, arrays and maps', async () => {
+  const res = await parseMaxi(INPUT);
+  assert.deepEqual(res.warnings, []);
+  assert.deepEqual(res.records[0].values, [1, { lat: 52.5, lon: 13.4 }, [{ lat: 0, lon: 0 }, { lat: 1, lon: 2 }], { a: '5.00 EUR' }, 'o1']);
+  assert.deepEqual((await parseMaxi(INPUT, { compileDecoders: true })).records[0].values, res.records[0].values);
+
+  const dumped = dumpMaxi(res);
+  assert.match(dumped, /P\(1\|52\.5 13\.4\|\[0 0,1 2\]\|\{a:5\.00 EUR\}\|o1\)/);
+  assert.deepEqual((await parseMaxi(dumped)).records[0].values, res.records[0].values);
+});
+
+test('type-registry: defaults are decoded once, when the schema is parsed', async () => {
+  const input = `P:Place(id:int|loc:geopoint="1 2")
+###
+P(1|)
+P(2|"3 4")
+`;
+  const res = await parseMaxi(input);
+  assert.deepEqual(res.records.map(r => r.values[1]), [{ lat: 1, lon: 2 }, { lat: 3, lon: 4 }]);
+  assert.deepEqual((await parseMaxi(input, { compileDecoders: true })).records, res.records);
+  assert.match(dumpMaxi(res), /^P:Place\(id:int\|loc:geopoint=1 2\)$/m);
+
+  await assert.rejects(() => parseMaxi('P:Place(id|loc:geopoint=x)\n###\n'), { code: 'E404', message: /expected "lat lon"/ });
+});
+
+test('type-registry: rejected values follow allowTypeCoercion and allowConstraintViolations', async () => {
+  const input = `P:Place(id|loc:geopoint|fee:money)
+###
+P(1|nowhere|"5 eur")
+P(2|"91 0"|"5.00 EUR")
+`;
+  const res = await parseMaxi(input);
+  assert.deepEqual(res.warnings.map(w => [w.code, w.recordId, w.fieldName, w.message, w.value, w.constraint]), [
+    ['E402', 1, 'loc', `Type mismatch: field expects geopoint, got 'nowhere': expected "lat lon"`, 'nowhere', undefined],
+    ['E303', 1, 'fee', `Value '5 eur' is not a valid money`, '5 eur', { type: 'type', value: 'money' }],
+    ['E303', 2, 'loc', `Value '91 0' is not a valid geopoint: latitude out of range`, { lat: 91, lon: 0 }, { type: 'type', value: 'geopoint' }],
+  ]);
+  assert.equal(res.records[0].values[1], 'nowhere');
+
+  await assert.rejects(() => parseMaxi(input, { allowTypeCoercion: 'error' }), { code: 'E402', line: 3 });
+  await assert.rejects(() => parseMaxi(input, { allowConstraintViolations: 'error' }), { code: 'E303', line: 3 });
+  await assert.rejects(() => parseMaxi('P:Place(id|fee:money=free)\n###\n'), { code: 'E404' });
+});
+
+test('type-registry: registration and parallel parsing', async () => {
+  assert.throws(() => registerMaxiType('int', {}), TypeError);
+  assert.throws(() => registerMaxiType('a-b', {}), TypeError);
+  assert.throws(() => registerMaxiType('x', { parse: 'no' }), TypeError);
+  assert.equal(getMaxiType('x'), null);
+
+  const many = INPUT + 'P(2|"1 1"|[]|{}|o1)\n'.repeat(4);
+  await assert.rejects(() => parseMaxiParallel(many, { workers: 2 }), /P\.loc/);
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseMaxi } from '../src/api/parse.js';
+import { streamMaxi } from '../src/api/stream.js';
+import { parseMaxiParallel } from '../src/api/parallel.js';
+import { MaxiError, MaxiErrorCode } from '../src/core/errors.js';
+
+const INPUT = `U:User(id:int|age:int(>=0)|tags:int[]|role:enum[admin,user]|scores:map<str,int>|email:str@email)
+G:Group(id|members:U[]|limits:int(>=2)[])
+###
+U(1|30|[1,2]|admin|{a:1,"b c":x}|a@b.co)
+U(2|-1|[3,y]|guest|{}|bad)
+U(1|5|[]|user|{}|c@d.co)
+G(g1|[1,9]|[3,1])
+`;
+
+/** @param {import('../src/core/types.js').MaxiDiagnostic} w */
+const fields = w => ({
+  code: w.code,
+  severity: w.severity,
+  alias: w.alias,
+  recordId: w.recordId,
+  fieldName: w.fieldName,
+  fieldIndex: w.fieldIndex,
+  path: w.path,
+  value: w.value,
+  constraint: w.constraint,
+});
+
+test('warnings: carry the record, field, path, value and constraint', async () => {
+  const res = await parseMaxi(INPUT);
+
+  assert.deepEqual(res.warnings.map(fields), [
+    { code: 'E402', severity: 'warning', alias: 'U', recordId: 1, fieldName: 'scores', fieldIndex: 4, path: ['b c'], value: 'x', constraint: undefined },
+    { code: 'E402', severity: 'warning', alias: 'U', recordId: 2, fieldName: 'tags', fieldIndex: 2, path: [1], value: 'y', constraint: undefined },
+    { code: 'E303', severity: 'warning', alias: 'U', recordId: 2, fieldName: 'role', fieldIndex: 3, path: [], value: 'guest', constraint: { type: 'enum', value: ['admin', 'user'] } },
+    { code: 'E303', severity: 'warning', alias: 'U', recordId: 2, fieldName: 'age', fieldIndex: 1, path: [], value: -1, constraint: { type: 'comparison', operator: '>=', value: 0 } },
+    { code: 'E303', severity: 'warning', alias: 'U', recordId: 2, fieldName: 'email', fieldIndex: 5, path: [], value: 'bad', constraint: { type: 'annotation', value: 'email' } },
+    { code: 'E205', severity: 'warning', alias: 'U', recordId: 1, fieldName: 'id', fieldIndex: 0, path: [], value: 1, constraint: { type: 'id' } },
+    { code: 'E303', severity: 'warning', alias: 'G', recordId: 'g1', fieldName: 'limits', fieldIndex: 2, path: [1], value: 1, constraint: { type: 'comparison', operator: '>=', value: 2 } },
+    { code: 'E204', severity: 'warning', alias: 'G', recordId: 'g1', fieldName: 'members', fieldIndex: 1, path: [1], value: 9, constraint: undefined },
+  ]);
+
+  const compiled = await parseMaxi(INPUT, { compileDecoders: true });
+  assert.deepEqual(compiled.warnings, res.warnings);
+  assert.deepEqual((await parseMaxiParallel(INPUT, { workers: 2 })).warnings, res.warnings);
+});
+
+test('warnings: onWarning gets each warning once it is complete', async () => {
+  /** @type {string[]} */
+  const seen = [];
+  const res = await parseMaxi(INPUT, { onWarning: w => seen.push(`${w.code} ${w.alias}:${w.recordId} ${w.column}`) });
+  assert.deepEqual(seen, res.warnings.map(w => `${w.code} ${w.alias}:${w.recordId} ${w.column}`));
+
+  /** @type {unknown[]} */
+  const events = [];
+  const stream = await streamMaxi(INPUT, { onWarning: w => events.push(w.code) });
+  for await (const record of stream) events.push(record.alias);
+  assert.deepEqual(events, ['E402', 'U', 'E402', 'E303', 'E303', 'E303', 'U', 'E205', 'U', 'E303', 'G']);
+});
+
+test('warnings: maxWarnings aborts with E603, also in recover mode', async () => {
+  for (const recover of [false, true]) {
+    /** @type {string[]} */
+    const seen = [];
+    const error = await parseMaxi(INPUT, { maxWarnings: 2, recover, onWarning: w => seen.push(w.code) }).catch(e => e);
+    assert.ok(error instanceof MaxiError);
+    assert.equal(error.code, MaxiErrorCode.StreamError);
+    assert.deepEqual([error.line, error.alias], [5, 'U']);
+    assert.deepEqual(seen, ['E402', 'E402']);
+  }
+
+  assert.equal((await parseMaxi(INPUT, { maxWarnings: 8 })).warnings.length, 8);
+  await assert.rejects(() => parseMaxiParallel(INPUT, { workers: 2, maxWarnings: 0 }), { code: 'E603' });
+  await assert.rejects(() => parseMaxi(INPUT, { maxWarnings: -1 }), TypeError);
+});
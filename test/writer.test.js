@@ -0,0 +1,181 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Writable } from 'node:stream';
+
+import { MaxiWriter, createMaxiDumpStream } from '../src/api/writer.js';
+import { dumpMaxi } from '../src/api/dump.js';
+import { parseMaxi } from '../src/api/parse.js';
+import { MaxiError, MaxiErrorCode } from '../src/core/errors.js';
+
+const userTypes = [
+  {
+    alias: 'U',
+    name: 'User',
+    fields: [
+      { name: 'id', typeExpr: 'int' },
+      { name: 'name' },
+      { name: 'email', defaultValue: 'unknown' },
+    ],
+  },
+];
+
+/** Node Writable that records chunks; `highWaterMark` 1 forces backpressure on every write. */
+function collectingWritable(highWaterMark = 16384) {
+  const chunks = [];
+  let drains = 0;
+  const w = new Writable({
+    highWaterMark,
+    decodeStrings: false,
+    write(chunk, _enc, cb) {
+      chunks.push(String(chunk));
+      setImmediate(cb);
+    },
+  });
+  w.on('drain', () => { drains++; });
+  return { w, chunks, text: () => chunks.join(''), drains: () => drains };
+}
+
+test('MaxiWriter: output matches dumpMaxi plus trailing newline', async () => {
+  const users = [{ id: 1, name: 'Julie' }, { id: 2, name: 'Matt', email: null }];
+  const { w, text } = collectingWritable();
+
+  const writer = new MaxiWriter(w, { defaultAlias: 'U', types: userTypes });
+  for (const u of users) await writer.write(u);
+  await writer.end();
+
+  assert.equal(text(), dumpMaxi(users, { defaultAlias: 'U', types: userTypes }) + '\n');
+  assert.ok(w.writableFinished);
+});
+
+test('MaxiWriter: header is written exactly once, even with no records', async () => {
+  const { w, text } = collectingWritable();
+  const writer = createMaxiDumpStream(w, { types: userTypes, userVersion: '2' });
+  await writer.end();
+
+  assert.equal(text(), '@version:2\n\nU:User(id:int|name|email=unknown)\n###\n');
+});
+
+test('MaxiWriter: waits for drain when the destination applies backpressure', async () => {
+  const { w, text, drains } = collectingWritable(1);
+  const writer = new MaxiWriter(w, { defaultAlias: 'U', types: userTypes });
+
+  for (let i = 1; i <= 20; i++) {
+    await writer.write({ id: i, name: `user${i}` });
+    assert.ok(w.writableLength <= 64, 'buffer should not grow while awaiting writes');
+  }
+  await writer.end();
+
+  assert.ok(drains() > 0);
+  const res = await parseMaxi(text());
+  assert.equal(res.records.length, 20);
+  assert.deepEqual(res.records[19].values, [20, 'user20', 'unknown']);
+});
+
+test('MaxiWriter: un-awaited writes keep their order', async () => {
+  const { w, text } = collectingWritable(1);
+  const writer = new MaxiWriter(w, { defaultAlias: 'U', types: userTypes });
+
+  const pending = [];
+  for (let i = 1; i <= 5; i++) pending.push(writer.write({ id: i, name: `u${i}` }));
+  pending.push(writer.end());
+  await Promise.all(pending);
+
+  assert.deepEqual(text().trim().split('\n').slice(2), ['U(1|u1)', 'U(2|u2)', 'U(3|u3)', 'U(4|u4)', 'U(5|u5)']);
+});
+
+test('MaxiWriter: WHATWG WritableStream destination', async () => {
+  const chunks = [];
+  const ws = new WritableStream({ write(chunk) { chunks.push(chunk); } }, { highWaterMark: 1 });
+
+  const writer = new MaxiWriter(ws, { defaultAlias: 'U', types: userTypes });
+  await writer.write({ id: 1, name: 'Julie' });
+  await writer.write({ id: 2, name: 'with|pipe' });
+  await writer.end();
+
+  assert.equal(chunks.join(''), 'U:User(id:int|name|email=unknown)\n###\nU(1|Julie)\nU(2|"with|pipe")\n');
+});
+
+test('MaxiWriter: referenced objects with id are emitted once as their own records', async () => {
+  const types = [
+    { alias: 'C', name: 'Customer', fields: [{ name: 'id', typeExpr: 'int' }, { name: 'name' }] },
+    { alias: 'O', name: 'Order', fields: [{ name: 'id', typeExpr: 'int' }, { name: 'customer', typeExpr: 'C' }] },
+  ];
+  const julie = { id: 7, name: 'Julie' };
+  const { w, text } = collectingWritable();
+
+  const writer = new MaxiWriter(w, { defaultAlias: 'O', types });
+  await writer.write({ id: 1, customer: julie });
+  await writer.write({ id: 2, customer: julie });
+  await writer.write(julie, 'C');
+  await writer.end();
+
+  assert.deepEqual(text().trim().split('\n').slice(3), ['O(1|7)', 'C(7|Julie)', 'O(2|7)']);
+  const res = await parseMaxi(text());
+  assert.equal(res.warnings.length, 0);
+});
+
+test('MaxiWriter: collectReferences false inlines nested objects', async () => {
+  const types = [
+    { alias: 'C', fields: [{ name: 'id', typeExpr: 'int' }, { name: 'name' }] },
+    { alias: 'O', fields: [{ name: 'id', typeExpr: 'int' }, { name: 'customer', typeExpr: 'C' }] },
+  ];
+  const { w, text } = collectingWritable();
+
+  const writer = new MaxiWriter(w, { defaultAlias: 'O', types, collectReferences: false, includeTypes: false });
+  await writer.write({ id: 1, customer: { id: 7, name: 'Julie' } });
+  await writer.end();
+
+  assert.equal(text(), 'O(1|(7|Julie))\n');
+});
+
+test('MaxiWriter: write after end rejects', async () => {
+  const { w } = collectingWritable();
+  const writer = new MaxiWriter(w, { defaultAlias: 'U', types: userTypes });
+  await writer.end();
+
+  await assert.rejects(
+    () => writer.write({ id: 1 }),
+    (err) => err instanceof MaxiError && err.code === MaxiErrorCode.StreamError
+  );
+});
+
+test('MaxiWriter: destination errors reject the pending write', async () => {
+  const w = new Writable({
+    highWaterMark: 1,
+    write(_chunk, _enc, cb) { cb(new Error('disk full')); },
+  });
+  w.on('error', () => {});
+  const writer = new MaxiWriter(w, { defaultAlias: 'U', types: userTypes });
+
+  await assert.rejects(async () => {
+    for (let i = 0; i < 5; i++) await writer.write({ id: i, name: 'x' });
+  });
+});
+
+test('MaxiWriter: a destination error between writes rejects the next write and end', async () => {
+  const failure = new Error('disk full');
+  const w = new Writable({
+    write(_chunk, _enc, cb) { setImmediate(cb, failure); },
+  });
+  const writer = new MaxiWriter(w, { defaultAlias: 'U', types: userTypes });
+
+  await writer.write({ id: 1, name: 'x' });
+  await new Promise(resolve => setImmediate(resolve));
+  await assert.rejects(writer.write({ id: 2, name: 'y' }), failure);
+  await assert.rejects(writer.end(), failure);
+});
+
+test('MaxiWriter: a rejected WHATWG write rejects the next write and end', async () => {
+  const failure = new Error('quota exceeded');
+  const ws = new WritableStream({ write(chunk) { if (chunk.startsWith('U(')) throw failure; } });
+  const writer = new MaxiWriter(ws, { defaultAlias: 'U', types: userTypes });
+
+  await writer.write({ id: 1, name: 'x' });
+  await new Promise(resolve => setImmediate(resolve));
+  await assert.rejects(writer.write({ id: 2, name: 'y' }), failure);
+  await assert.rejects(writer.end(), failure);
+});
+
+test('MaxiWriter: rejects unsupported destinations', () => {
+  assert.throws(() => new MaxiWriter(/** @type {any} */ ({})), TypeError);
+});